@@ -0,0 +1,154 @@
+// ============================================================================
+// TYPEJAM RENDER SERVER - Reference implementation of POST /api/convert
+// ============================================================================
+
+// Usage:  npm run audio-server
+// Env:    PORT (default 3001, matches AUDIO_API_URL in src/lib/config.js)
+//         SAMPLES_DIR (default ./public/audio, same layout as the CDN /audio/)
+//         CORS_ORIGIN (default *)
+
+import http from "node:http";
+import path from "node:path";
+import { validateJamPayload } from "../src/lib/jamPayload.js";
+import { jamToMidi } from "../src/lib/midi.js";
+import { encodeWav } from "../src/lib/wav.js";
+import {
+  assertArrangementLength,
+  createRenderer,
+  RenderError,
+} from "./render.mjs";
+
+const PORT = Number(process.env.PORT) || 3001;
+const SAMPLES_DIR = path.resolve(process.env.SAMPLES_DIR || "public/audio");
+const CORS_ORIGIN = process.env.CORS_ORIGIN || "*";
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const FORMATS = ["wav", "midi"];
+
+const renderer = createRenderer(SAMPLES_DIR);
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, message, details) {
+  sendJson(
+    res,
+    status,
+    details ? { error: message, details } : { error: message }
+  );
+}
+
+// Read the request body, rejecting anything over MAX_BODY_BYTES
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(
+          new RenderError(413, `Body larger than ${MAX_BODY_BYTES} bytes`)
+        );
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+async function handleConvert(req, res, url) {
+  const format = url.searchParams.get("format") || "wav";
+  if (!FORMATS.includes(format)) {
+    return sendError(res, 400, `format must be one of: ${FORMATS.join(", ")}`);
+  }
+  const contentType = req.headers["content-type"] || "";
+  if (!contentType.startsWith("application/json")) {
+    return sendError(res, 415, "Content-Type must be application/json");
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(await readBody(req));
+  } catch (error) {
+    if (error instanceof RenderError) throw error;
+    return sendError(res, 400, `Invalid JSON: ${error.message}`);
+  }
+
+  const problems = validateJamPayload(payload, {
+    instruments: renderer.instruments,
+  });
+  if (problems.length) {
+    return sendError(res, 422, "Invalid jam payload", problems);
+  }
+  if (!payload.clips.length) {
+    return sendError(res, 422, "Invalid jam payload", ["clips: is empty"]);
+  }
+
+  if (format === "midi") {
+    // Same limit as a render: past it the delta-times stop making sense
+    assertArrangementLength(payload);
+    const bytes = jamToMidi(payload);
+    res.writeHead(200, {
+      "Content-Type": "audio/midi",
+      "Content-Disposition": 'attachment; filename="jam.mid"',
+    });
+    return res.end(Buffer.from(bytes));
+  }
+
+  const { sampleRate, channels } = await renderer.render(payload);
+  const wav = encodeWav(channels, sampleRate, 16);
+  res.writeHead(200, {
+    "Content-Type": "audio/wav",
+    "Content-Disposition": 'attachment; filename="jam.wav"',
+  });
+  res.end(Buffer.from(wav));
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+  res.setHeader("Access-Control-Allow-Origin", CORS_ORIGIN);
+  res.setHeader("Access-Control-Allow-Methods", "POST, GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  try {
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      return res.end();
+    }
+    if (url.pathname === "/health" && req.method === "GET") {
+      return sendJson(res, 200, { ok: true });
+    }
+    if (url.pathname === "/api/convert") {
+      if (req.method !== "POST") {
+        res.setHeader("Allow", "POST, OPTIONS");
+        return sendError(res, 405, "Use POST");
+      }
+      return await handleConvert(req, res, url);
+    }
+    return sendError(res, 404, `No route for ${req.method} ${url.pathname}`);
+  } catch (error) {
+    const status = error instanceof RenderError ? error.status : 500;
+    console.error(
+      `[TypeJam][server] ${req.method} ${url.pathname} failed:`,
+      error
+    );
+    if (!res.headersSent) {
+      sendError(
+        res,
+        status,
+        status === 500 ? `Render failed: ${error.message}` : error.message
+      );
+    } else {
+      res.end();
+    }
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`[TypeJam][server] Listening on http://localhost:${PORT}`);
+  console.log(`[TypeJam][server] Reading samples from ${SAMPLES_DIR}`);
+});
@@ -0,0 +1,73 @@
+// ============================================================================
+// SAMPLE MIRROR - Copy the sample CDN into a local folder
+// ============================================================================
+
+// Usage:  npm run mirror-samples
+// Env:    SAMPLES_DIR (default ./public/audio, what the render server reads)
+//         SAMPLE_SOURCE_URL (default the CDN, SAMPLE_CDN_URL in config.js)
+//
+// Downloads every file (all velocity layers and alternates) of every
+// registered instrument with a sample folder (instrumentRegistry.js) to
+// SAMPLES_DIR/<folder>/<file>. Files already
+// there are skipped, so it can be re-run after new instruments are added.
+// With the files in public/audio, NEXT_PUBLIC_SAMPLE_BASE_URL=/audio makes
+// the app load them from its own server instead of the CDN.
+
+import { mkdir, stat, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { listInstruments } from "../src/lib/instrumentRegistry.js";
+import { SAMPLE_CDN_URL } from "../src/lib/config.js";
+import { sampleFileNames } from "../src/lib/sampleLayers.js";
+
+const SAMPLES_DIR = path.resolve(process.env.SAMPLES_DIR || "public/audio");
+const SOURCE_URL = (process.env.SAMPLE_SOURCE_URL || SAMPLE_CDN_URL).replace(
+  /\/+$/,
+  ""
+);
+
+const exists = (file) =>
+  stat(file).then(
+    () => true,
+    () => false
+  );
+
+const folders = new Map();
+for (const def of listInstruments()) {
+  if (!def.samples?.folder) continue;
+  const files = folders.get(def.samples.folder) ?? new Set();
+  sampleFileNames(def.samples.urls).forEach((file) => files.add(file));
+  folders.set(def.samples.folder, files);
+}
+
+let downloaded = 0;
+let skipped = 0;
+const failed = [];
+for (const [folder, files] of folders) {
+  await mkdir(path.join(SAMPLES_DIR, folder), { recursive: true });
+  for (const file of files) {
+    const target = path.join(SAMPLES_DIR, folder, file);
+    if (await exists(target)) {
+      skipped++;
+      continue;
+    }
+    const url = `${SOURCE_URL}/${folder}/${file}`;
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      await writeFile(target, Buffer.from(await response.arrayBuffer()));
+      downloaded++;
+      console.log(`[TypeJam][mirror] ${folder}/${file}`);
+    } catch (error) {
+      failed.push(`${url}: ${error.message}`);
+    }
+  }
+}
+
+console.log(
+  `[TypeJam][mirror] ${downloaded} downloaded, ${skipped} already in ${SAMPLES_DIR}`
+);
+if (failed.length) {
+  console.error(`[TypeJam][mirror] ${failed.length} failed:`);
+  failed.forEach((line) => console.error(`  ${line}`));
+  process.exitCode = 1;
+}
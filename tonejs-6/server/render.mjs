@@ -0,0 +1,316 @@
+// ============================================================================
+// REFERENCE RENDERER - Mixes a jam payload to PCM without Web Audio
+// ============================================================================
+
+// A plain sampler: for every note pick the nearest sample from the same maps
+// the browser uses (src/lib/samples.js), repitch it by resampling, apply the
+// velocity/key-position gain and a release fade, and sum everything.
+// Velocity layers and round-robin alternates are picked like the live engine.
+// The per-row filter/reverb/compressor chains are not reproduced, so this is
+// a dry reference mix; the browser export is the one that matches live sound.
+
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { MPEGDecoder } from "mpg123-decoder";
+import { listInstruments } from "../src/lib/instrumentRegistry.js";
+import {
+  gmProgramFor,
+  noteNameToMidi,
+  durationToSeconds,
+} from "../src/lib/midi.js";
+import { decodeWav } from "../src/lib/wav.js";
+import { isTrackAudible } from "../src/lib/projects.js";
+import { clipNoteEvents } from "../src/lib/clips.js";
+import { MAX_ARRANGEMENT_SEC } from "../src/lib/jamPayload.js";
+import {
+  createRoundRobin,
+  normalizeSampleMap,
+  pickLayer,
+} from "../src/lib/sampleLayers.js";
+
+export const SAMPLE_RATE = 44100;
+const RELEASE_SEC = 1.1; // matches the Sampler release in sampledInstrument.js
+
+// instrument id -> sample map + folder under the samples directory
+// (same layout as the sample CDN: <dir>/<folder>/<file>). Every registered
+// instrument with a sample folder; soundfont-only instruments and browser
+// sample packs can't render here.
+export const SAMPLE_SETS = Object.fromEntries(
+  listInstruments()
+    .filter((def) => def.samples?.folder)
+    .map((def) => [
+      def.id,
+      {
+        folder: def.samples.folder,
+        urls: def.samples.urls,
+        percussion: def.kind === "percussion",
+      },
+    ])
+);
+
+// Errors the HTTP layer turns into a status code
+export class RenderError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "RenderError";
+    this.status = status;
+  }
+}
+
+/**
+ * Create a renderer that reads samples from a local directory
+ * Decoded samples are cached per instrument for the life of the process.
+ *
+ * @param {string} samplesDir - Folder containing piano/, guitar/, ... subfolders
+ */
+export function createRenderer(samplesDir) {
+  /** @type {Map<string, Promise<{midi:number, note:string, layers:{maxVelocity:number, files:{sampleRate:number, channels:Float32Array[]}[]}[]}[]>>} */
+  const cache = new Map();
+
+  const loadSet = (instrument) => {
+    if (!cache.has(instrument)) {
+      const promise = decodeSet(samplesDir, SAMPLE_SETS[instrument]);
+      // Don't keep a failed load around: the files may be added later
+      promise.catch(() => cache.delete(instrument));
+      cache.set(instrument, promise);
+    }
+    return cache.get(instrument);
+  };
+
+  /**
+   * Render a validated payload to stereo PCM
+   * @param {import('../src/lib/jamPayload').JamPayload} payload
+   * @returns {Promise<{sampleRate:number, channels:Float32Array[]}>}
+   */
+  const render = async (payload) => {
+    const voices = collectVoices(payload);
+    const endSec = checkArrangementLength(voices);
+
+    const frames = Math.ceil(Math.max(endSec, 0.1) * SAMPLE_RATE);
+    const out = [new Float32Array(frames), new Float32Array(frames)];
+    const sets = new Map();
+    for (const instrument of new Set(voices.map((v) => v.instrument))) {
+      sets.set(instrument, await loadSet(instrument));
+    }
+
+    const nextAlternate = createRoundRobin();
+    for (const v of voices) {
+      const samples = sets.get(v.instrument);
+      const entry = v.percussion
+        ? samples.find((s) => s.note === v.note)
+        : nearestSample(samples, v.midi);
+      if (!entry) continue;
+      const layer = pickLayer(entry.layers, v.velocity);
+      const { files } = entry.layers[layer];
+      const sample =
+        files[
+          nextAlternate(`${v.instrument}:${entry.note}:${layer}`, files.length)
+        ];
+      const semitones = v.percussion ? 0 : v.midi - entry.midi;
+      mixVoice(out, sample, {
+        startFrame: Math.round(v.start * SAMPLE_RATE),
+        holdFrames: Math.round(v.hold * SAMPLE_RATE),
+        releaseFrames: Math.round(RELEASE_SEC * SAMPLE_RATE),
+        rate: 2 ** (semitones / 12) * (sample.sampleRate / SAMPLE_RATE),
+        gain: v.gain,
+        pan: v.pan,
+      });
+    }
+
+    normalize(out);
+    return { sampleRate: SAMPLE_RATE, channels: out };
+  };
+
+  return { render, instruments: Object.keys(SAMPLE_SETS) };
+}
+
+// ============================================================================
+// ARRANGEMENT
+// ============================================================================
+
+// Every note of a validated payload with its absolute start time, so the
+// output buffer can be sized once
+function collectVoices(payload) {
+  const { bpm, clips, recordingsById, tracks = [] } = payload;
+  const voices = [];
+  for (const clip of clips) {
+    if (!isTrackAudible(tracks, clip.trackIndex)) continue;
+    const track = tracks[clip.trackIndex] || {};
+    const trackGain = 10 ** ((track.volumeDb ?? 0) / 20);
+    const rec = recordingsById[clip.recordingId];
+    if (!Object.hasOwn(SAMPLE_SETS, rec.instrument)) {
+      throw new RenderError(422, `Can't render instrument "${rec.instrument}"`);
+    }
+    const set = SAMPLE_SETS[rec.instrument];
+    const { transpose } = gmProgramFor(rec.instrument);
+    // Trim, loop, clip gain and transpose are applied by clipNoteEvents
+    for (const n of clipNoteEvents(clip, rec)) {
+      voices.push({
+        instrument: rec.instrument,
+        percussion: !!set.percussion,
+        note: n.note,
+        midi: set.percussion ? null : noteNameToMidi(n.note) + transpose,
+        start: clip.startTimeSec + n.time,
+        hold: durationToSeconds(n.duration, bpm),
+        velocity: n.velocity,
+        gain: n.velocity * positionGain(n.i, n.len) * trackGain,
+        pan: track.pan ?? 0,
+      });
+    }
+  }
+  return voices;
+}
+
+// Seconds until the last note has rung out; throws 413 past the limit
+function checkArrangementLength(voices) {
+  const endSec = voices.reduce(
+    (end, v) => Math.max(end, v.start + v.hold + RELEASE_SEC),
+    0
+  );
+  if (endSec > MAX_ARRANGEMENT_SEC) {
+    throw new RenderError(
+      413,
+      `Arrangement is ${Math.round(endSec)}s long; the limit is ${MAX_ARRANGEMENT_SEC}s`
+    );
+  }
+  return endSec;
+}
+
+/**
+ * Check a validated payload's length (notes and releases included) the way
+ * render() does, for outputs that don't render audio (MIDI export)
+ * @param {import('../src/lib/jamPayload').JamPayload} payload
+ * @throws {RenderError} 413 when it is longer than the limit
+ */
+export function assertArrangementLength(payload) {
+  checkArrangementLength(collectVoices(payload));
+}
+
+// ============================================================================
+// SAMPLE LOADING
+// ============================================================================
+
+// One entry per note, with its velocity layers and their alternates decoded
+// (a file shared by several notes or layers is decoded once)
+async function decodeSet(samplesDir, set) {
+  const files = new Map();
+  const decodeOnce = (file) => {
+    if (!files.has(file)) files.set(file, decodeFile(samplesDir, set, file));
+    return files.get(file);
+  };
+  return Promise.all(
+    Object.entries(normalizeSampleMap(set.urls)).map(
+      async ([note, layers]) => ({
+        note,
+        midi: set.percussion ? null : noteNameToMidi(note),
+        layers: await Promise.all(
+          layers.map(async (layer) => ({
+            maxVelocity: layer.maxVelocity,
+            files: await Promise.all(layer.files.map(decodeOnce)),
+          }))
+        ),
+      })
+    )
+  );
+}
+
+async function decodeFile(samplesDir, set, file) {
+  const filePath = path.join(samplesDir, set.folder, file);
+  let bytes;
+  try {
+    bytes = await readFile(filePath);
+  } catch (error) {
+    throw new RenderError(
+      500,
+      `Sample not found: ${filePath} (${error.code || error.message})`
+    );
+  }
+  return file.toLowerCase().endsWith(".wav")
+    ? decodeWav(bytes)
+    : decodeMp3(bytes, filePath);
+}
+
+async function decodeMp3(bytes, filePath) {
+  const decoder = new MPEGDecoder();
+  await decoder.ready;
+  try {
+    const { channelData, sampleRate, samplesDecoded } = decoder.decode(
+      new Uint8Array(bytes)
+    );
+    if (!samplesDecoded) throw new Error("no audio frames");
+    return { sampleRate, channels: channelData };
+  } catch (error) {
+    throw new RenderError(
+      500,
+      `Could not decode ${filePath}: ${error.message}`
+    );
+  } finally {
+    decoder.free();
+  }
+}
+
+// ============================================================================
+// MIXING
+// ============================================================================
+
+// Same left -> right loudness curve as the live engine (0.8 .. 1.0)
+function positionGain(i = 0, len = 1) {
+  const p = len > 1 ? i / (len - 1) : 0;
+  return 0.8 + 0.2 * p;
+}
+
+// Like Tone.Sampler: the sample whose root note is closest to the target
+function nearestSample(samples, midi) {
+  let best = null;
+  for (const s of samples) {
+    if (!best || Math.abs(s.midi - midi) < Math.abs(best.midi - midi)) best = s;
+  }
+  return best;
+}
+
+function mixVoice(
+  out,
+  sample,
+  { startFrame, holdFrames, releaseFrames, rate, gain, pan = 0 }
+) {
+  const src = sample.channels;
+  const srcLen = src[0].length;
+  const panGains = panToGains(pan);
+  const total = Math.min(
+    holdFrames + releaseFrames,
+    out[0].length - startFrame
+  );
+
+  for (let f = 0; f < total; f++) {
+    const pos = f * rate;
+    const idx = Math.floor(pos);
+    if (idx + 1 >= srcLen) break;
+    const frac = pos - idx;
+    const env = f < holdFrames ? 1 : 1 - (f - holdFrames) / releaseFrames;
+    const g = gain * env;
+    for (let ch = 0; ch < 2; ch++) {
+      const data = src[Math.min(ch, src.length - 1)];
+      const s = data[idx] + (data[idx + 1] - data[idx]) * frac;
+      out[ch][startFrame + f] += s * g * panGains[ch];
+    }
+  }
+}
+
+// Linear balance (close to, not exactly, the browser's equal-power panner):
+// centre leaves both channels untouched, hard left/right silences the other side
+function panToGains(pan) {
+  return [Math.min(1, 1 - pan), Math.min(1, 1 + pan)];
+}
+
+// Scale the mix down if it would clip
+function normalize(out) {
+  let peak = 0;
+  for (const ch of out) {
+    for (let i = 0; i < ch.length; i++) peak = Math.max(peak, Math.abs(ch[i]));
+  }
+  if (peak <= 0.98) return;
+  const scale = 0.98 / peak;
+  for (const ch of out) {
+    for (let i = 0; i < ch.length; i++) ch[i] *= scale;
+  }
+}
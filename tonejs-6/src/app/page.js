@@ -2,26 +2,116 @@
 // Page component: connects the UI (dropdown + typing) to the instrument engine.
 // Flow summary:
 // 1) User picks an instrument from the <select>
-// 2) We construct that instrument via INSTRUMENTS[...]()
+// 2) We construct that instrument via createInstrument(id) (see instrumentRegistry)
 // 3) We wait for Tone.Sampler buffers to load (ensureReady)
 // 4) On each keydown, we map the key to a note + row position
-// 5) We call instrument.play(note, dur, time, velocity, row, i, len)
+// 5) Pitched notes: instrument.attack(...) on keydown, instrument.release(...) on keyup
+//    Percussion: instrument.play(note, dur, time, velocity, row, i, len) one-shots
 
-import { useEffect, useRef, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
 import * as Tone from "tone";
-import { INSTRUMENTS } from "../lib/instruments"; // registry of instrument factories
-import { noteMap, indexMap, drumKeyToNote } from "../lib/keys"; // keyboard -> notes/rows
-import { createEmptyRecording } from "../lib/recording";
+import { createInstrument, onInstrumentLoad } from "../lib/instruments"; // id -> audio engine
 import {
+  getInstrument,
+  instrumentGroups,
+  instrumentName,
+  isPercussion,
+} from "../lib/instrumentRegistry";
+import { buildKeyboardMap } from "../lib/keys"; // keyboard -> notes/rows
+import {
+  DEFAULT_KEY_MAP,
+  keyMapToJson,
+  parseKeyMap,
+  rowRangeLegend,
+} from "../lib/keyMaps";
+import { DEFAULT_KEY_MAPPING } from "../lib/scales";
+import {
+  createEmptyRecording,
+  createRecordingVersion,
+  recordingsFromMidi,
+} from "../lib/recording";
+import {
+  quantizeNotes,
+  humanizeNotes,
+  describeQuantize,
+  describeHumanize,
+} from "../lib/transforms";
+import {
+  saveRecording,
   saveRecordings,
+  deleteRecording,
   loadRecordings,
   clearRecordings,
-} from "../lib/storage"; // localStorage persistence
+  loadSettings,
+  saveSettings,
+  loadProjects,
+  saveProject,
+  deleteProject,
+  loadActiveProjectId,
+  saveActiveProjectId,
+  onStorageProblem,
+  loadSamplePacks,
+  saveSamplePack,
+  deleteSamplePack,
+} from "../lib/storage"; // IndexedDB persistence
+import {
+  registerSamplePack,
+  unregisterSamplePack,
+} from "../lib/samplePackAudio";
+import { samplePackInstrumentId } from "../lib/samplePacks";
+import {
+  createProject,
+  duplicateProject,
+  retimeProject,
+} from "../lib/projects";
+import { snapToSec, retimeSeconds, barSec } from "../lib/timing";
+import { createMetronome } from "../lib/metronome";
+import { createArpeggiator } from "../lib/arpeggiator";
+import { ARP_GATE, DEFAULT_PERFORMANCE, chordNotes } from "../lib/performance";
+import { createHistory } from "../lib/history";
+import { createPlaybackEngine } from "../lib/playback";
+import { MIN_CLIP_SEC, recordingLengthSec } from "../lib/clips";
 import RecordingsList from "../components/RecordingsList";
 import JamBoard from "../components/JamBoard";
 import TransportControls from "../components/TransportControls";
-import { AUDIO_API_URL } from "../lib/config";
+import ProjectPicker from "../components/ProjectPicker";
+import ClipInspector from "../components/ClipInspector";
+import PianoRoll from "../components/PianoRoll";
+import KeyScalePicker from "../components/KeyScalePicker";
+import KeyMapEditor from "../components/KeyMapEditor";
+import PerformanceControls from "../components/PerformanceControls";
+import SamplePackPanel from "../components/SamplePackPanel";
+import { DEFAULT_LATENCY_MS } from "../lib/config";
 import { createJamSession } from "../lib/jamSession";
+import { renderJamToWav } from "../lib/offlineRender";
+import { jamToMidi } from "../lib/midi";
+import { JAM_SCHEMA_VERSION } from "../lib/jamPayload";
+
+// Notes played this close before the end of a count-in (or a punch-in) still
+// count, clamped to 0; anything earlier isn't captured
+const CAPTURE_TOLERANCE_SEC = 0.1;
+
+// Keys typed into a field belong to the field, not the keyboard instrument or
+// the undo shortcuts
+function isEditableTarget(target) {
+  return (
+    target instanceof HTMLElement &&
+    (target.isContentEditable ||
+      ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))
+  );
+}
+
+// Trigger a browser download for a Blob
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
 
 export default function Page() {
   // Which instrument is currently selected in the UI
@@ -30,91 +120,686 @@ export default function Page() {
   const instRef = useRef(null);
   // True when the instrument has loaded all samples and is ready to play
   const [ready, setReady] = useState(false);
+  // Why the instrument couldn't load (shown instead of Loading...)
+  const [instrumentError, setInstrumentError] = useState(null);
+  // Sample downloads still running or failed: id -> { loaded, total, error }
+  const [instrumentLoads, setInstrumentLoads] = useState({});
 
   // Recording state
   const [isRecording, setIsRecording] = useState(false);
+  // Audio context time (seconds, Tone.immediate()) of the take's timestamp
+  // zero: the end of the count-in, if there is one
   const [recordingStartTime, setRecordingStartTime] = useState(null);
+  const [isCountingIn, setIsCountingIn] = useState(false);
+  // Read by the keyboard handlers, so starting/stopping a take doesn't
+  // re-register them (which would cut the notes being held)
+  const recordingStateRef = useRef({ isRecording, recordingStartTime });
+  useEffect(() => {
+    recordingStateRef.current = { isRecording, recordingStartTime };
+  }, [isRecording, recordingStartTime]);
+  const countInTimerRef = useRef(null);
+  const metronomeRef = useRef(null);
+  // Per-browser preferences (latency offset subtracted from captured timestamps)
+  const [settings, setSettings] = useState({
+    latencyMs: DEFAULT_LATENCY_MS,
+    exportFormat: "wav",
+    wavBitDepth: 16,
+    metronome: false, // click while recording and during jam playback
+    countInBars: 0, // 0, 1 or 2 bars before capture starts
+    overdubLoop: "take", // overdub loop length: "take" (the recording) or bars
+    keyMapping: DEFAULT_KEY_MAPPING, // root + scale of the letter rows
+    keyMap: DEFAULT_KEY_MAP, // layout, number row and per-key overrides
+    performance: DEFAULT_PERFORMANCE, // chord mode + arpeggiator
+  });
+  const [showKeyMapEditor, setShowKeyMapEditor] = useState(false);
+  // Custom instruments (sample packs) and files dropped to build one
+  const [samplePacks, setSamplePacks] = useState([]);
+  const [showSamplePacks, setShowSamplePacks] = useState(false);
+  const [sampleFiles, setSampleFiles] = useState(null);
   // Use useRef for currentRecording to avoid state updates during recording
   const currentRecordingRef = useRef(createEmptyRecording());
   const [recordings, setRecordings] = useState([]);
-  // Jam board state
-  const [clips, setClips] = useState([]);
-  const [pxPerSec, setPxPerSec] = useState(100);
-  const [snapSec, setSnapSec] = useState(0.5);
+  // Jam board state lives in the open project (clips, tracks, tempo, zoom, snap)
+  const [project, setProject] = useState(() => createProject());
+  const [projects, setProjects] = useState([]); // everything the picker lists
+  const [projectSaveState, setProjectSaveState] = useState("saved");
+  // Latest project object, and the last one written to storage (for autosave)
+  const projectRef = useRef(project);
+  const savedProjectRef = useRef(project);
+  const projectsLoadedRef = useRef(false);
+  const {
+    clips,
+    tracks,
+    pxPerSec,
+    snap,
+    rulerMode,
+    bpm,
+    timeSignature,
+    loopRegion,
+    loopEnabled,
+    punchEnabled,
+  } = project;
+  const timing = useMemo(() => ({ bpm, timeSignature }), [bpm, timeSignature]);
+  const snapSec = snapToSec(snap, timing);
   const [isPlaying, setIsPlaying] = useState(false);
+  // Playhead while stopped/paused (seconds); Play starts from here
+  const [playheadSec, setPlayheadSec] = useState(0);
   const jamSessionRef = useRef(null);
+  // Clip shown in the inspector (loop/gain/transpose)
+  const [selectedClipId, setSelectedClipId] = useState(null);
+  // WAV export: progress 0..1 while rendering (null when idle)
+  const [exportProgress, setExportProgress] = useState(null);
+  const exportAbortRef = useRef(null);
+  // Latest storage warning (quota full, failed write), shown until dismissed
+  const [storageProblem, setStorageProblem] = useState(null);
+  // Undo/redo for jam board, project and recording library edits
+  const [historyState, setHistoryState] = useState({
+    undoLabel: null,
+    redoLabel: null,
+  });
+  const [history] = useState(() =>
+    createHistory({ onChange: setHistoryState })
+  );
 
   // ============================================================================
-  // LOAD RECORDINGS FROM LOCALSTORAGE ON PAGE LOAD
+  // LOAD RECORDINGS FROM INDEXEDDB ON PAGE LOAD
   // ============================================================================
 
+  useEffect(() => onStorageProblem(setStorageProblem), []);
+
+  // Per-instrument download progress (this instrument and jam tracks')
+  useEffect(
+    () =>
+      onInstrumentLoad(({ id, loaded, total, error }) =>
+        setInstrumentLoads((loads) => {
+          const next = { ...loads };
+          if (loaded === total && !error) delete next[id];
+          else next[id] = { loaded, total, error };
+          return next;
+        })
+      ),
+    []
+  );
+
   useEffect(() => {
     // Load saved recordings when component mounts
-    const savedRecordings = loadRecordings();
-    setRecordings(savedRecordings);
-    console.log(
-      `[TypeJam][page] Loaded ${savedRecordings.length} recordings from storage`
-    );
+    let cancelled = false;
+    const load = async () => {
+      // Sample packs first: recordings made with them need the instrument
+      const packs = await loadSamplePacks();
+      packs.forEach(registerSamplePack);
+      const savedRecordings = await loadRecordings();
+      if (cancelled) return;
+      setSamplePacks(packs);
+      setRecordings(savedRecordings);
+      console.log(
+        `[TypeJam][page] Loaded ${savedRecordings.length} recordings and ${packs.length} sample packs from storage`
+      );
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
   }, []); // Empty dependency array = run once on mount
 
+  useEffect(() => {
+    setSettings((s) => loadSettings(s));
+  }, []);
+
   // ============================================================================
-  // SAVE RECORDINGS TO LOCALSTORAGE WHENEVER RECORDINGS CHANGE
+  // PROJECTS: LOAD ON PAGE LOAD, AUTOSAVE WHENEVER THE OPEN PROJECT CHANGES
   // ============================================================================
 
   useEffect(() => {
-    // Save recordings to localStorage whenever the recordings array changes
-    // This ensures data persists across page reloads
-    if (recordings.length > 0) {
-      saveRecordings(recordings);
+    let cancelled = false;
+    const load = async () => {
+      let saved = await loadProjects();
+      if (cancelled) return;
+      if (saved.length === 0) {
+        const first = createProject();
+        saveProject(first);
+        saved = [first];
+      }
+      const activeId = loadActiveProjectId();
+      const active = saved.find((p) => p.id === activeId) || saved[0];
+      projectsLoadedRef.current = true;
+      savedProjectRef.current = active;
+      setProjects(saved);
+      setProject(active);
+      saveActiveProjectId(active.id);
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Write a project and update the picker; resolves false if the write failed
+  const persistProject = (p) => {
+    const stamped = { ...p, updatedAt: Date.now() };
+    savedProjectRef.current = p;
+    setProjects((list) => [stamped, ...list.filter((x) => x.id !== p.id)]);
+    return saveProject(stamped);
+  };
+
+  useEffect(() => {
+    projectRef.current = project;
+    if (!projectsLoadedRef.current || project === savedProjectRef.current) {
+      return;
     }
-  }, [recordings]); // Runs whenever recordings array changes
+    // Debounce so dragging a clip doesn't write on every pointer move
+    setProjectSaveState("saving");
+    const timer = setTimeout(async () => {
+      const ok = await persistProject(project);
+      setProjectSaveState(ok ? "saved" : "error");
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [project]);
+
+  // Write any pending change right away (before switching projects / leaving).
+  // From beforeunload the write is queued before the page goes away, which is
+  // enough for IndexedDB to commit it.
+  const flushProject = () => {
+    if (projectRef.current !== savedProjectRef.current) {
+      persistProject(projectRef.current).then((ok) =>
+        setProjectSaveState(ok ? "saved" : "error")
+      );
+    }
+  };
+
+  useEffect(() => {
+    window.addEventListener("beforeunload", flushProject);
+    return () => window.removeEventListener("beforeunload", flushProject);
+  });
+
+  // projectRef is kept current here too, so several edits in one event
+  // (e.g. pointer moves) each build on the last
+  const applyProjectFields = (fields) => {
+    projectRef.current = { ...projectRef.current, ...fields };
+    setProject(projectRef.current);
+  };
+
+  // View settings (zoom) aren't worth an undo step
+  const updateProject = (patch) => applyProjectFields(patch);
+
+  // Every other project edit goes through the history. Undo restores only
+  // the fields the edit changed, so a zoom in between is left alone.
+  const editProject = (label, update, mergeKey) => {
+    const before = projectRef.current;
+    const after = update(before);
+    const keys = Object.keys(after).filter((k) => after[k] !== before[k]);
+    if (!keys.length) return;
+    const pick = (p) => Object.fromEntries(keys.map((k) => [k, p[k]]));
+    const undoFields = pick(before);
+    const redoFields = pick(after);
+    history.execute(
+      {
+        label,
+        do: () => applyProjectFields(redoFields),
+        undo: () => applyProjectFields(undoFields),
+      },
+      { mergeKey }
+    );
+  };
+
+  const editClips = (label, update, mergeKey) =>
+    editProject(label, (p) => ({ ...p, clips: update(p.clips) }), mergeKey);
+
+  const openProject = (next) => {
+    // Commands hold fields of the project they were made in
+    history.clear();
+    jamSessionRef.current?.stop();
+    setIsPlaying(false);
+    setPlayheadSec(0);
+    savedProjectRef.current = next;
+    setProject(next);
+    saveActiveProjectId(next.id);
+  };
+
+  const handleSelectProject = (projectId) => {
+    if (projectId === project.id) return;
+    flushProject();
+    const next = projects.find((p) => p.id === projectId);
+    if (next) openProject(next);
+  };
+
+  const handleCreateProject = (name) => {
+    flushProject();
+    const created = createProject(name);
+    saveProject(created);
+    setProjects((list) => [created, ...list]);
+    openProject(created);
+  };
+
+  const handleRenameProject = (projectId, name) => {
+    if (projectId === project.id) {
+      // autosave updates the picker
+      editProject("Rename project", (p) => ({ ...p, name }));
+    }
+  };
+
+  const handleDuplicateProject = (projectId, name) => {
+    flushProject();
+    const source =
+      projectId === project.id
+        ? projectRef.current
+        : projects.find((p) => p.id === projectId);
+    if (!source) return;
+    const copy = duplicateProject(source, name);
+    saveProject(copy);
+    setProjects((list) => [copy, ...list]);
+    openProject(copy);
+  };
+
+  const handleDeleteProject = (projectId) => {
+    deleteProject(projectId);
+    let remaining = projects.filter((p) => p.id !== projectId);
+    if (remaining.length === 0) {
+      const fresh = createProject();
+      saveProject(fresh);
+      remaining = [fresh];
+    }
+    setProjects(remaining);
+    if (projectId === project.id) openProject(remaining[0]);
+  };
+
+  const updateSettings = (patch) => {
+    setSettings((s) => {
+      const next = { ...s, ...patch };
+      saveSettings(next);
+      return next;
+    });
+  };
+
+  // Recordings are written one at a time where they change (finished take,
+  // delete, import) rather than re-saving the whole list.
+
+  // Keys currently held down -> the notes they started (one, or a chord) and,
+  // while recording, the indexes of the captured notes whose durations are
+  // filled in on keyup
+  const heldKeysRef = useRef(new Map());
+
+  // Arpeggiator for held keys; its steps go to arpStepRef, which the key
+  // handler effect points at the current instrument and take
+  const arpStepRef = useRef(null);
+  const [arp] = useState(() =>
+    createArpeggiator({ onStep: (...args) => arpStepRef.current?.(...args) })
+  );
+  useEffect(() => {
+    arp.configure({
+      mode: settings.performance.arpMode,
+      rate: settings.performance.arpRate,
+      bpm,
+    });
+  }, [arp, settings.performance, bpm]);
+
+  // Write the real held length into captured notes once their key is released
+  const finishHeldNote = (held, releasedAt) => {
+    if (!held.noteIndexes?.length) return;
+    const notes = [...currentRecordingRef.current.notes];
+    for (const index of held.noteIndexes) {
+      const captured = notes[index];
+      if (!captured) continue;
+      notes[index] = {
+        ...captured,
+        duration: Math.max(0.01, releasedAt - held.startedAt),
+      };
+    }
+    currentRecordingRef.current = { ...currentRecordingRef.current, notes };
+  };
+
+  // Empty recording for a new take, stamped with the capture settings
+  const newTake = () => ({
+    ...createEmptyRecording(),
+    latencyMs: settings.latencyMs,
+    // Percussion ignores the scale, so there's nothing to remember
+    keyMapping: isPercussion(selected) ? undefined : settings.keyMapping,
+  });
+
+  const ensureMetronome = () => {
+    if (!metronomeRef.current) metronomeRef.current = createMetronome();
+    return metronomeRef.current;
+  };
+
+  // Stopping the Transport cancels everything scheduled on it, the
+  // metronome's loop included: put it back before each start
+  const syncMetronome = () => {
+    if (settings.metronome) ensureMetronome().syncToTransport(timing);
+  };
+
+  // ============================================================================
+  // OVERDUB: RECORD MORE NOTES ON TOP OF AN ARMED RECORDING
+  // ============================================================================
+
+  // With a recording armed, Record plays it on a loop and every pass of new
+  // keystrokes is merged into its notes (one undo step per pass)
+  const [armedRecordingId, setArmedRecordingId] = useState(null);
+  // { recording, engine, loopSec, committed: Set of captured note indexes, onLoop }
+  const overdubRef = useRef(null);
+
+  const overdubLoopSec = (rec) =>
+    settings.overdubLoop === "take"
+      ? recordingLengthSec(rec)
+      : settings.overdubLoop * barSec(timing);
+
+  // Merge the notes captured since the last pass into the armed recording.
+  // Keys still held carry over to the pass they're released in.
+  const commitOverdubPass = () => {
+    const od = overdubRef.current;
+    if (!od) return;
+    const held = new Set(
+      [...heldKeysRef.current.values()].flatMap((h) => h.noteIndexes ?? [])
+    );
+    const layer = currentRecordingRef.current.notes.filter((n, i) => {
+      if (od.committed.has(i) || held.has(i)) return false;
+      od.committed.add(i);
+      return true;
+    });
+    if (!layer.length) return;
+    const before = od.recording;
+    const after = {
+      ...before,
+      notes: [...before.notes, ...layer].sort(
+        (a, b) => a.timestamp - b.timestamp
+      ),
+      duration: Math.max(before.duration, od.loopSec * 1000),
+    };
+    // Also update the looping playback, so layers stack (or drop on undo)
+    const apply = (rec) => {
+      putRecording(rec);
+      const current = overdubRef.current;
+      if (current?.recording.id === rec.id) {
+        current.recording = rec;
+        current.engine.setNotes(rec.notes);
+      }
+    };
+    console.log(`[TypeJam][overdub] Pass: ${layer.length} notes`);
+    history.execute({
+      label: "Overdub pass",
+      do: () => apply(after),
+      undo: () => apply(before),
+    });
+  };
+
+  // A jam track's or armed recording's instrument failed to load (a missing
+  // sample or soundfont): nothing was started
+  const reportPlaybackError = (e) => {
+    console.error("[TypeJam][page] playback failed", e);
+    alert(`Playback failed: ${e.message}`);
+  };
+
+  const startOverdub = async (rec) => {
+    if (isPlaying) onStop();
+    const loopSec = overdubLoopSec(rec);
+    const engine = createPlaybackEngine(rec);
+    const onLoop = () => commitOverdubPass();
+    overdubRef.current = {
+      recording: rec,
+      engine,
+      loopSec,
+      committed: new Set(),
+      onLoop,
+    };
+    currentRecordingRef.current = newTake();
+    syncMetronome();
+    try {
+      await engine.play({ loopSec });
+    } catch (e) {
+      engine.dispose();
+      overdubRef.current = null;
+      currentRecordingRef.current = createEmptyRecording();
+      reportPlaybackError(e);
+      return;
+    }
+    Tone.Transport.on("loop", onLoop);
+    setRecordingStartTime(Tone.immediate());
+    setIsRecording(true);
+  };
+
+  const stopOverdub = () => {
+    const od = overdubRef.current;
+    commitOverdubPass();
+    Tone.Transport.off("loop", od.onLoop);
+    od.engine.dispose();
+    overdubRef.current = null;
+    currentRecordingRef.current = createEmptyRecording();
+    setRecordingStartTime(null);
+  };
+
+  // Arming switches to the recording's instrument: a recording has one
+  const handleArmRecording = (recordingId) => {
+    if (isRecording) return;
+    if (recordingId === armedRecordingId) {
+      setArmedRecordingId(null);
+      return;
+    }
+    const rec = recordingsById.current.get(recordingId);
+    if (!rec) return;
+    if (!getInstrument(rec.instrument)) {
+      alert("This recording's instrument was deleted, so it can't be armed.");
+      return;
+    }
+    setArmedRecordingId(recordingId);
+    setArmedTrackIndex(null);
+    if (rec.instrument && rec.instrument !== selected) {
+      setSelected(rec.instrument);
+    }
+    // ...and its key mapping, so new layers land on the same notes
+    if (rec.keyMapping) updateSettings({ keyMapping: rec.keyMapping });
+  };
+
+  const armedRecording =
+    recordings.find((r) => r.id === armedRecordingId) || null;
+
+  // ============================================================================
+  // TRACK RECORDING: PLAY THE BOARD, RECORD A TAKE ONTO THE ARMED TRACK
+  // ============================================================================
+
+  const [armedTrackIndex, setArmedTrackIndex] = useState(null);
+  // { trackIndex, fromSec: where playback started, punch: {startSec, endSec} | null }
+  const trackTakeRef = useRef(null);
+
+  const handleToggleArmTrack = (trackIndex) => {
+    if (isRecording) return;
+    setArmedTrackIndex((current) =>
+      current === trackIndex ? null : trackIndex
+    );
+    setArmedRecordingId(null);
+  };
+
+  // The board plays from the playhead (straight through, no loop) while the
+  // keyboard records. With punch on, only notes inside the ruler region count.
+  const startTrackTake = async (trackIndex) => {
+    const session = ensureJamSession();
+    const fromSec = isPlaying ? session.positionSec : playheadSec;
+    if (isPlaying) session.pause();
+    trackTakeRef.current = {
+      trackIndex,
+      fromSec,
+      punch: punchEnabled && loopRegion ? loopRegion : null,
+    };
+    currentRecordingRef.current = newTake();
+    syncMetronome();
+    try {
+      await session.play(clips, { tracks, fromSec, loop: null });
+    } catch (e) {
+      trackTakeRef.current = null;
+      currentRecordingRef.current = createEmptyRecording();
+      setIsPlaying(false);
+      setPlayheadSec(fromSec);
+      reportPlaybackError(e);
+      return;
+    }
+    setIsPlaying(true);
+    setRecordingStartTime(Tone.immediate());
+    setIsRecording(true);
+  };
+
+  // The take becomes a recording and a clip on the armed track, starting at
+  // the playhead (or the punch-in point)
+  const stopTrackTake = (stoppedAt) => {
+    const take = trackTakeRef.current;
+    trackTakeRef.current = null;
+    const endSec = Tone.Transport.getSecondsAtTime(stoppedAt);
+    const session = ensureJamSession();
+    session.stop();
+    session.setLoop(activeLoop);
+    setIsPlaying(false);
+    setPlayheadSec(take.fromSec);
+
+    const originSec = take.punch ? take.punch.startSec : take.fromSec;
+    const endCaptureSec = take.punch
+      ? Math.min(endSec, take.punch.endSec)
+      : endSec;
+    const durationSec = Math.max(0, endCaptureSec - originSec);
+    const final = {
+      ...currentRecordingRef.current,
+      duration: durationSec * 1000,
+    };
+    currentRecordingRef.current = createEmptyRecording();
+    setRecordingStartTime(null);
+    if (!final.notes.length) return;
+
+    const saved = addRecordingToLibrary(final);
+    console.log(
+      `[TypeJam][page] Take on track ${take.trackIndex + 1} at ${originSec.toFixed(2)}s`
+    );
+    handleCreateClip({
+      recordingId: saved.id,
+      trackIndex: take.trackIndex,
+      startTimeSec: originSec,
+      durationSec: Math.max(MIN_CLIP_SEC, durationSec),
+      name: saved.instrument,
+    });
+  };
 
   // Start/stop recording
-  const toggleRecording = () => {
+  const toggleRecording = async () => {
     if (!isRecording) {
-      // Start new recording
-      currentRecordingRef.current = createEmptyRecording();
-      setRecordingStartTime(Date.now());
+      // The audio clock only advances once the context runs, so start it
+      // here (a user gesture) rather than inside the first keydown
+      if (Tone.context.state !== "running") await Tone.start();
+      if (armedRecording) {
+        await startOverdub(armedRecording);
+        return;
+      }
+      if (armedTrackIndex !== null) {
+        await startTrackTake(armedTrackIndex);
+        return;
+      }
+      currentRecordingRef.current = newTake();
+      // Count-in bars click first; timestamp zero is the downbeat after them
+      const startAt = Tone.immediate() + 0.05;
+      const countInSec = settings.countInBars * barSec(timing);
+      if (settings.metronome || countInSec > 0) {
+        ensureMetronome().startFree({
+          atTime: startAt,
+          timing,
+          beats: settings.metronome
+            ? Infinity
+            : settings.countInBars * timing.timeSignature[0],
+        });
+      }
+      setRecordingStartTime(startAt + countInSec);
       setIsRecording(true);
+      if (countInSec > 0) {
+        setIsCountingIn(true);
+        countInTimerRef.current = setTimeout(
+          () => setIsCountingIn(false),
+          (startAt + countInSec - Tone.immediate()) * 1000
+        );
+      }
     } else {
-      // Stop and finalize
+      // Stop and finalize; keys still held end at the stop time
+      const stoppedAt = Tone.immediate();
+      metronomeRef.current?.stopFree();
+      clearTimeout(countInTimerRef.current);
+      setIsCountingIn(false);
+      for (const held of heldKeysRef.current.values()) {
+        finishHeldNote(held, stoppedAt);
+        held.noteIndexes = [];
+      }
       setIsRecording(false);
+      if (overdubRef.current) {
+        stopOverdub();
+        return;
+      }
+      if (trackTakeRef.current) {
+        stopTrackTake(stoppedAt);
+        return;
+      }
       const final = {
         ...currentRecordingRef.current,
-        duration: Date.now() - recordingStartTime,
+        duration: Math.max(0, stoppedAt - recordingStartTime) * 1000,
       };
-      // Add to recordings list if it has notes
-      if (final.notes.length > 0) {
-        setRecordings((list) => {
-          // Ensure no duplicate IDs in the list
-          const existingIds = new Set(list.map((r) => r.id));
-          while (existingIds.has(final.id)) {
-            final.id = crypto.randomUUID();
-          }
-          return [...list, final];
-        });
-      }
+      // Add to recordings list (and storage) if it has notes
+      if (final.notes.length > 0) addRecordingToLibrary(final);
       currentRecordingRef.current = createEmptyRecording();
       setRecordingStartTime(null);
     }
   };
 
-  // Delete a recording
+  // Add a finished take to the list and storage
+  const addRecordingToLibrary = (take) => {
+    // Ensure no duplicate IDs in the list
+    const existingIds = new Set(recordings.map((r) => r.id));
+    while (existingIds.has(take.id)) {
+      take.id = crypto.randomUUID();
+    }
+    setRecordings((list) => [...list, take]);
+    saveRecording(take);
+    return take;
+  };
+
+  // Put a recording (back) into the list and storage, replacing any with
+  // the same id; the list stays in createdAt order
+  const putRecording = (rec) => {
+    setRecordings((list) =>
+      [...list.filter((r) => r.id !== rec.id), rec].sort(
+        (a, b) => (a.createdAt ?? 0) - (b.createdAt ?? 0)
+      )
+    );
+    saveRecording(rec);
+  };
+
+  // Delete a recording (undo puts it back)
   const handleDeleteRecording = (recordingId) => {
-    console.log("[TypeJam][page] Deleting recording:", recordingId);
-    setRecordings((list) => {
-      const updatedList = list.filter((r) => r.id !== recordingId);
-      // The useEffect will automatically save the updated list to localStorage
-      return updatedList;
+    const rec = recordingsById.current.get(recordingId);
+    if (!rec) return;
+    history.execute({
+      label: "Delete recording",
+      do: () => {
+        console.log("[TypeJam][page] Deleting recording:", recordingId);
+        setRecordings((list) => list.filter((r) => r.id !== recordingId));
+        deleteRecording(recordingId);
+      },
+      undo: () => putRecording(rec),
+    });
+  };
+
+  // Replace a stored recording through the history (rename, note edits)
+  const replaceRecording = (label, updated) => {
+    const before = recordingsById.current.get(updated.id);
+    if (!before) return;
+    history.execute({
+      label,
+      do: () => putRecording(updated),
+      undo: () => putRecording(before),
     });
   };
 
+  const handleRenameRecording = (recordingId, name) => {
+    const rec = recordingsById.current.get(recordingId);
+    if (rec) replaceRecording("Rename recording", { ...rec, name });
+  };
+
   // Jam board: helpers
   const recordingsById = useRef(new Map());
   useEffect(() => {
     const map = new Map();
     for (const r of recordings) map.set(r.id, r);
     recordingsById.current = map;
+    jamSessionRef.current?.setRecordings(map);
   }, [recordings]);
 
   const handleCreateClip = ({
@@ -122,6 +807,7 @@ export default function Page() {
     trackIndex,
     startTimeSec,
     durationSec,
+    name,
   }) => {
     const newClip = {
       id: crypto.randomUUID(),
@@ -129,112 +815,335 @@ export default function Page() {
       trackIndex,
       startTimeSec,
       durationSec,
-      name: recordingsById.current.get(recordingId)?.instrument || "rec",
+      offsetSec: 0, // trimmed start within the recording
+      loop: false,
+      gainDb: 0,
+      transpose: 0,
+      name:
+        name || recordingsById.current.get(recordingId)?.instrument || "rec",
     };
-    setClips((prev) => [...prev, newClip]);
+    editClips("Add clip", (prev) => [...prev, newClip]);
   };
 
+  // Called on every pointer move of a drag: edits to the same clip fields
+  // merge into one undo step
   const handleUpdateClip = (clipId, patch) => {
-    setClips((prev) =>
-      prev.map((c) => (c.id === clipId ? { ...c, ...patch } : c))
+    const fields = Object.keys(patch);
+    const label = fields.every(
+      (k) => k === "startTimeSec" || k === "trackIndex"
+    )
+      ? "Move clip"
+      : fields.includes("durationSec")
+        ? "Trim clip"
+        : "Edit clip";
+    editClips(
+      label,
+      (prev) => prev.map((c) => (c.id === clipId ? { ...c, ...patch } : c)),
+      `clip:${clipId}:${fields.sort().join()}`
     );
   };
 
   const handleDeleteClip = (clipId) => {
-    setClips((prev) => prev.filter((c) => c.id !== clipId));
+    editClips("Delete clip", (prev) => prev.filter((c) => c.id !== clipId));
+    if (clipId === selectedClipId) setSelectedClipId(null);
   };
 
+  const selectedClip = clips.find((c) => c.id === selectedClipId) || null;
+
+  // Track header (mute/solo/volume/pan): saved with the project
+  const handleUpdateTrack = (trackIndex, patch) => {
+    const fields = Object.keys(patch);
+    editProject(
+      "Edit track",
+      (p) => ({
+        ...p,
+        tracks: p.tracks.map((t, i) =>
+          i === trackIndex ? { ...t, ...patch } : t
+        ),
+      }),
+      `track:${trackIndex}:${fields.sort().join()}`
+    );
+  };
+
+  // ...and heard right away, including mid-playback
+  useEffect(() => {
+    jamSessionRef.current?.setTracks(tracks);
+  }, [tracks]);
+
   const ensureJamSession = () => {
     if (!jamSessionRef.current) {
       jamSessionRef.current = createJamSession(recordingsById.current);
+      jamSessionRef.current.setTiming(timing);
     }
     return jamSessionRef.current;
   };
 
+  const activeLoop = loopEnabled ? loopRegion : null;
+
+  // The project tempo drives Tone.Transport
+  useEffect(() => {
+    jamSessionRef.current?.setTiming(timing);
+  }, [timing]);
+
+  // Tempo / time signature change: clips, loop region and playhead keep
+  // their bar positions
+  const handleChangeTiming = async (next) => {
+    const to = { ...timing, ...next };
+    const retimed = retimeProject(projectRef.current, next);
+    editProject("Change tempo", () => retimed);
+    const session = ensureJamSession();
+    if (!isPlaying) {
+      setPlayheadSec((sec) => retimeSeconds(sec, timing, to));
+      session.setTiming(to);
+      return;
+    }
+    // Playing: rebuild the parts at the new tempo from the same bar position
+    const fromSec = retimeSeconds(session.positionSec, timing, to);
+    session.pause();
+    session.setTiming(to);
+    if (settings.metronome) ensureMetronome().syncToTransport(to);
+    try {
+      await session.play(retimed.clips, {
+        tracks,
+        fromSec,
+        loop: retimed.loopEnabled ? retimed.loopRegion : null,
+      });
+    } catch (e) {
+      setIsPlaying(false);
+      setPlayheadSec(fromSec);
+      reportPlaybackError(e);
+    }
+  };
+
+  // Overdubs and track takes own the Transport: the transport buttons end them
+  const stopTransportRecording = () => {
+    if (!trackTakeRef.current && !overdubRef.current) return false;
+    toggleRecording();
+    return true;
+  };
+
   const onPlayPause = async () => {
+    if (stopTransportRecording()) return;
     const session = ensureJamSession();
     if (isPlaying) {
       session.pause();
+      setPlayheadSec(session.positionSec);
       setIsPlaying(false);
     } else {
-      await session.play(clips);
+      syncMetronome();
+      try {
+        await session.play(clips, {
+          tracks,
+          fromSec: playheadSec,
+          loop: activeLoop,
+        });
+      } catch (e) {
+        reportPlaybackError(e);
+        return;
+      }
       setIsPlaying(true);
     }
   };
 
   const onStop = () => {
+    if (stopTransportRecording()) return;
     const session = ensureJamSession();
     session.stop();
+    setPlayheadSec(0);
     setIsPlaying(false);
   };
 
-  // Build jam JSON and send to backend to download WAV (fallback MIDI)
-  const handleDownload = async () => {
-    const recordingsMap = Object.fromEntries(
-      Array.from(recordingsById.current.entries())
+  // Ruler click/drag: move the playhead (and the Transport, if playing)
+  const handleSeek = (sec) => {
+    setPlayheadSec(sec);
+    if (isPlaying) jamSessionRef.current?.seek(sec);
+  };
+
+  // Metronome during jam playback follows the Transport's bars and beats
+  useEffect(() => {
+    if (settings.metronome) ensureMetronome().syncToTransport(timing);
+    else metronomeRef.current?.unsync();
+  }, [settings.metronome, timing]);
+
+  useEffect(
+    () => () => {
+      clearTimeout(countInTimerRef.current);
+      metronomeRef.current?.dispose();
+      metronomeRef.current = null;
+      arp.dispose();
+    },
+    [arp]
+  );
+
+  // Loop region changes apply to the running Transport straight away
+  useEffect(() => {
+    jamSessionRef.current?.setLoop(activeLoop);
+  }, [activeLoop]);
+
+  const handleChangeLoopRegion = (region) =>
+    editProject(
+      "Set loop region",
+      (p) => ({ ...p, loopRegion: region, loopEnabled: true }),
+      "loop-region"
     );
-    const payload = {
-      schemaVersion: 1,
-      bpm: 120,
-      clips,
-      recordingsById: recordingsMap,
-    };
+
+  // Jam payload (see lib/jamPayload.js): the arrangement plus every recording it uses
+  const buildJamPayload = () => ({
+    schemaVersion: JAM_SCHEMA_VERSION,
+    bpm,
+    timeSignature,
+    clips,
+    tracks,
+    recordingsById: Object.fromEntries(
+      Array.from(recordingsById.current.entries())
+    ),
+  });
+
+  // Export the jam board in the browser: WAV via offline rendering, or MIDI
+  const handleDownload = async () => {
+    if (exportAbortRef.current) return;
     const filenameBase = `jam-${Date.now()}`;
+
+    if (settings.exportFormat === "midi") {
+      try {
+        const bytes = jamToMidi(buildJamPayload());
+        downloadBlob(
+          new Blob([bytes], { type: "audio/midi" }),
+          `${filenameBase}.mid`
+        );
+      } catch (e) {
+        console.error("[TypeJam][page] MIDI export failed", e);
+        alert(`MIDI export failed: ${e.message}`);
+      }
+      return;
+    }
+
+    const controller = new AbortController();
+    exportAbortRef.current = controller;
+    setExportProgress(0);
     try {
-      const res = await fetch(`${AUDIO_API_URL}/api/convert?format=wav`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
+      const blob = await renderJamToWav({
+        clips,
+        recordingsById: recordingsById.current,
+        tracks,
+        timing,
+        bitDepth: settings.wavBitDepth,
+        onProgress: setExportProgress,
+        signal: controller.signal,
       });
-      if (!res.ok) throw new Error(`WAV failed ${res.status}`);
-      const blob = await res.blob();
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = `${filenameBase}.wav`;
-      document.body.appendChild(a);
-      a.click();
-      a.remove();
-      URL.revokeObjectURL(url);
+      downloadBlob(blob, `${filenameBase}.wav`);
     } catch (e) {
-      console.warn("WAV download failed, falling back to MIDI", e);
-      try {
-        const res = await fetch(`${AUDIO_API_URL}/api/convert?format=midi`, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(payload),
-        });
-        if (!res.ok) throw new Error(`MIDI failed ${res.status}`);
-        const blob = await res.blob();
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement("a");
-        a.href = url;
-        a.download = `${filenameBase}.mid`;
-        document.body.appendChild(a);
-        a.click();
-        a.remove();
-        URL.revokeObjectURL(url);
-      } catch (e2) {
-        alert("Download failed. Please try again later.");
+      if (e.name === "AbortError") {
+        console.log("[TypeJam][page] WAV export cancelled");
+        return;
       }
+      console.error("[TypeJam][page] WAV export failed", e);
+      alert(`WAV export failed: ${e.message}`);
+    } finally {
+      exportAbortRef.current = null;
+      setExportProgress(null);
     }
   };
 
+  const handleCancelExport = () => {
+    exportAbortRef.current?.abort();
+  };
+
+  // Import a .mid file: one new recording per MIDI track
+  const handleImportMidi = async (file) => {
+    try {
+      const imported = recordingsFromMidi(await file.arrayBuffer(), file.name);
+      if (!imported.length) {
+        alert("No playable notes found in that MIDI file.");
+        return;
+      }
+      console.log(
+        `[TypeJam][page] Imported ${imported.length} recordings from ${file.name}`
+      );
+      setRecordings((list) => [...list, ...imported]);
+      saveRecordings(imported);
+    } catch (e) {
+      console.error("[TypeJam][page] MIDI import failed", e);
+      alert(`Could not import ${file.name}: ${e.message}`);
+    }
+  };
+
+  // Quantize / humanize: the result is saved as a new recording (the take it
+  // came from is kept). From the clip inspector the clip switches to it.
+  const handleTransformRecording = (recordingId, kind, options, clipId) => {
+    const rec = recordingsById.current.get(recordingId);
+    if (!rec) return;
+    const version =
+      kind === "quantize"
+        ? createRecordingVersion(
+            rec,
+            quantizeNotes(rec.notes, {
+              ...options,
+              gridSec: snapToSec(options.grid, timing),
+            }),
+            describeQuantize(options)
+          )
+        : createRecordingVersion(
+            rec,
+            humanizeNotes(rec.notes, options),
+            describeHumanize(options)
+          );
+    console.log(
+      `[TypeJam][page] ${version.transform}: ${recordingId} -> ${version.id}`
+    );
+    setRecordings((list) => [...list, version]);
+    saveRecording(version);
+    if (clipId) handleUpdateClip(clipId, { recordingId: version.id });
+  };
+
+  // Piano roll: edits replace the recording's notes (same id, so clips using
+  // it pick them up)
+  const [editingRecordingId, setEditingRecordingId] = useState(null);
+  const editingRecording =
+    recordings.find((r) => r.id === editingRecordingId) || null;
+
+  const handleSaveRecordingEdits = (updated) => {
+    console.log("[TypeJam][page] Saving note edits:", updated.id);
+    replaceRecording("Edit notes", updated);
+  };
+
   // Clear all recordings
   const handleClearAllRecordings = () => {
     if (recordings.length === 0) return;
 
     const confirmed = window.confirm(
-      `Are you sure you want to delete all ${recordings.length} recordings? This cannot be undone.`
+      `Are you sure you want to delete all ${recordings.length} recordings? This cannot be undone and clears the undo history.`
     );
 
     if (confirmed) {
       console.log("[TypeJam][page] Clearing all recordings");
+      // Undo entries hold the deleted takes; drop them so none come back
+      history.clear();
       setRecordings([]);
-      clearRecordings(); // Clear from localStorage immediately
+      clearRecordings();
     }
   };
 
+  // Undo: Ctrl/Cmd+Z, redo: Ctrl/Cmd+Shift+Z (or Ctrl+Y). Fields keep their
+  // own text undo, and the piano roll's draft isn't part of the history.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.metaKey || e.ctrlKey) || e.altKey) return;
+      if (isEditableTarget(e.target) || editingRecordingId) return;
+      const key = e.key.toLowerCase();
+      if (key === "z") {
+        e.preventDefault();
+        if (e.shiftKey) history.redo();
+        else history.undo();
+      } else if (key === "y" && e.ctrlKey) {
+        e.preventDefault();
+        history.redo();
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [history, editingRecordingId]);
+
   // (Re)create instrument when selection changes
   useEffect(() => {
     // Load instrument whenever selection changes
@@ -242,20 +1151,25 @@ export default function Page() {
     const load = async () => {
       // Dispose previous instrument to free audio resources
       if (instRef.current) instRef.current.dispose();
-      const factory = INSTRUMENTS[selected];
-      console.groupCollapsed("[TypeJam][page] create instrument");
-      console.log({ selected, factory: typeof factory });
-      console.groupEnd();
+      console.log("[TypeJam][page] create instrument", selected);
       // Create and store the new instrument
-      const inst = factory();
+      const inst = createInstrument(selected);
       instRef.current = inst;
       // Wait for all Sampler buffers to finish loading
-      await inst.ensureReady();
+      try {
+        await inst.ensureReady();
+      } catch (e) {
+        // e.g. a soundfont missing from SOUNDFONT_URL
+        console.error("[TypeJam][page] instrument failed to load", e);
+        if (!cancelled) setInstrumentError(e.message);
+        return;
+      }
       console.log("[TypeJam][page] instrument ready");
       if (!cancelled) setReady(true);
     };
     // UI shows Loading... until ready flips to true
     setReady(false);
+    setInstrumentError(null);
     load();
     return () => {
       // Prevent state update if component unmounts during async load
@@ -263,100 +1177,309 @@ export default function Page() {
     };
   }, [selected]);
 
-  // Global key handler: map pressed key -> note + row/index, then play
+  // Physical keys -> notes: the rows under the chosen root/scale, plus the
+  // number row and per-key overrides from the key map
+  const keyboardMap = useMemo(
+    () =>
+      buildKeyboardMap({
+        instrument: selected,
+        mapping: settings.keyMapping,
+        keyMap: settings.keyMap,
+      }),
+    [selected, settings.keyMapping, settings.keyMap]
+  );
+
+  const handleExportKeyMap = () => {
+    downloadBlob(
+      new Blob([keyMapToJson(settings.keyMap)], { type: "application/json" }),
+      "typejam-keymap.json"
+    );
+  };
+
+  const handleImportKeyMap = async (file) => {
+    try {
+      updateSettings({ keyMap: parseKeyMap(await file.text()) });
+    } catch (e) {
+      console.error("[TypeJam][page] key map import failed", e);
+      alert(`Could not import ${file.name}: ${e.message}`);
+    }
+  };
+
+  // Sample files dropped anywhere on the page open the sample pack panel
+  const handleDragOver = (e) => {
+    if (e.dataTransfer.types.includes("Files")) e.preventDefault();
+  };
+  const handleDrop = (e) => {
+    const files = [...e.dataTransfer.files];
+    if (!files.length) return;
+    e.preventDefault();
+    setSampleFiles(files);
+    setShowSamplePacks(true);
+  };
+
+  // Store a new sample pack and switch to it; false keeps the draft open
+  const handleSaveSamplePack = async (pack) => {
+    if (!(await saveSamplePack(pack))) return false;
+    registerSamplePack(pack);
+    setSamplePacks((list) => [...list, pack]);
+    setSelected(samplePackInstrumentId(pack.id));
+    return true;
+  };
+
+  const handleDeleteSamplePack = async (pack) => {
+    const id = samplePackInstrumentId(pack.id);
+    const used = recordings.filter((r) => r.instrument === id).length;
+    const confirmed = window.confirm(
+      used
+        ? `Delete "${pack.name}"? ${used} recording(s) use it and won't play any more (importing the files again makes a new instrument).`
+        : `Delete "${pack.name}"?`
+    );
+    if (!confirmed) return;
+    await deleteSamplePack(pack.id);
+    if (selected === id) setSelected("piano");
+    unregisterSamplePack(pack.id);
+    setSamplePacks((list) => list.filter((p) => p.id !== pack.id));
+  };
+
+  // Global key handler: map pressed key -> note + row/index, then play.
+  // Pitched notes sound from keydown until keyup; percussion stays one-shot.
   useEffect(() => {
+    // Convert an audio-clock time (seconds) into a recording timestamp (ms),
+    // compensating for the configured input latency. Overdubs use the
+    // looping Transport's position, wrapped into the loop.
+    const toRecordingMs = (audioTime) => {
+      const { latencyMs } = currentRecordingRef.current;
+      const take = trackTakeRef.current;
+      if (take) {
+        const sec =
+          Tone.Transport.getSecondsAtTime(audioTime) - latencyMs / 1000;
+        const originSec = take.punch ? take.punch.startSec : take.fromSec;
+        return Math.max(0, (sec - originSec) * 1000);
+      }
+      const od = overdubRef.current;
+      if (od) {
+        const loopMs = od.loopSec * 1000;
+        const ms =
+          Tone.Transport.getSecondsAtTime(audioTime) * 1000 - latencyMs;
+        return ((ms % loopMs) + loopMs) % loopMs;
+      }
+      const { recordingStartTime } = recordingStateRef.current;
+      return Math.max(0, (audioTime - recordingStartTime) * 1000 - latencyMs);
+    };
+
+    // Track takes with punch on only capture between punch-in and punch-out
+    const insidePunch = (audioTime) => {
+      const punch = trackTakeRef.current?.punch;
+      if (!punch) return true;
+      const sec =
+        Tone.Transport.getSecondsAtTime(audioTime) -
+        currentRecordingRef.current.latencyMs / 1000;
+      return (
+        sec >= punch.startSec - CAPTURE_TOLERANCE_SEC && sec < punch.endSec
+      );
+    };
+
+    // Notes during the count-in sound but aren't captured
+    const isCapturingAt = (audioTime) => {
+      const { isRecording, recordingStartTime } = recordingStateRef.current;
+      return (
+        isRecording &&
+        audioTime >= recordingStartTime - CAPTURE_TOLERANCE_SEC &&
+        insidePunch(audioTime)
+      );
+    };
+
+    // Add a played note to the take; returns its index so a held note's
+    // duration can be filled in on keyup
+    const captureNote = (voice, audioTime, duration, velocity) => {
+      const noteData = {
+        instrument: selected,
+        note: voice.note,
+        row: voice.row,
+        i: voice.i,
+        len: voice.len,
+        timestamp: toRecordingMs(audioTime),
+        duration,
+        velocity,
+      };
+      console.log("[TypeJam][recording] captured note", noteData);
+      currentRecordingRef.current = {
+        ...currentRecordingRef.current,
+        instrument: selected,
+        notes: [...currentRecordingRef.current.notes, noteData],
+      };
+      return currentRecordingRef.current.notes.length - 1;
+    };
+
+    // Arpeggiator steps: scheduled one-shots, captured like typed notes
+    arpStepRef.current = (voice, time, stepSec) => {
+      const duration = stepSec * ARP_GATE;
+      const velocity = isPercussion(selected) ? 0.95 : 0.9;
+      instRef.current?.play(
+        voice.note,
+        duration,
+        time,
+        velocity,
+        voice.row,
+        voice.i,
+        voice.len
+      );
+      if (isCapturingAt(time)) captureNote(voice, time, duration, velocity);
+    };
+
     const onKeyDown = async (e) => {
       if (!ready) return;
-      // Some browsers require a user gesture to start the audio context
-      if (Tone.context.state !== "running") await Tone.start();
-      const k = e.key.toLowerCase();
+      // Shortcuts (Ctrl/Cmd+Z ...) and typing into fields aren't notes
+      if (e.metaKey || e.ctrlKey || e.altKey || isEditableTarget(e.target)) {
+        return;
+      }
+      // Holding a key fires repeated keydowns; the note is already sounding
+      if (e.repeat) return;
+      // Physical key (KeyboardEvent.code), whatever the layout types
+      const k = e.code;
+      if (heldKeysRef.current.has(k)) return;
+      const info = keyboardMap.get(k);
+      if (!info) return;
+      // Read the audio clock first: anything awaited below adds jitter
+      const pressedAt = Tone.immediate();
+      // Some browsers require a user gesture to start the audio context.
+      // Mark the key held first, so auto-repeat keydowns arriving during the
+      // await don't start notes of their own
+      if (Tone.context.state !== "running") {
+        const pending = { pending: true };
+        heldKeysRef.current.set(k, pending);
+        await Tone.start();
+        // Released (or focus lost) while the context was starting
+        if (heldKeysRef.current.get(k) !== pending) return;
+      }
+      const capturing = isCapturingAt(pressedAt);
       console.groupCollapsed("[TypeJam][page] keydown");
-      console.log({ key: k, selected });
+      console.log({ key: k, selected, info });
+
+      // Chord mode turns a pitched key into a chord (the key's row tone for
+      // every note); percussion always plays its one sample
+      const voices = (
+        isPercussion(selected)
+          ? [info.note]
+          : chordNotes(
+              info.note,
+              settings.keyMapping,
+              settings.performance.chord
+            )
+      ).map((note) => ({ ...info, note }));
 
-      // Common data for both drums and pitched
-      let noteData = null;
+      if (settings.performance.arp) {
+        // The arpeggiator plays (and captures) the notes one step at a time
+        arp.add(k, voices, pressedAt);
+        heldKeysRef.current.set(k, { arp: true });
+        console.groupEnd();
+        return;
+      }
 
-      if (selected === "drums") {
-        // For drums: key -> pseudo-note (e.g., C1) selecting the one-shot sample
-        const note = drumKeyToNote.get(k);
-        const info = indexMap.get(k);
-        console.log({ drumNote: note, drumInfo: info });
-        if (note && info) {
+      // Percussion hits are one-shots; pitched notes sound until keyup
+      const oneShot = isPercussion(selected);
+      const velocity = oneShot ? 0.95 : 0.9;
+      const noteIndexes = [];
+      for (const v of voices) {
+        if (oneShot) {
           instRef.current.play(
-            note,
+            v.note,
             "8n",
             undefined,
-            0.95,
-            info.row,
-            info.i,
-            info.len
+            velocity,
+            v.row,
+            v.i,
+            v.len
           );
-
-          // Capture drum note if recording
-          if (isRecording) {
-            noteData = {
-              instrument: selected,
-              note,
-              row: info.row,
-              i: info.i,
-              len: info.len,
-              timestamp: Date.now() - recordingStartTime,
-              duration: "8n",
-              velocity: 0.95,
-            };
-          }
-        }
-      } else {
-        // For pitched instruments: key -> musical note (e.g., C4)
-        const m = noteMap.get(k);
-        console.log({ pitchedMap: m, pitchedInfo: indexMap.get(k) });
-        if (m) {
-          const info = indexMap.get(k);
-          instRef.current.play(
-            m.note,
-            "8n",
+        } else {
+          instRef.current.attack(
+            v.note,
             undefined,
-            0.9,
-            m.row,
-            info?.i ?? 0,
-            info?.len ?? 1
+            velocity,
+            v.row,
+            v.i,
+            v.len
           );
-
-          // Capture pitched note if recording
-          if (isRecording) {
-            noteData = {
-              instrument: selected,
-              note: m.note,
-              row: m.row,
-              i: info?.i ?? 0,
-              len: info?.len ?? 1,
-              timestamp: Date.now() - recordingStartTime,
-              duration: "8n",
-              velocity: 0.9,
-            };
-          }
+        }
+        if (capturing) {
+          noteIndexes.push(captureNote(v, pressedAt, "8n", velocity));
         }
       }
 
-      // Add note to recording if captured
-      if (isRecording && noteData) {
-        console.log("[TypeJam][recording] captured note", noteData);
-        currentRecordingRef.current = {
-          ...currentRecordingRef.current,
-          instrument: selected,
-          notes: [...currentRecordingRef.current.notes, noteData],
-        };
-      }
+      heldKeysRef.current.set(k, {
+        notes: voices.map((v) => v.note),
+        row: info.row,
+        oneShot,
+        startedAt: pressedAt,
+        noteIndexes: oneShot ? [] : noteIndexes,
+      });
 
       console.groupEnd();
     };
+
+    // Release a held key's notes (or take them out of the arpeggio)
+    const releaseHeld = (k, held, releasedAt) => {
+      if (held.pending) return;
+      if (held.arp) {
+        arp.remove(k);
+        return;
+      }
+      if (held.oneShot) return;
+      for (const note of held.notes) {
+        instRef.current?.release(note, undefined, held.row);
+      }
+      finishHeldNote(held, releasedAt);
+    };
+
+    const onKeyUp = (e) => {
+      const k = e.code;
+      const held = heldKeysRef.current.get(k);
+      if (!held) return;
+      heldKeysRef.current.delete(k);
+      releaseHeld(k, held, Tone.immediate());
+    };
+
+    // Losing focus swallows keyup events: release everything still held
+    const releaseAll = () => {
+      const now = Tone.immediate();
+      for (const [k, held] of heldKeysRef.current) releaseHeld(k, held, now);
+      heldKeysRef.current.clear();
+    };
+
     window.addEventListener("keydown", onKeyDown);
-    return () => window.removeEventListener("keydown", onKeyDown);
-  }, [selected, ready, isRecording, recordingStartTime]);
+    window.addEventListener("keyup", onKeyUp);
+    window.addEventListener("blur", releaseAll);
+    return () => {
+      window.removeEventListener("keydown", onKeyDown);
+      window.removeEventListener("keyup", onKeyUp);
+      window.removeEventListener("blur", releaseAll);
+      releaseAll();
+    };
+  }, [
+    selected,
+    ready,
+    keyboardMap,
+    settings.keyMapping,
+    settings.performance,
+    arp,
+  ]);
+
+  // Downloads of instruments other than the selected one (jam tracks)
+  const otherLoads = Object.entries(instrumentLoads).filter(
+    ([id]) => id !== selected
+  );
+  const selectedLoad = instrumentLoads[selected];
+  const selectedProgress = selectedLoad
+    ? `${selectedLoad.loaded}/${selectedLoad.total}`
+    : "";
 
   // Render: instrument selector + readiness + brief usage hint
   return (
-    <main className="p-4 h-screen w-screen box-border">
+    <main
+      className="p-4 h-screen w-screen box-border"
+      onDragOver={handleDragOver}
+      onDrop={handleDrop}
+    >
       <h1 className="text-xl font-semibold mb-3">Type to play</h1>
       <div className="flex gap-4 items-center">
         <label>
@@ -366,27 +1489,220 @@ export default function Page() {
             onChange={(e) => setSelected(e.target.value)}
             className="ml-2 border rounded px-2 py-1"
           >
-            <option value="piano">Piano</option>
-            <option value="guitar">Guitar</option>
-            <option value="bass">Bass</option>
-            <option value="violin">Violin</option>
-            <option value="drums">Drums</option>
+            {instrumentGroups().map(({ group, instruments }) => {
+              const options = instruments.map((def) => (
+                <option key={def.id} value={def.id}>
+                  {def.name}
+                </option>
+              ));
+              return group ? (
+                <optgroup key={group} label={group}>
+                  {options}
+                </optgroup>
+              ) : (
+                options
+              );
+            })}
           </select>
         </label>
 
+        <KeyScalePicker
+          mapping={settings.keyMapping}
+          onChange={(keyMapping) => updateSettings({ keyMapping })}
+          disabled={isPercussion(selected) || isRecording}
+        />
+
+        <PerformanceControls
+          performance={settings.performance}
+          onChange={(performance) => updateSettings({ performance })}
+          chordsDisabled={isPercussion(selected)}
+        />
+
+        <button
+          onClick={() => setShowKeyMapEditor((v) => !v)}
+          className={`px-2 py-1 rounded border text-sm ${
+            showKeyMapEditor ? "bg-gray-200" : ""
+          }`}
+          title="Keyboard layout, number row and per-key notes"
+        >
+          Keys…
+        </button>
+
+        <button
+          onClick={() => {
+            setShowSamplePacks((v) => !v);
+            setSampleFiles(null);
+          }}
+          className={`px-2 py-1 rounded border text-sm ${
+            showSamplePacks ? "bg-gray-200" : ""
+          }`}
+          title="Build instruments from your own samples"
+        >
+          Samples…
+        </button>
+
         <button
           onClick={toggleRecording}
           disabled={!ready}
           className={`w-6 h-6 rounded-full border ${
             isRecording ? "bg-red-500" : "bg-white"
           }`}
-          title={isRecording ? "Stop Recording" : "Start Recording"}
+          title={
+            isRecording
+              ? "Stop Recording"
+              : armedRecording
+                ? "Start overdub on the armed recording"
+                : armedTrackIndex !== null
+                  ? `Record onto ${tracks[armedTrackIndex]?.name}`
+                  : "Start Recording"
+          }
         />
+        {isCountingIn && (
+          <span className="text-sm text-red-600">Count-in…</span>
+        )}
+        {armedRecording && (
+          <span className="flex items-center gap-2 text-sm rounded border border-red-300 bg-red-50 px-2 py-1">
+            Overdub: {armedRecording.name || armedRecording.instrument}
+            <select
+              value={settings.overdubLoop}
+              disabled={isRecording}
+              onChange={(e) =>
+                updateSettings({
+                  overdubLoop:
+                    e.target.value === "take"
+                      ? "take"
+                      : parseInt(e.target.value, 10),
+                })
+              }
+              className="border rounded px-1"
+              title="Loop length: each pass of new notes stacks on the ones before"
+            >
+              <option value="take">Whole take</option>
+              <option value={1}>1 bar</option>
+              <option value={2}>2 bars</option>
+              <option value={4}>4 bars</option>
+              <option value={8}>8 bars</option>
+            </select>
+            <button
+              disabled={isRecording}
+              onClick={() => setArmedRecordingId(null)}
+              title="Disarm"
+            >
+              ×
+            </button>
+          </span>
+        )}
+
+        <button
+          onClick={() => updateSettings({ metronome: !settings.metronome })}
+          className={`px-2 py-1 rounded border text-sm ${
+            settings.metronome ? "bg-gray-800 text-white" : ""
+          }`}
+          aria-pressed={settings.metronome}
+          title="Click on every beat while recording and playing (never recorded or exported)"
+        >
+          Metronome
+        </button>
+
+        <label className="text-sm">
+          Count-in:
+          <select
+            value={settings.countInBars}
+            onChange={(e) =>
+              updateSettings({ countInBars: parseInt(e.target.value, 10) })
+            }
+            className="ml-2 border rounded px-2 py-1"
+            title="Bars of clicks before capture starts; the take starts at the end of the count-in"
+          >
+            <option value={0}>Off</option>
+            <option value={1}>1 bar</option>
+            <option value={2}>2 bars</option>
+          </select>
+        </label>
+
+        <label className="text-sm">
+          Latency offset:
+          <input
+            type="number"
+            min={0}
+            max={500}
+            step={1}
+            value={settings.latencyMs}
+            onChange={(e) =>
+              updateSettings({
+                latencyMs: Math.max(0, parseInt(e.target.value, 10) || 0),
+              })
+            }
+            className="ml-2 w-16 border rounded px-2 py-1"
+            title="Milliseconds subtracted from every recorded note to compensate for input/output latency"
+          />{" "}
+          ms
+        </label>
       </div>
 
-      <p className="text-sm mt-2">{ready ? "Ready" : "Loading..."}</p>
+      {storageProblem && (
+        <div
+          role="alert"
+          className="mt-2 flex items-center gap-3 rounded border border-amber-400 bg-amber-50 px-3 py-2 text-sm text-amber-900"
+        >
+          <span className="flex-1">{storageProblem.message}</span>
+          <button
+            className="px-2 py-1 rounded border border-amber-400"
+            onClick={() => setStorageProblem(null)}
+          >
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      {showKeyMapEditor && (
+        <KeyMapEditor
+          keyMap={settings.keyMap}
+          keyboardMap={keyboardMap}
+          instrument={selected}
+          onChange={(keyMap) => updateSettings({ keyMap })}
+          onExport={handleExportKeyMap}
+          onImport={handleImportKeyMap}
+          onClose={() => setShowKeyMapEditor(false)}
+        />
+      )}
+
+      {showSamplePacks && (
+        <SamplePackPanel
+          files={sampleFiles}
+          onAddFiles={setSampleFiles}
+          packs={samplePacks}
+          onSave={handleSaveSamplePack}
+          onDelete={handleDeleteSamplePack}
+          onClose={() => {
+            setShowSamplePacks(false);
+            setSampleFiles(null);
+          }}
+        />
+      )}
+
+      <p className="text-sm mt-2">
+        {instrumentError ??
+          (ready ? "Ready" : `Loading... ${selectedProgress}`)}
+      </p>
+      {otherLoads.length > 0 && (
+        <p className="text-sm">
+          Loading samples:{" "}
+          {otherLoads.map(([id, { loaded, total, error }], n) => (
+            <span key={id} className={error ? "text-red-600" : ""}>
+              {n > 0 && ", "}
+              {instrumentName(id)}{" "}
+              {error ? `failed: ${error}` : `${loaded}/${total}`}
+            </span>
+          ))}
+        </p>
+      )}
       <p className="text-sm">
-        Letter keys only: Q–P, A–L, Z–M. Drums: Z–M, J/K.
+        Keys: {settings.keyMap.numberRow && "number row, "}
+        {rowRangeLegend(settings.keyMap.layout, "top", 10)},{" "}
+        {rowRangeLegend(settings.keyMap.layout, "mid", 9)},{" "}
+        {rowRangeLegend(settings.keyMap.layout, "bot", 7)}. Drums:{" "}
+        {rowRangeLegend(settings.keyMap.layout, "bot", 7)} play the kit.
       </p>
 
       <div className="mt-4 grid grid-cols-[340px_1fr] gap-4 h-[calc(100vh-140px)]">
@@ -395,34 +1711,156 @@ export default function Page() {
             recordings={recordings}
             onDelete={handleDeleteRecording}
             onClearAll={handleClearAllRecordings}
+            onImportMidi={handleImportMidi}
+            onTransform={handleTransformRecording}
+            onEdit={setEditingRecordingId}
+            onRename={handleRenameRecording}
+            armedRecordingId={armedRecording?.id ?? null}
+            onArm={handleArmRecording}
             currentInstrument={selected}
           />
         </div>
         <div className="flex flex-col h-full">
+          <div className="mb-2 flex items-center gap-2">
+            <ProjectPicker
+              projects={projects}
+              activeProjectId={project.id}
+              onSelect={handleSelectProject}
+              onCreate={handleCreateProject}
+              onRename={handleRenameProject}
+              onDuplicate={handleDuplicateProject}
+              onDelete={handleDeleteProject}
+              saveState={projectSaveState}
+            />
+            <button
+              className="px-2 py-1 rounded border text-sm disabled:opacity-40"
+              disabled={!historyState.undoLabel}
+              onClick={() => history.undo()}
+              title={
+                historyState.undoLabel
+                  ? `Undo ${historyState.undoLabel} (Ctrl/Cmd+Z)`
+                  : "Nothing to undo"
+              }
+            >
+              Undo
+            </button>
+            <button
+              className="px-2 py-1 rounded border text-sm disabled:opacity-40"
+              disabled={!historyState.redoLabel}
+              onClick={() => history.redo()}
+              title={
+                historyState.redoLabel
+                  ? `Redo ${historyState.redoLabel} (Ctrl/Cmd+Shift+Z)`
+                  : "Nothing to redo"
+              }
+            >
+              Redo
+            </button>
+          </div>
           <TransportControls
             isPlaying={isPlaying}
             onPlayPause={onPlayPause}
             onStop={onStop}
             pxPerSec={pxPerSec}
-            onChangePxPerSec={setPxPerSec}
-            snapSec={snapSec}
-            onChangeSnapSec={setSnapSec}
+            onChangePxPerSec={(v) => updateProject({ pxPerSec: v })}
+            snap={snap}
+            onChangeSnap={(v) =>
+              editProject("Change snap", (p) => ({ ...p, snap: v }))
+            }
+            bpm={bpm}
+            timeSignature={timeSignature}
+            onChangeTiming={handleChangeTiming}
+            rulerMode={rulerMode}
+            onChangeRulerMode={(v) =>
+              editProject("Change ruler", (p) => ({ ...p, rulerMode: v }))
+            }
+            loopEnabled={loopEnabled}
+            hasLoopRegion={!!loopRegion}
+            onToggleLoop={() =>
+              editProject("Toggle loop", (p) => ({
+                ...p,
+                loopEnabled: !p.loopEnabled,
+              }))
+            }
+            punchEnabled={punchEnabled}
+            onTogglePunch={() =>
+              editProject("Toggle punch", (p) => ({
+                ...p,
+                punchEnabled: !p.punchEnabled,
+              }))
+            }
             onDownload={handleDownload}
+            exportProgress={exportProgress}
+            onCancelExport={handleCancelExport}
+            exportFormat={settings.exportFormat}
+            wavBitDepth={settings.wavBitDepth}
+            onChangeExportFormat={(exportFormat, wavBitDepth) =>
+              updateSettings({ exportFormat, wavBitDepth })
+            }
           />
+          {selectedClip && (
+            <div className="mt-2">
+              <ClipInspector
+                clip={selectedClip}
+                recording={recordings.find(
+                  (r) => r.id === selectedClip.recordingId
+                )}
+                onChange={(patch) => handleUpdateClip(selectedClip.id, patch)}
+                onEditNotes={() =>
+                  setEditingRecordingId(selectedClip.recordingId)
+                }
+                onTransform={(kind, options) =>
+                  handleTransformRecording(
+                    selectedClip.recordingId,
+                    kind,
+                    options,
+                    selectedClip.id
+                  )
+                }
+                onClose={() => setSelectedClipId(null)}
+              />
+            </div>
+          )}
           <div className="mt-2 flex-1">
             <JamBoard
               clips={clips}
+              recordings={recordings}
+              selectedClipId={selectedClipId}
+              onSelectClip={setSelectedClipId}
               onCreateClip={handleCreateClip}
               onUpdateClip={handleUpdateClip}
               onDeleteClip={handleDeleteClip}
+              tracks={tracks}
+              onUpdateTrack={handleUpdateTrack}
               pxPerSec={pxPerSec}
-              numTracks={10}
+              numTracks={tracks.length}
               snapSec={snapSec}
+              rulerMode={rulerMode}
+              timing={timing}
               isActive={isPlaying}
+              positionSec={playheadSec}
+              onSeek={handleSeek}
+              loopRegion={loopRegion}
+              loopEnabled={loopEnabled}
+              punchEnabled={punchEnabled}
+              onChangeLoopRegion={handleChangeLoopRegion}
+              armedTrackIndex={armedTrackIndex}
+              onToggleArmTrack={handleToggleArmTrack}
             />
           </div>
         </div>
       </div>
+      {editingRecording && (
+        <div className="fixed inset-x-0 bottom-0 z-30 h-[45vh] bg-white border-t shadow-lg">
+          <PianoRoll
+            key={editingRecording.id}
+            recording={editingRecording}
+            snapSec={snapSec}
+            onSave={handleSaveRecordingEdits}
+            onClose={() => setEditingRecordingId(null)}
+          />
+        </div>
+      )}
     </main>
   );
 }
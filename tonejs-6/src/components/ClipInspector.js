@@ -0,0 +1,160 @@
+"use client";
+
+import {
+  CLIP_GAIN_RANGE_DB,
+  CLIP_TRANSPOSE_RANGE,
+  canTransposeClip,
+  clipLoopLengthSec,
+  recordingLengthSec,
+} from "../lib/clips";
+import TransformControls from "./TransformControls";
+
+// Settings for the selected jam board clip: loop, gain, transpose and trim reset.
+// Trimming itself happens with the edge handles on the board. Quantize and
+// humanize save a new version of the clip's recording and switch the clip to it.
+export default function ClipInspector({
+  clip,
+  recording,
+  onChange,
+  onTransform,
+  onEditNotes,
+  onClose,
+}) {
+  if (!clip) return null;
+  const recLengthSec = recording ? recordingLengthSec(recording) : null;
+  const offsetSec = clip.offsetSec ?? 0;
+  const gainDb = clip.gainDb ?? 0;
+  const transpose = clip.transpose ?? 0;
+  const canTranspose = canTransposeClip(recording);
+
+  const windowEnd =
+    offsetSec +
+    (clip.loop && recording
+      ? clipLoopLengthSec(clip, recording)
+      : clip.durationSec);
+
+  const toggleLoop = () => {
+    if (clip.loop) {
+      // Back to a plain clip: it can't run past the end of the recording
+      onChange({
+        loop: false,
+        durationSec: recLengthSec
+          ? Math.min(clip.durationSec, recLengthSec - offsetSec)
+          : clip.durationSec,
+      });
+    } else {
+      // Loop what is currently visible; drag the end handle to add repeats
+      onChange({ loop: true, loopLengthSec: clip.durationSec });
+    }
+  };
+
+  const setTranspose = (value) =>
+    onChange({
+      transpose: Math.max(
+        CLIP_TRANSPOSE_RANGE.min,
+        Math.min(CLIP_TRANSPOSE_RANGE.max, value)
+      ),
+    });
+
+  return (
+    <div className="flex flex-wrap items-center gap-4 text-sm border rounded px-3 py-2 bg-gray-50">
+      <span className="font-semibold truncate max-w-40" title={clip.name}>
+        {clip.name || "Clip"}
+      </span>
+      <span className="text-xs text-gray-500">
+        Plays {offsetSec.toFixed(2)}–{windowEnd.toFixed(2)}s
+        {recLengthSec ? ` of ${recLengthSec.toFixed(2)}s` : ""}
+      </span>
+
+      <label className="flex items-center gap-1">
+        <input type="checkbox" checked={!!clip.loop} onChange={toggleLoop} />
+        Loop
+      </label>
+
+      <label className="flex items-center gap-2">
+        Gain
+        <input
+          type="range"
+          min={CLIP_GAIN_RANGE_DB.min}
+          max={CLIP_GAIN_RANGE_DB.max}
+          step={0.5}
+          value={gainDb}
+          onChange={(e) => onChange({ gainDb: Number(e.target.value) })}
+          onDoubleClick={() => onChange({ gainDb: 0 })}
+          title="Double-click for 0 dB"
+        />
+        <span className="w-14 tabular-nums">
+          {gainDb > 0 ? "+" : ""}
+          {gainDb} dB
+        </span>
+      </label>
+
+      <div
+        className={`flex items-center gap-1 ${canTranspose ? "" : "opacity-50"}`}
+        title={
+          canTranspose ? "Transpose in semitones" : "Drums can't be transposed"
+        }
+      >
+        Transpose
+        <button
+          className="px-2 rounded border"
+          disabled={!canTranspose}
+          onClick={() => setTranspose(transpose - 1)}
+        >
+          −
+        </button>
+        <span className="w-8 text-center tabular-nums">
+          {transpose > 0 ? "+" : ""}
+          {transpose}
+        </span>
+        <button
+          className="px-2 rounded border"
+          disabled={!canTranspose}
+          onClick={() => setTranspose(transpose + 1)}
+        >
+          +
+        </button>
+      </div>
+
+      <button
+        className="px-2 py-1 rounded border"
+        disabled={!recLengthSec}
+        onClick={() =>
+          onChange({
+            offsetSec: 0,
+            durationSec: recLengthSec,
+            loop: false,
+            loopLengthSec: undefined,
+          })
+        }
+        title="Show the whole recording again"
+      >
+        Reset trim
+      </button>
+      {recording && onEditNotes && (
+        <button
+          className="px-2 py-1 rounded border"
+          onClick={onEditNotes}
+          title="Open the clip's recording in the piano roll"
+        >
+          Edit notes
+        </button>
+      )}
+      <button
+        className="ml-auto px-2 py-1 rounded border"
+        onClick={onClose}
+        title="Close"
+      >
+        ×
+      </button>
+      {recording && onTransform && (
+        <div className="basis-full">
+          <TransformControls
+            onQuantize={(options) => onTransform("quantize", options)}
+            onHumanize={(options) => onTransform("humanize", options)}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -4,17 +4,37 @@ import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import TimelineRuler from "./TimelineRuler";
 import TrackArea from "./TrackArea";
 
+// Width of the left gutter holding the track headers
+const GUTTER_PX = 168;
+// Ruler height: loop lane on top, seconds + seek area below
+const RULER_PX = 32;
+
 // JamBoard renders the time ruler and a set of vertical tracks.
 // It accepts drops from the recordings list and creates clips via onCreateClip.
 export default function JamBoard({
   clips,
+  recordings = [],
+  selectedClipId = null,
+  onSelectClip,
   onCreateClip,
   onUpdateClip,
   onDeleteClip,
+  tracks = [],
+  onUpdateTrack,
   pxPerSec = 100,
   numTracks = 10,
   snapSec = 0.5,
+  rulerMode = "time",
+  timing = null,
   isActive = false,
+  positionSec = 0,
+  onSeek,
+  loopRegion = null,
+  loopEnabled = false,
+  punchEnabled = false,
+  onChangeLoopRegion,
+  armedTrackIndex = null,
+  onToggleArmTrack,
 }) {
   const boardRef = useRef(null);
   const [playheadSec, setPlayheadSec] = useState(0);
@@ -58,12 +78,12 @@ export default function JamBoard({
 
       // Determine track index based on y
       const trackHeight = 56; // match TrackArea row height
-      let trackIndex = Math.floor((y - 24) / trackHeight); // 24px for ruler height
+      let trackIndex = Math.floor((y - RULER_PX) / trackHeight);
       if (trackIndex < 0) trackIndex = 0;
       if (trackIndex >= numTracks) trackIndex = numTracks - 1;
 
       // Compute time from x (minus gutter for labels)
-      const timeStartX = 48; // left gutter
+      const timeStartX = GUTTER_PX; // left gutter
       const rawSec = (x - timeStartX) / pxPerSec;
       const snappedSec = snapSec
         ? Math.max(0, Math.round(rawSec / snapSec) * snapSec)
@@ -86,6 +106,12 @@ export default function JamBoard({
     }
   }, []);
 
+  // Trimming needs each source recording's length
+  const recordingsById = useMemo(
+    () => new Map(recordings.map((r) => [r.id, r])),
+    [recordings]
+  );
+
   const clipsByTrack = useMemo(() => {
     const map = Array.from({ length: numTracks }, () => []);
     for (const c of clips) {
@@ -106,7 +132,7 @@ export default function JamBoard({
     const minSec = 30; // minimum visible timeline length
     return Math.max(minSec, Math.ceil(maxEnd + margin));
   }, [clips]);
-  const contentWidthPx = 48 + totalSec * pxPerSec;
+  const contentWidthPx = GUTTER_PX + totalSec * pxPerSec;
 
   return (
     <div
@@ -120,13 +146,25 @@ export default function JamBoard({
           <div className="relative">
             <TimelineRuler
               pxPerSec={pxPerSec}
-              leftGutterPx={48}
-              heightPx={24}
+              leftGutterPx={GUTTER_PX}
+              heightPx={RULER_PX}
               totalSec={totalSec}
+              mode={rulerMode}
+              timing={timing}
+              snapSec={snapSec}
+              onSeek={onSeek}
+              loopRegion={loopRegion}
+              loopEnabled={loopEnabled}
+              punchEnabled={punchEnabled}
+              onChangeLoopRegion={onChangeLoopRegion}
             />
+            {/* Playhead: follows the Transport while playing, else where it was left */}
             <div
-              className="absolute top-0 bottom-0 w-px bg-red-500"
-              style={{ left: 48 + playheadSec * pxPerSec }}
+              className="absolute top-0 bottom-0 w-px bg-red-500 pointer-events-none"
+              style={{
+                left:
+                  GUTTER_PX + (isActive ? playheadSec : positionSec) * pxPerSec,
+              }}
             />
           </div>
           <TrackArea
@@ -135,7 +173,14 @@ export default function JamBoard({
             clipsByTrack={clipsByTrack}
             onUpdateClip={onUpdateClip}
             onDeleteClip={onDeleteClip}
-            leftGutterPx={48}
+            recordingsById={recordingsById}
+            selectedClipId={selectedClipId}
+            onSelectClip={onSelectClip}
+            tracks={tracks}
+            onUpdateTrack={onUpdateTrack}
+            armedTrackIndex={armedTrackIndex}
+            onToggleArmTrack={onToggleArmTrack}
+            leftGutterPx={GUTTER_PX}
             rowHeightPx={56}
             snapSec={snapSec}
             totalSec={totalSec}
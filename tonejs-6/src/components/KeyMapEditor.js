@@ -0,0 +1,201 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import {
+  KEY_ROWS,
+  KEYBOARD_LAYOUTS,
+  ROW_LABELS,
+  assignKey,
+  keyLegend,
+} from "../lib/keyMaps";
+import {
+  getInstrument,
+  isPercussion,
+  sampleLabel,
+} from "../lib/instrumentRegistry";
+
+// Keyboard setup: layout legends, the number row and per-key overrides.
+// Click a key, then type a note (pitched) or pick a sample (percussion).
+// Overrides are kept separately for pitched and percussion instruments.
+export default function KeyMapEditor({
+  keyMap,
+  keyboardMap, // code -> { note } the keyboard plays right now
+  instrument,
+  onChange,
+  onExport,
+  onImport,
+  onClose,
+}) {
+  // Key-map section the overrides live in (see keyMaps.js)
+  const kind = isPercussion(instrument) ? "drums" : "pitched";
+  const drumLabel = (note) => sampleLabel(instrument, note);
+  const [selectedCode, setSelectedCode] = useState(null);
+  const [noteDraft, setNoteDraft] = useState("");
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const selectedNote = selectedCode
+    ? keyboardMap.get(selectedCode)?.note
+    : null;
+  useEffect(() => {
+    setNoteDraft(selectedNote ?? "");
+    setError(null);
+  }, [selectedCode, selectedNote]);
+
+  const assign = (note) => {
+    try {
+      onChange(assignKey(keyMap, kind, selectedCode, note));
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const overrides = keyMap[kind];
+
+  return (
+    <div className="mt-2 rounded border p-3 text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        <strong>Keys</strong>
+        <label>
+          Layout:
+          <select
+            value={keyMap.layout}
+            onChange={(e) => onChange({ ...keyMap, layout: e.target.value })}
+            className="ml-2 border rounded px-2 py-1"
+            title="Only changes the characters shown; keys are matched by position"
+          >
+            {Object.entries(KEYBOARD_LAYOUTS).map(([id, { label }]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={keyMap.numberRow}
+            onChange={(e) =>
+              onChange({ ...keyMap, numberRow: e.target.checked })
+            }
+          />
+          Number row
+        </label>
+        <button
+          className="px-2 py-1 rounded border disabled:opacity-40"
+          disabled={Object.keys(overrides).length === 0}
+          onClick={() => onChange({ ...keyMap, [kind]: {} })}
+          title={`Remove every ${kind === "drums" ? "percussion" : "pitched"} override`}
+        >
+          Reset all
+        </button>
+        <button className="px-2 py-1 rounded border" onClick={onExport}>
+          Export
+        </button>
+        <button
+          className="px-2 py-1 rounded border"
+          onClick={() => fileInputRef.current?.click()}
+        >
+          Import
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            if (file) onImport(file);
+            e.target.value = "";
+          }}
+        />
+        <button className="ml-auto px-2 py-1 rounded border" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      <div className="mt-3 flex flex-col gap-1">
+        {Object.entries(KEY_ROWS).map(([row, codes], r) => (
+          <div
+            key={row}
+            className="flex gap-1"
+            style={{ paddingLeft: r * 14 }}
+            title={ROW_LABELS[row]}
+          >
+            {codes.map((code) => {
+              const note = keyboardMap.get(code)?.note;
+              return (
+                <button
+                  key={code}
+                  onClick={() => setSelectedCode(code)}
+                  className={`w-12 h-12 rounded border flex flex-col items-center justify-center ${
+                    selectedCode === code ? "ring-2 ring-blue-500" : ""
+                  } ${code in overrides ? "border-blue-500" : ""} ${
+                    note ? "bg-white" : "bg-gray-100 text-gray-400"
+                  }`}
+                  title={code}
+                >
+                  <span className="font-semibold">
+                    {keyLegend(keyMap.layout, code)}
+                  </span>
+                  <span className="text-[10px]">
+                    {note ? (kind === "drums" ? drumLabel(note) : note) : "—"}
+                  </span>
+                </button>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+
+      {selectedCode && (
+        <div className="mt-3 flex items-center gap-2">
+          <span>
+            {keyLegend(keyMap.layout, selectedCode)} ({selectedCode}) plays
+          </span>
+          {kind === "drums" ? (
+            <select
+              value={selectedNote ?? ""}
+              onChange={(e) => assign(e.target.value)}
+              className="border rounded px-2 py-1"
+            >
+              <option value="" disabled>
+                nothing
+              </option>
+              {Object.keys(getInstrument(instrument).samples.urls).map((n) => (
+                <option key={n} value={n}>
+                  {drumLabel(n)}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <>
+              <input
+                value={noteDraft}
+                onChange={(e) => setNoteDraft(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && assign(noteDraft)}
+                className="w-20 border rounded px-2 py-1"
+                placeholder="C4"
+              />
+              <button
+                className="px-2 py-1 rounded border"
+                onClick={() => assign(noteDraft)}
+              >
+                Set
+              </button>
+            </>
+          )}
+          <button
+            className="px-2 py-1 rounded border disabled:opacity-40"
+            disabled={!(selectedCode in overrides)}
+            onClick={() => assign(null)}
+          >
+            Reset key
+          </button>
+          {error && <span className="text-red-600">{error}</span>}
+        </div>
+      )}
+    </div>
+  );
+}
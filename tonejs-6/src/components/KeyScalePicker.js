@@ -0,0 +1,80 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { ROOTS, SCALES, parseIntervals } from "../lib/scales";
+
+// Root + scale for the letter rows. "Custom" takes intervals in semitones
+// ("0 2 3 5 7 8 10"), applied on Enter/blur.
+export default function KeyScalePicker({
+  mapping,
+  onChange,
+  disabled = false,
+}) {
+  const [intervalsDraft, setIntervalsDraft] = useState(
+    (mapping.intervals ?? [0, 2, 4, 5, 7, 9, 11]).join(" ")
+  );
+  useEffect(() => {
+    if (mapping.intervals) setIntervalsDraft(mapping.intervals.join(" "));
+  }, [mapping.intervals]);
+
+  const commitIntervals = () => {
+    const intervals = parseIntervals(intervalsDraft);
+    setIntervalsDraft(intervals.join(" "));
+    onChange({ ...mapping, intervals });
+  };
+
+  return (
+    <div
+      className={`flex items-center gap-2 text-sm ${disabled ? "opacity-50" : ""}`}
+      title={
+        disabled ? "Drums don't use a scale" : "Notes the letter rows play"
+      }
+    >
+      Key:
+      <select
+        value={mapping.root}
+        disabled={disabled || mapping.scale === "chromatic"}
+        onChange={(e) => onChange({ ...mapping, root: e.target.value })}
+        className="border rounded px-2 py-1"
+      >
+        {ROOTS.map((r) => (
+          <option key={r} value={r}>
+            {r}
+          </option>
+        ))}
+      </select>
+      <select
+        value={mapping.scale}
+        disabled={disabled}
+        onChange={(e) => {
+          const scale = e.target.value;
+          onChange(
+            scale === "custom"
+              ? { ...mapping, scale, intervals: parseIntervals(intervalsDraft) }
+              : { root: mapping.root, scale }
+          );
+        }}
+        className="border rounded px-2 py-1"
+      >
+        {Object.entries(SCALES).map(([id, { label }]) => (
+          <option key={id} value={id}>
+            {label}
+          </option>
+        ))}
+        <option value="custom">Custom…</option>
+      </select>
+      {mapping.scale === "custom" && (
+        <input
+          value={intervalsDraft}
+          disabled={disabled}
+          onChange={(e) => setIntervalsDraft(e.target.value)}
+          onBlur={commitIntervals}
+          onKeyDown={(e) => e.key === "Enter" && commitIntervals()}
+          className="w-36 border rounded px-2 py-1"
+          placeholder="0 2 3 5 7 8 10"
+          title="Semitones above the root, separated by spaces"
+        />
+      )}
+    </div>
+  );
+}
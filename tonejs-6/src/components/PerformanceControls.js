@@ -0,0 +1,72 @@
+"use client";
+
+import { ARP_MODES, ARP_RATES, CHORD_TYPES } from "../lib/performance";
+
+// Chord mode (pitched instruments) and the arpeggiator. Chords are built
+// from the key/scale picked in KeyScalePicker; the arpeggiator rate follows
+// the project tempo.
+export default function PerformanceControls({
+  performance,
+  onChange,
+  chordsDisabled = false,
+}) {
+  const set = (patch) => onChange({ ...performance, ...patch });
+
+  return (
+    <div className="flex items-center gap-2 text-sm">
+      <select
+        value={chordsDisabled ? "off" : performance.chord}
+        disabled={chordsDisabled}
+        onChange={(e) => set({ chord: e.target.value })}
+        className="border rounded px-2 py-1 disabled:opacity-50"
+        title={
+          chordsDisabled
+            ? "Percussion doesn't play chords"
+            : "Each key plays a chord from the current scale"
+        }
+      >
+        {Object.entries(CHORD_TYPES).map(([id, { label }]) => (
+          <option key={id} value={id}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <label
+        className="flex items-center gap-1"
+        title="Play held keys one note at a time"
+      >
+        <input
+          type="checkbox"
+          checked={performance.arp}
+          onChange={(e) => set({ arp: e.target.checked })}
+        />
+        Arp
+      </label>
+      <select
+        value={performance.arpMode}
+        disabled={!performance.arp}
+        onChange={(e) => set({ arpMode: e.target.value })}
+        className="border rounded px-2 py-1 disabled:opacity-50"
+      >
+        {Object.entries(ARP_MODES).map(([id, label]) => (
+          <option key={id} value={id}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <select
+        value={performance.arpRate}
+        disabled={!performance.arp}
+        onChange={(e) => set({ arpRate: e.target.value })}
+        className="border rounded px-2 py-1 disabled:opacity-50"
+        title="Arpeggiator step length (follows the tempo)"
+      >
+        {Object.keys(ARP_RATES).map((rate) => (
+          <option key={rate} value={rate}>
+            {rate}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
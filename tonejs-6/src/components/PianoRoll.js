@@ -0,0 +1,550 @@
+"use client";
+
+import { useEffect, useMemo, useRef, useState } from "react";
+import * as Tone from "tone";
+import { createInstrument } from "../lib/instruments";
+import { getInstrument, isPercussion } from "../lib/instrumentRegistry";
+import { keyInfoForNote } from "../lib/keys";
+import { recordingLengthSec } from "../lib/clips";
+import {
+  MIN_NOTE_SEC,
+  ONE_SHOT_DISPLAY_SEC,
+  noteDisplaySec,
+  pianoRollRows,
+  rowIndexOfNote,
+} from "../lib/pianoRoll";
+
+const KEYS_PX = 64;
+const PITCH_ROW_PX = 14;
+const DRUM_ROW_PX = 24;
+const VELOCITY_LANE_PX = 64;
+
+let nextNoteKey = 1;
+// Draft notes carry a key so selection survives re-sorting
+const withKey = (n) => ({ ...n, key: nextNoteKey++ });
+
+// Piano-roll editor for one recording: pitches (or drum pieces) down the side,
+// time across. Select, move, resize, delete and draw notes; drag the bars in
+// the velocity lane. Edits stay in a draft until Save.
+export default function PianoRoll({ recording, snapSec, onSave, onClose }) {
+  const isDrums = isPercussion(recording.instrument);
+  const rowPx = isDrums ? DRUM_ROW_PX : PITCH_ROW_PX;
+
+  const [notes, setNotes] = useState(() => recording.notes.map(withKey));
+  const [selected, setSelected] = useState(() => new Set());
+  const [tool, setTool] = useState("select"); // "select" | "draw"
+  const [snapOn, setSnapOn] = useState(!!snapSec);
+  const [pxPerSec, setPxPerSec] = useState(160);
+  const [dirty, setDirty] = useState(false);
+  const [dragState, setDragState] = useState(null);
+  const gridRef = useRef(null);
+  const laneRef = useRef(null);
+
+  // Rows fit the original take; notes dragged or drawn outside stay in range
+  const rows = useMemo(
+    () => pianoRollRows(recording.instrument, recording.notes),
+    [recording]
+  );
+
+  const lengthSec = Math.max(
+    recordingLengthSec(recording),
+    ...notes.map((n) => n.timestamp / 1000 + noteDisplaySec(n))
+  );
+  const contentWidthPx = (lengthSec + 2) * pxPerSec;
+  const gridHeightPx = rows.length * rowPx;
+
+  const snap = (sec) =>
+    snapOn && snapSec ? Math.round(sec / snapSec) * snapSec : sec;
+
+  // ---------------------------------------------------------------------------
+  // Audition through the recording's instrument
+  // ---------------------------------------------------------------------------
+  const instRef = useRef(null);
+  useEffect(() => {
+    // Recordings of an instrument that's no longer registered can't audition
+    const inst = getInstrument(recording.instrument)
+      ? createInstrument(recording.instrument)
+      : null;
+    instRef.current = inst ?? null;
+    // A load failure shows in the page's loading line; auditions stay silent
+    inst?.ensureReady().catch(() => {});
+    return () => {
+      inst?.dispose();
+      instRef.current = null;
+    };
+  }, [recording.instrument]);
+
+  const audition = async (note) => {
+    const inst = instRef.current;
+    if (!inst) return;
+    if (Tone.context.state !== "running") await Tone.start();
+    inst.play(
+      note.note,
+      isDrums ? "8n" : Math.min(0.5, noteDisplaySec(note)),
+      undefined,
+      note.velocity ?? 0.9,
+      note.row,
+      note.i,
+      note.len
+    );
+  };
+
+  // ---------------------------------------------------------------------------
+  // Editing helpers
+  // ---------------------------------------------------------------------------
+  const commit = (next) => {
+    setNotes(next.sort((a, b) => a.timestamp - b.timestamp));
+    setDirty(true);
+  };
+
+  // Changing pitch also moves the note to the keyboard row that plays it,
+  // so the per-row FX match a live take
+  const withPitch = (n, note) => ({
+    ...n,
+    note,
+    ...keyInfoForNote(note, recording.instrument, recording.keyMapping),
+  });
+
+  const deleteSelected = () => {
+    if (!selected.size) return;
+    commit(notes.filter((n) => !selected.has(n.key)));
+    setSelected(new Set());
+  };
+
+  const pointerSec = (e) =>
+    Math.max(
+      0,
+      (e.clientX - gridRef.current.getBoundingClientRect().left) / pxPerSec
+    );
+  const pointerRow = (e) =>
+    Math.max(
+      0,
+      Math.min(
+        rows.length - 1,
+        Math.floor(
+          (e.clientY - gridRef.current.getBoundingClientRect().top) / rowPx
+        )
+      )
+    );
+
+  // mode: "move" (note body) or "resize" (right edge, pitched notes only)
+  const onPointerDownNote = (e, note, mode) => {
+    e.preventDefault();
+    e.stopPropagation();
+    let nextSelected = selected;
+    if (e.shiftKey) {
+      nextSelected = new Set(selected);
+      if (nextSelected.has(note.key)) nextSelected.delete(note.key);
+      else nextSelected.add(note.key);
+    } else if (!selected.has(note.key)) {
+      nextSelected = new Set([note.key]);
+    }
+    setSelected(nextSelected);
+    if (!nextSelected.has(note.key)) return;
+    audition(note);
+    startDrag(e, mode, note, nextSelected, notes);
+  };
+
+  const startDrag = (e, mode, primary, keys, fromNotes) => {
+    const base = new Map();
+    for (const n of fromNotes) {
+      if (!keys.has(n.key)) continue;
+      base.set(n.key, {
+        timestamp: n.timestamp,
+        duration: n.duration,
+        rowIndex: rowIndexOfNote(rows, n.note, recording.instrument),
+      });
+    }
+    setDragState({
+      mode,
+      primaryKey: primary.key,
+      base,
+      originX: e.clientX,
+      originY: e.clientY,
+      lastRowDelta: 0,
+    });
+    gridRef.current?.setPointerCapture?.(e.pointerId);
+  };
+
+  // Empty grid: draw a note (draw tool) or clear the selection
+  const onPointerDownGrid = (e) => {
+    if (tool !== "draw") {
+      setSelected(new Set());
+      return;
+    }
+    e.preventDefault();
+    // New notes start on the grid step under the pointer, one step long
+    const step = snapOn && snapSec ? snapSec : null;
+    const sec = step ? Math.floor(pointerSec(e) / step) * step : pointerSec(e);
+    const note = withKey(
+      withPitch(
+        {
+          instrument: recording.instrument,
+          timestamp: sec * 1000,
+          duration: isDrums ? "8n" : (step ?? 0.25),
+          velocity: 0.9,
+        },
+        rows[pointerRow(e)].note
+      )
+    );
+    const next = [...notes, note];
+    commit(next);
+    const keys = new Set([note.key]);
+    setSelected(keys);
+    audition(note);
+    // Keep dragging to set the length
+    if (!isDrums) startDrag(e, "resize", note, keys, next);
+  };
+
+  const onPointerMove = (e) => {
+    if (!dragState) return;
+    const { mode, primaryKey, base } = dragState;
+    const primary = base.get(primaryKey);
+    const dtSec = (e.clientX - dragState.originX) / pxPerSec;
+
+    if (mode === "resize") {
+      if (typeof primary.duration !== "number") return;
+      const startSec = primary.timestamp / 1000;
+      const newLen = Math.max(
+        MIN_NOTE_SEC,
+        snap(startSec + primary.duration + dtSec) - startSec
+      );
+      const change = newLen - primary.duration;
+      setNotes((prev) =>
+        prev.map((n) => {
+          const b = base.get(n.key);
+          return b && typeof b.duration === "number"
+            ? { ...n, duration: Math.max(MIN_NOTE_SEC, b.duration + change) }
+            : n;
+        })
+      );
+      setDirty(true);
+      return;
+    }
+
+    // Move: the grabbed note snaps, the rest of the selection follows
+    const primarySec = primary.timestamp / 1000;
+    let shiftSec = Math.max(0, snap(primarySec + dtSec)) - primarySec;
+    let rowDelta = Math.round((e.clientY - dragState.originY) / rowPx);
+    for (const b of base.values()) {
+      shiftSec = Math.max(shiftSec, -b.timestamp / 1000);
+      if (b.rowIndex < 0) continue;
+      rowDelta = Math.max(
+        -b.rowIndex,
+        Math.min(rows.length - 1 - b.rowIndex, rowDelta)
+      );
+    }
+    setNotes((prev) =>
+      prev.map((n) => {
+        const b = base.get(n.key);
+        if (!b) return n;
+        const moved = { ...n, timestamp: b.timestamp + shiftSec * 1000 };
+        return rowDelta && b.rowIndex >= 0
+          ? withPitch(moved, rows[b.rowIndex + rowDelta].note)
+          : moved;
+      })
+    );
+    setDirty(true);
+    if (rowDelta !== dragState.lastRowDelta) {
+      setDragState({ ...dragState, lastRowDelta: rowDelta });
+      const grabbed = notes.find((n) => n.key === primaryKey);
+      if (grabbed && primary.rowIndex >= 0) {
+        audition(withPitch(grabbed, rows[primary.rowIndex + rowDelta].note));
+      }
+    }
+  };
+
+  const onPointerUp = (e) => {
+    if (!dragState) return;
+    gridRef.current?.releasePointerCapture?.(e.pointerId);
+    setDragState(null);
+    setNotes((prev) => [...prev].sort((a, b) => a.timestamp - b.timestamp));
+  };
+
+  // ---------------------------------------------------------------------------
+  // Velocity lane: drag a bar up or down (moves every selected note if the
+  // bar belongs to the selection)
+  // ---------------------------------------------------------------------------
+  const setVelocityFromPointer = (e, keys) => {
+    const rect = laneRef.current.getBoundingClientRect();
+    const velocity = Math.max(
+      0.05,
+      Math.min(1, 1 - (e.clientY - rect.top) / VELOCITY_LANE_PX)
+    );
+    setNotes((prev) =>
+      prev.map((n) => (keys.has(n.key) ? { ...n, velocity } : n))
+    );
+    setDirty(true);
+  };
+
+  const onPointerDownVelocity = (e, note) => {
+    e.preventDefault();
+    const keys = selected.has(note.key) ? selected : new Set([note.key]);
+    if (!selected.has(note.key)) setSelected(keys);
+    setVelocityFromPointer(e, keys);
+    setDragState({ mode: "velocity", keys });
+    laneRef.current?.setPointerCapture?.(e.pointerId);
+  };
+
+  const onPointerMoveLane = (e) => {
+    if (dragState?.mode === "velocity")
+      setVelocityFromPointer(e, dragState.keys);
+  };
+
+  const onPointerUpLane = (e) => {
+    if (dragState?.mode !== "velocity") return;
+    laneRef.current?.releasePointerCapture?.(e.pointerId);
+    setDragState(null);
+  };
+
+  // ---------------------------------------------------------------------------
+  // Keyboard: handled here so Delete/arrows don't reach the playing keyboard
+  // ---------------------------------------------------------------------------
+  const onKeyDown = (e) => {
+    if (e.key === "Delete" || e.key === "Backspace") {
+      e.preventDefault();
+      deleteSelected();
+    } else if (e.key === "Escape") {
+      setSelected(new Set());
+    } else if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === "a") {
+      e.preventDefault();
+      setSelected(new Set(notes.map((n) => n.key)));
+    } else {
+      return;
+    }
+    e.stopPropagation();
+  };
+
+  const save = () => {
+    const saved = notes.map(({ key, ...n }) => n);
+    const lastEndMs = Math.max(
+      0,
+      ...saved.map(
+        (n) =>
+          n.timestamp +
+          (typeof n.duration === "number" ? n.duration : ONE_SHOT_DISPLAY_SEC) *
+            1000
+      )
+    );
+    onSave({
+      ...recording,
+      notes: saved,
+      duration: Math.max(recording.duration, lastEndMs),
+    });
+    setDirty(false);
+  };
+
+  const close = () => {
+    if (dirty && !window.confirm("Discard unsaved note edits?")) return;
+    onClose();
+  };
+
+  // Grid lines: every snap step when snapping (if there's room), every second
+  const gridLineSec =
+    snapOn && snapSec && snapSec * pxPerSec >= 8 ? snapSec : 1;
+
+  return (
+    <div
+      className="flex flex-col h-full outline-none"
+      tabIndex={0}
+      onKeyDown={onKeyDown}
+    >
+      <div className="flex flex-wrap items-center gap-3 text-sm px-3 py-2 border-b">
+        <span className="font-semibold truncate max-w-60">
+          {recording.name || recording.instrument}
+        </span>
+        <div className="flex rounded border overflow-hidden">
+          {["select", "draw"].map((t) => (
+            <button
+              key={t}
+              className={`px-2 py-1 capitalize ${tool === t ? "bg-gray-800 text-white" : ""}`}
+              onClick={() => setTool(t)}
+              aria-pressed={tool === t}
+            >
+              {t}
+            </button>
+          ))}
+        </div>
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={snapOn}
+            disabled={!snapSec}
+            onChange={(e) => setSnapOn(e.target.checked)}
+          />
+          Snap to grid
+        </label>
+        <label className="flex items-center gap-1">
+          Zoom
+          <input
+            type="range"
+            min={40}
+            max={600}
+            step={10}
+            value={pxPerSec}
+            onChange={(e) => setPxPerSec(Number(e.target.value))}
+          />
+        </label>
+        <button
+          className="px-2 py-1 rounded border"
+          disabled={!selected.size}
+          onClick={deleteSelected}
+          title="Delete selected notes (Delete)"
+        >
+          Delete
+        </button>
+        <span className="text-xs text-gray-500">
+          {notes.length} notes
+          {selected.size ? `, ${selected.size} selected` : ""}
+        </span>
+        <div className="ml-auto flex gap-2">
+          <button
+            className="px-3 py-1 rounded bg-indigo-600 text-white disabled:opacity-50"
+            disabled={!dirty}
+            onClick={save}
+          >
+            Save
+          </button>
+          <button className="px-3 py-1 rounded border" onClick={close}>
+            Close
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-auto">
+        <div className="relative" style={{ width: KEYS_PX + contentWidthPx }}>
+          <div className="flex">
+            {/* Key column, pinned while scrolling sideways */}
+            <div
+              className="sticky left-0 z-10 shrink-0 bg-white border-r"
+              style={{ width: KEYS_PX }}
+            >
+              {rows.map((row) => (
+                <button
+                  key={row.note}
+                  className={`block w-full text-right pr-1 text-[10px] border-b border-gray-100 ${
+                    row.black ? "bg-gray-700 text-white" : "bg-white"
+                  }`}
+                  style={{ height: rowPx }}
+                  onPointerDown={() =>
+                    audition({
+                      note: row.note,
+                      duration: 0.3,
+                      velocity: 0.9,
+                      ...keyInfoForNote(
+                        row.note,
+                        recording.instrument,
+                        recording.keyMapping
+                      ),
+                    })
+                  }
+                >
+                  {row.label}
+                </button>
+              ))}
+            </div>
+
+            {/* Note grid */}
+            <div
+              ref={gridRef}
+              className={`relative ${tool === "draw" ? "cursor-crosshair" : ""}`}
+              style={{ width: contentWidthPx, height: gridHeightPx }}
+              onPointerDown={onPointerDownGrid}
+              onPointerMove={onPointerMove}
+              onPointerUp={onPointerUp}
+              onPointerCancel={onPointerUp}
+            >
+              {rows.map((row, r) => (
+                <div
+                  key={row.note}
+                  className={`absolute left-0 right-0 border-b border-gray-100 ${
+                    row.black ? "bg-gray-100" : ""
+                  }`}
+                  style={{ top: r * rowPx, height: rowPx }}
+                />
+              ))}
+              {Array.from(
+                { length: Math.ceil(contentWidthPx / pxPerSec / gridLineSec) },
+                (_, k) => (
+                  <div
+                    key={k}
+                    className={`absolute top-0 bottom-0 border-l pointer-events-none ${
+                      Math.abs((k * gridLineSec) % 1) < 1e-6
+                        ? "border-gray-300"
+                        : "border-gray-100"
+                    }`}
+                    style={{ left: k * gridLineSec * pxPerSec }}
+                  />
+                )
+              )}
+              {notes.map((n) => {
+                const r = rowIndexOfNote(rows, n.note, recording.instrument);
+                if (r < 0) return null;
+                const isSelected = selected.has(n.key);
+                return (
+                  <div
+                    key={n.key}
+                    className={`absolute rounded-sm border ${
+                      isSelected
+                        ? "bg-amber-400 border-amber-600"
+                        : "bg-indigo-500 border-indigo-700"
+                    }`}
+                    style={{
+                      left: (n.timestamp / 1000) * pxPerSec,
+                      top: r * rowPx + 1,
+                      height: rowPx - 2,
+                      width: Math.max(4, noteDisplaySec(n) * pxPerSec),
+                      opacity: 0.4 + 0.6 * (n.velocity ?? 0.9),
+                    }}
+                    onPointerDown={(e) => onPointerDownNote(e, n, "move")}
+                    title={`${n.note} @ ${(n.timestamp / 1000).toFixed(3)}s`}
+                  >
+                    {!isDrums && (
+                      <div
+                        className="absolute right-0 top-0 bottom-0 w-1.5 cursor-ew-resize"
+                        onPointerDown={(e) => onPointerDownNote(e, n, "resize")}
+                      />
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          {/* Velocity lane */}
+          <div className="flex border-t">
+            <div
+              className="sticky left-0 z-10 shrink-0 bg-white border-r text-[10px] text-right pr-1 pt-1"
+              style={{ width: KEYS_PX }}
+            >
+              Velocity
+            </div>
+            <div
+              ref={laneRef}
+              className="relative bg-gray-50"
+              style={{ width: contentWidthPx, height: VELOCITY_LANE_PX }}
+              onPointerMove={onPointerMoveLane}
+              onPointerUp={onPointerUpLane}
+              onPointerCancel={onPointerUpLane}
+            >
+              {notes.map((n) => (
+                <div
+                  key={n.key}
+                  className={`absolute bottom-0 w-1.5 cursor-ns-resize ${
+                    selected.has(n.key) ? "bg-amber-500" : "bg-indigo-500"
+                  }`}
+                  style={{
+                    left: (n.timestamp / 1000) * pxPerSec,
+                    height: (n.velocity ?? 0.9) * VELOCITY_LANE_PX,
+                  }}
+                  onPointerDown={(e) => onPointerDownVelocity(e, n)}
+                  title={`Velocity ${Math.round((n.velocity ?? 0.9) * 100)}%`}
+                />
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
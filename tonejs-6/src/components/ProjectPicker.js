@@ -0,0 +1,96 @@
+"use client";
+
+// Project picker: switch between saved jam board arrangements and manage them.
+export default function ProjectPicker({
+  projects,
+  activeProjectId,
+  onSelect,
+  onCreate,
+  onRename,
+  onDuplicate,
+  onDelete,
+  saveState = "saved",
+}) {
+  const active = projects.find((p) => p.id === activeProjectId);
+
+  const askName = (message, current) => {
+    const name = window.prompt(message, current)?.trim();
+    return name || null;
+  };
+
+  return (
+    <div className="flex items-center gap-2 text-sm">
+      <span>Project</span>
+      <select
+        className="border rounded px-2 py-1 max-w-48"
+        value={activeProjectId ?? ""}
+        onChange={(e) => onSelect(e.target.value)}
+      >
+        {projects.map((p) => (
+          <option key={p.id} value={p.id}>
+            {p.name}
+          </option>
+        ))}
+      </select>
+      <button
+        className="px-2 py-1 rounded border"
+        onClick={() => {
+          const name = askName("Name for the new project:", "Untitled project");
+          if (name) onCreate(name);
+        }}
+        title="New project"
+      >
+        New
+      </button>
+      <button
+        className="px-2 py-1 rounded border"
+        disabled={!active}
+        onClick={() => {
+          const name = askName("Rename project:", active.name);
+          if (name && name !== active.name) onRename(active.id, name);
+        }}
+        title="Rename project"
+      >
+        Rename
+      </button>
+      <button
+        className="px-2 py-1 rounded border"
+        disabled={!active}
+        onClick={() => {
+          const name = askName("Name for the copy:", `${active.name} (copy)`);
+          if (name) onDuplicate(active.id, name);
+        }}
+        title="Duplicate project"
+      >
+        Duplicate
+      </button>
+      <button
+        className="px-2 py-1 rounded border text-red-600"
+        disabled={!active}
+        onClick={() => {
+          if (
+            window.confirm(
+              `Delete project "${active.name}"? Its recordings are kept.`
+            )
+          ) {
+            onDelete(active.id);
+          }
+        }}
+        title="Delete project"
+      >
+        Delete
+      </button>
+      <span
+        className={`text-xs w-16 ${
+          saveState === "error" ? "text-red-600" : "text-gray-500"
+        }`}
+      >
+        {saveState === "saving"
+          ? "Saving…"
+          : saveState === "error"
+            ? "Not saved"
+            : "Saved"}
+      </span>
+    </div>
+  );
+}
@@ -3,12 +3,29 @@
 
 import { useEffect, useRef, useState } from "react";
 import { createPlaybackEngine } from "../lib/playback";
+import TransformControls from "./TransformControls";
+import { describeKeyMapping } from "../lib/scales";
+import { getInstrument, instrumentName } from "../lib/instrumentRegistry";
 
-export default function RecordingsList({ recordings, onDelete, onClearAll }) {
+export default function RecordingsList({
+  recordings,
+  onDelete,
+  onClearAll,
+  onImportMidi,
+  onTransform,
+  onEdit,
+  onRename,
+  armedRecordingId = null,
+  onArm,
+}) {
   // Track playback state per recording
   const [playbackStates, setPlaybackStates] = useState({});
   // Keep playback engines in a ref to avoid recreation
   const enginesRef = useRef({});
+  // Hidden <input type="file"> behind the Import MIDI button
+  const midiInputRef = useRef(null);
+  // Recording whose quantize/humanize controls are open
+  const [transformingId, setTransformingId] = useState(null);
 
   // Cleanup engines on unmount
   useEffect(() => {
@@ -17,11 +34,24 @@ export default function RecordingsList({ recordings, onDelete, onClearAll }) {
     };
   }, []);
 
+  // An edited recording keeps its id: drop the engine built from the old notes
+  const engineSourcesRef = useRef({});
+  useEffect(() => {
+    for (const recording of recordings) {
+      const engine = enginesRef.current[recording.id];
+      if (engine && engineSourcesRef.current[recording.id] !== recording) {
+        engine.dispose();
+        delete enginesRef.current[recording.id];
+      }
+    }
+  }, [recordings]);
+
   const getEngine = (recordingId) => {
     if (!enginesRef.current[recordingId]) {
       const recording = recordings.find((r) => r.id === recordingId);
       if (recording) {
         enginesRef.current[recordingId] = createPlaybackEngine(recording);
+        engineSourcesRef.current[recordingId] = recording;
       }
     }
     return enginesRef.current[recordingId];
@@ -44,7 +74,14 @@ export default function RecordingsList({ recordings, onDelete, onClearAll }) {
         }
       });
 
-      await engine.play();
+      try {
+        await engine.play();
+      } catch (e) {
+        // e.g. a sample or soundfont that isn't there any more
+        console.error("[TypeJam][recordings] playback failed", e);
+        alert(`Playback failed: ${e.message}`);
+        return;
+      }
       setPlaybackStates((prev) =>
         Object.fromEntries(
           Object.keys(prev).map((id) => [id, id === recordingId])
@@ -62,6 +99,16 @@ export default function RecordingsList({ recordings, onDelete, onClearAll }) {
     onDelete(recordingId);
   };
 
+  const handleRename = (recording) => {
+    const name = window
+      .prompt(
+        "Recording name",
+        recording.name || instrumentName(recording.instrument)
+      )
+      ?.trim();
+    if (name && name !== recording.name) onRename?.(recording.id, name);
+  };
+
   const onDragStartRecording = (e, recording) => {
     e.dataTransfer.setData("application/x-recording-id", recording.id);
     e.dataTransfer.setData(
@@ -82,6 +129,33 @@ export default function RecordingsList({ recordings, onDelete, onClearAll }) {
         }}
       >
         <h2>Your Recordings ({recordings.length})</h2>
+        <button
+          onClick={() => midiInputRef.current?.click()}
+          style={{
+            background: "none",
+            border: "1px solid #ccc",
+            borderRadius: 4,
+            padding: "8px 12px",
+            cursor: "pointer",
+            fontSize: 12,
+            marginLeft: "auto",
+            marginRight: 8,
+          }}
+          title="Import a .mid file (one recording per track)"
+        >
+          Import MIDI
+        </button>
+        <input
+          ref={midiInputRef}
+          type="file"
+          accept=".mid,.midi,audio/midi"
+          style={{ display: "none" }}
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            if (file) onImportMidi?.(file);
+            e.target.value = "";
+          }}
+        />
         {recordings.length > 0 && (
           <button
             onClick={onClearAll}
@@ -105,9 +179,6 @@ export default function RecordingsList({ recordings, onDelete, onClearAll }) {
           <div
             key={recording.id}
             style={{
-              display: "flex",
-              alignItems: "center",
-              gap: 8,
               padding: 8,
               border: "1px solid #ccc",
               borderRadius: 4,
@@ -115,39 +186,120 @@ export default function RecordingsList({ recordings, onDelete, onClearAll }) {
             draggable
             onDragStart={(e) => onDragStartRecording(e, recording)}
           >
-            <button
-              onClick={() => togglePlayback(recording.id)}
-              style={{
-                background: "none",
-                border: "1px solid #ccc",
-                borderRadius: 4,
-                padding: "4px 8px",
-                cursor: "pointer",
-              }}
-            >
-              {playbackStates[recording.id] ? "⏹️" : "▶️"}
-            </button>
-
-            <div style={{ flex: 1 }}>
-              <div>
-                {recording.instrument} ({recording.notes.length} notes)
-              </div>
-              <div style={{ fontSize: 12, color: "#666" }}>
-                {Math.round(recording.duration / 100) / 10}s
+            <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+              <button
+                onClick={() => togglePlayback(recording.id)}
+                disabled={!getInstrument(recording.instrument)}
+                style={{
+                  background: "none",
+                  border: "1px solid #ccc",
+                  borderRadius: 4,
+                  padding: "4px 8px",
+                  cursor: "pointer",
+                }}
+              >
+                {playbackStates[recording.id] ? "⏹️" : "▶️"}
+              </button>
+
+              <div style={{ flex: 1 }}>
+                <div
+                  onDoubleClick={() => handleRename(recording)}
+                  title="Double-click to rename"
+                >
+                  {recording.name || instrumentName(recording.instrument)} (
+                  {recording.notes.length} notes)
+                </div>
+                <div style={{ fontSize: 12, color: "#666" }}>
+                  {Math.round(recording.duration / 100) / 10}s
+                  {recording.keyMapping?.scale &&
+                    recording.keyMapping.scale !== "chromatic" &&
+                    ` · ${describeKeyMapping(recording.keyMapping)}`}
+                  {!getInstrument(recording.instrument) && (
+                    <span style={{ color: "#dc2626" }}>
+                      {" "}
+                      · instrument deleted, can&apos;t play
+                    </span>
+                  )}
+                </div>
               </div>
-            </div>
 
-            <button
-              onClick={() => handleDelete(recording.id)}
-              style={{
-                background: "none",
-                border: "none",
-                cursor: "pointer",
-                opacity: 0.6,
-              }}
-            >
-              🗑️
-            </button>
+              <button
+                onClick={() => onArm?.(recording.id)}
+                disabled={!getInstrument(recording.instrument)}
+                style={{
+                  background:
+                    armedRecordingId === recording.id ? "#ef4444" : "none",
+                  color:
+                    armedRecordingId === recording.id ? "white" : undefined,
+                  border: "1px solid #ccc",
+                  borderRadius: 4,
+                  padding: "4px 8px",
+                  cursor: "pointer",
+                  fontSize: 12,
+                }}
+                title="Arm for overdub: Record then loops this recording and adds new notes to it"
+              >
+                Arm
+              </button>
+
+              <button
+                onClick={() => onEdit?.(recording.id)}
+                style={{
+                  background: "none",
+                  border: "1px solid #ccc",
+                  borderRadius: 4,
+                  padding: "4px 8px",
+                  cursor: "pointer",
+                  fontSize: 12,
+                }}
+                title="Edit notes in the piano roll"
+              >
+                Edit
+              </button>
+
+              <button
+                onClick={() =>
+                  setTransformingId((id) =>
+                    id === recording.id ? null : recording.id
+                  )
+                }
+                style={{
+                  background: "none",
+                  border: "1px solid #ccc",
+                  borderRadius: 4,
+                  padding: "4px 8px",
+                  cursor: "pointer",
+                  fontSize: 12,
+                }}
+                title="Quantize or humanize (saves a new version)"
+              >
+                Timing
+              </button>
+
+              <button
+                onClick={() => handleDelete(recording.id)}
+                style={{
+                  background: "none",
+                  border: "none",
+                  cursor: "pointer",
+                  opacity: 0.6,
+                }}
+              >
+                🗑️
+              </button>
+            </div>
+            {transformingId === recording.id && (
+              <div style={{ marginTop: 8 }}>
+                <TransformControls
+                  onQuantize={(options) =>
+                    onTransform?.(recording.id, "quantize", options)
+                  }
+                  onHumanize={(options) =>
+                    onTransform?.(recording.id, "humanize", options)
+                  }
+                />
+              </div>
+            )}
           </div>
         ))}
       </div>
@@ -0,0 +1,247 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import {
+  PERCUSSION_PADS,
+  autoAssignNotes,
+  createSamplePack,
+  maxPackSamples,
+  sampleBaseName,
+} from "../lib/samplePacks";
+import { decodeSampleFiles } from "../lib/samplePackAudio";
+import { DRUM_NOTE_TO_FILE } from "../lib/samples";
+
+// Percussion pad names: the built-in kit's piece names, then plain notes
+const padLabel = (note) =>
+  DRUM_NOTE_TO_FILE[note]
+    ? `${note} (${DRUM_NOTE_TO_FILE[note].replace(/\.\w+$/, "")})`
+    : note;
+
+const EMPTY_DRAFT = { name: "", kind: "pitched", samples: [] };
+
+// Custom instruments from the user's samples. Files dropped on the page (or
+// picked here) are decoded and get a note from their names (C4.wav,
+// kick.wav); fix any by hand, name the instrument and save it.
+export default function SamplePackPanel({
+  files, // File[] to add, from a drop or the file picker
+  onAddFiles,
+  packs,
+  onSave,
+  onDelete,
+  onClose,
+}) {
+  // The instrument being put together; samples are
+  // { fileName, sampleRate, channels, note } per decoded file
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const { name, kind, samples } = draft;
+  // The draft as of the last render, for the decode effect (which only
+  // re-runs for new files)
+  const draftRef = useRef(draft);
+  useEffect(() => {
+    draftRef.current = draft;
+  }, [draft]);
+  const [decoding, setDecoding] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Decode whatever was added and guess notes for it
+  useEffect(() => {
+    if (!files?.length) return;
+    let cancelled = false;
+    setDecoding(true);
+    setError(null);
+    decodeSampleFiles(files)
+      .then(({ samples: decoded, skipped }) => {
+        if (cancelled) return;
+        // Guessed here rather than in a state updater, so a failure lands
+        // in .catch() below instead of breaking the render
+        const d = draftRef.current;
+        const all = [...d.samples, ...decoded];
+        const notes = autoAssignNotes(
+          all.map((s) => s.fileName),
+          d.kind
+        );
+        setDraft({
+          ...d,
+          name: d.name || sampleBaseName(files[0].name),
+          // Keep notes already on the list; guess for the new files
+          samples: all.map((s, i) => ({
+            ...s,
+            note: i < d.samples.length ? s.note : (notes[i] ?? ""),
+          })),
+        });
+        if (skipped.length) setError(`Skipped ${skipped.join(", ")}`);
+      })
+      .catch((e) => !cancelled && setError(e.message))
+      .finally(() => !cancelled && setDecoding(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [files]);
+
+  // Switching kind re-guesses every note (pads vs. pitches)
+  const changeKind = (next) => {
+    const notes = autoAssignNotes(
+      samples.map((s) => s.fileName),
+      next
+    );
+    setDraft({
+      ...draft,
+      kind: next,
+      samples: samples.map((s, i) => ({ ...s, note: notes[i] ?? "" })),
+    });
+  };
+
+  const setSamples = (update) =>
+    setDraft((d) => ({ ...d, samples: update(d.samples) }));
+  const setNote = (index, note) =>
+    setSamples((list) =>
+      list.map((s, i) => (i === index ? { ...s, note } : s))
+    );
+
+  const save = async () => {
+    try {
+      const pack = createSamplePack({ name, kind, samples });
+      if (!(await onSave(pack))) return;
+      setDraft(EMPTY_DRAFT);
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <div className="mt-2 rounded border p-3 text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        <strong>Sample packs</strong>
+        <label className="px-2 py-1 rounded border cursor-pointer">
+          Add samples…
+          <input
+            type="file"
+            multiple
+            accept=".wav,.mp3,.ogg,.zip,audio/*,application/zip"
+            className="hidden"
+            onChange={(e) => {
+              const picked = [...(e.target.files ?? [])];
+              if (picked.length) onAddFiles(picked);
+              e.target.value = "";
+            }}
+          />
+        </label>
+        <span className="text-gray-500">
+          or drop WAV, MP3, OGG or zip files on the page
+        </span>
+        <button className="ml-auto px-2 py-1 rounded border" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      {decoding && <p className="mt-2">Decoding…</p>}
+
+      {samples.length > 0 && (
+        <div className="mt-3">
+          <div className="flex flex-wrap items-center gap-3">
+            <label>
+              Name:
+              <input
+                value={name}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                className="ml-2 border rounded px-2 py-1"
+              />
+            </label>
+            <select
+              value={kind}
+              onChange={(e) => changeKind(e.target.value)}
+              className="border rounded px-2 py-1"
+            >
+              <option value="pitched">Pitched</option>
+              <option value="percussion">Percussion</option>
+            </select>
+            <span
+              className={
+                samples.length > maxPackSamples(kind)
+                  ? "text-red-600"
+                  : "text-gray-500"
+              }
+            >
+              {samples.length}/{maxPackSamples(kind)} samples
+            </span>
+            <button className="px-2 py-1 rounded border" onClick={save}>
+              Save instrument
+            </button>
+            <button
+              className="px-2 py-1 rounded border"
+              onClick={() => setDraft(EMPTY_DRAFT)}
+            >
+              Discard
+            </button>
+          </div>
+          <table className="mt-2">
+            <tbody>
+              {samples.map((s, i) => (
+                <tr key={`${s.fileName}-${i}`}>
+                  <td className="pr-3">{s.fileName}</td>
+                  <td className="pr-3">
+                    {kind === "percussion" ? (
+                      <select
+                        value={s.note}
+                        onChange={(e) => setNote(i, e.target.value)}
+                        className="border rounded px-2 py-1"
+                      >
+                        <option value="" disabled>
+                          pick a pad
+                        </option>
+                        {PERCUSSION_PADS.map((pad) => (
+                          <option key={pad} value={pad}>
+                            {padLabel(pad)}
+                          </option>
+                        ))}
+                      </select>
+                    ) : (
+                      <input
+                        value={s.note}
+                        onChange={(e) => setNote(i, e.target.value)}
+                        className="w-20 border rounded px-2 py-1"
+                        placeholder="root, e.g. C4"
+                      />
+                    )}
+                  </td>
+                  <td>
+                    <button
+                      className="px-2 rounded border"
+                      onClick={() =>
+                        setSamples((list) => list.filter((_, j) => j !== i))
+                      }
+                      title="Leave this sample out"
+                    >
+                      ×
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {error && <p className="mt-2 text-red-600">{error}</p>}
+
+      {packs.length > 0 && (
+        <ul className="mt-3">
+          {packs.map((pack) => (
+            <li key={pack.id} className="flex items-center gap-2">
+              <span>
+                {pack.name} ({pack.kind}, {pack.samples.length} samples)
+              </span>
+              <button
+                className="px-2 rounded border"
+                onClick={() => onDelete(pack)}
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -1,18 +1,127 @@
 "use client";
 
-import { useMemo } from "react";
+import { useMemo, useRef } from "react";
+import { barSec, beatSec } from "../lib/timing";
 
+// Height of the loop lane along the top of the ruler
+const LOOP_LANE_PX = 10;
+// How close (px) to a loop edge a drag resizes instead of moving the region
+const EDGE_GRAB_PX = 6;
+
+// Time ruler. Click or drag below the loop lane to seek; drag in the loop lane
+// to draw a loop region, drag its body to move it or its edges to resize it.
 export default function TimelineRuler({
   pxPerSec,
   leftGutterPx = 48,
   heightPx = 24,
   totalSec = 120,
+  mode = "time",
+  timing = null,
+  snapSec = null,
+  onSeek,
+  loopRegion = null,
+  loopEnabled = false,
+  punchEnabled = false,
+  onChangeLoopRegion,
 }) {
+  const loopDragRef = useRef(null);
+  const seekingRef = useRef(false);
+
+  // Seconds under the pointer (interactive layers start after the gutter)
+  const secAt = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return Math.max(0, (e.clientX - rect.left) / pxPerSec);
+  };
+  const snap = (sec) =>
+    snapSec ? Math.max(0, Math.round(sec / snapSec) * snapSec) : sec;
+  const minLoopSec = snapSec || 0.1;
+
+  const onSeekDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    seekingRef.current = true;
+    onSeek?.(secAt(e));
+  };
+  const onSeekMove = (e) => {
+    if (seekingRef.current) onSeek?.(secAt(e));
+  };
+  const onSeekUp = (e) => {
+    e.currentTarget.releasePointerCapture(e.pointerId);
+    seekingRef.current = false;
+  };
+
+  const onLoopDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const sec = secAt(e);
+    const grabSec = EDGE_GRAB_PX / pxPerSec;
+    let mode = "create";
+    if (loopRegion) {
+      if (Math.abs(sec - loopRegion.startSec) <= grabSec) mode = "start";
+      else if (Math.abs(sec - loopRegion.endSec) <= grabSec) mode = "end";
+      else if (sec > loopRegion.startSec && sec < loopRegion.endSec) {
+        mode = "move";
+      }
+    }
+    loopDragRef.current = { mode, originSec: sec, base: loopRegion };
+  };
+  const onLoopMove = (e) => {
+    const drag = loopDragRef.current;
+    if (!drag) return;
+    const sec = secAt(e);
+    const { mode, originSec, base } = drag;
+    let next;
+    if (mode === "create") {
+      const a = snap(Math.min(originSec, sec));
+      const b = snap(Math.max(originSec, sec));
+      if (b - a < minLoopSec) return; // wait for a real drag
+      next = { startSec: a, endSec: b };
+    } else if (mode === "move") {
+      const length = base.endSec - base.startSec;
+      const startSec = snap(Math.max(0, base.startSec + sec - originSec));
+      next = { startSec, endSec: startSec + length };
+    } else if (mode === "start") {
+      next = {
+        ...base,
+        startSec: Math.min(snap(sec), base.endSec - minLoopSec),
+      };
+    } else {
+      next = {
+        ...base,
+        endSec: Math.max(snap(sec), base.startSec + minLoopSec),
+      };
+    }
+    onChangeLoopRegion?.(next);
+  };
+  const onLoopUp = (e) => {
+    e.currentTarget.releasePointerCapture(e.pointerId);
+    loopDragRef.current = null;
+  };
   const { major, minor } = useMemo(() => {
     const majors = [];
     const minors = [];
+    if (mode === "bars" && timing) {
+      // Major ticks on bars (numbered from 1), minor ticks on beats
+      const bar = barSec(timing);
+      const beat = beatSec(timing);
+      const beatsPerBar = timing.timeSignature[0];
+      // Label every bar unless they get too close together to read
+      const labelEvery = Math.max(1, Math.ceil(28 / (bar * pxPerSec)));
+      for (let n = 0; n * bar <= totalSec; n += 1) {
+        const sec = n * bar;
+        majors.push({
+          sec,
+          x: leftGutterPx + sec * pxPerSec,
+          label: n % labelEvery === 0 ? `${n + 1}` : "",
+        });
+        for (let b = 1; b < beatsPerBar; b += 1) {
+          const sub = sec + b * beat;
+          if (sub > totalSec) break;
+          minors.push({ x: leftGutterPx + sub * pxPerSec });
+        }
+      }
+      return { major: majors, minor: minors };
+    }
     for (let s = 0; s <= totalSec; s += 1) {
-      majors.push({ sec: s, x: leftGutterPx + s * pxPerSec });
+      majors.push({ sec: s, x: leftGutterPx + s * pxPerSec, label: `${s}s` });
       // Minor ticks every 0.1s between seconds
       for (let i = 1; i < 10; i += 1) {
         const sub = s + i / 10;
@@ -21,7 +130,7 @@ export default function TimelineRuler({
       }
     }
     return { major: majors, minor: minors };
-  }, [pxPerSec, leftGutterPx, totalSec]);
+  }, [pxPerSec, leftGutterPx, totalSec, mode, timing]);
 
   return (
     <div className="relative w-full" style={{ height: heightPx }}>
@@ -45,11 +154,49 @@ export default function TimelineRuler({
       {major.map((t) => (
         <div key={t.sec} className="absolute" style={{ left: t.x, top: 0 }}>
           <div className="w-px bg-gray-400" style={{ height: heightPx }} />
-          <div className="absolute -translate-x-1/2 top-0 text-[10px] text-gray-700 select-none">
-            {t.sec}s
+          <div
+            className="absolute -translate-x-1/2 text-[10px] text-gray-700 select-none"
+            style={{ top: LOOP_LANE_PX }}
+          >
+            {t.label}
           </div>
         </div>
       ))}
+
+      {/* Loop lane */}
+      <div
+        className="absolute right-0 top-0 bg-gray-100/70 cursor-crosshair"
+        style={{ left: leftGutterPx, height: LOOP_LANE_PX }}
+        onPointerDown={onLoopDown}
+        onPointerMove={onLoopMove}
+        onPointerUp={onLoopUp}
+        onPointerCancel={onLoopUp}
+        title="Drag to set a loop region"
+      >
+        {loopRegion && (
+          <div
+            className={`absolute top-0 bottom-0 rounded-sm cursor-grab ${
+              loopEnabled ? "bg-amber-400" : "bg-gray-400"
+            } ${punchEnabled ? "ring-2 ring-inset ring-red-500" : ""}`}
+            style={{
+              left: loopRegion.startSec * pxPerSec,
+              width: (loopRegion.endSec - loopRegion.startSec) * pxPerSec,
+            }}
+            title={`${punchEnabled ? "Loop / punch" : "Loop"} ${loopRegion.startSec.toFixed(2)}s – ${loopRegion.endSec.toFixed(2)}s`}
+          />
+        )}
+      </div>
+
+      {/* Seek area */}
+      <div
+        className="absolute right-0 bottom-0 cursor-pointer"
+        style={{ left: leftGutterPx, top: LOOP_LANE_PX }}
+        onPointerDown={onSeekDown}
+        onPointerMove={onSeekMove}
+        onPointerUp={onSeekUp}
+        onPointerCancel={onSeekUp}
+        title="Click or drag to move the playhead"
+      />
     </div>
   );
 }
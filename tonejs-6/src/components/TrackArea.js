@@ -1,6 +1,13 @@
 "use client";
 
 import { useCallback, useEffect, useRef, useState } from "react";
+import TrackHeader from "./TrackHeader";
+import { isTrackAudible } from "../lib/projects";
+import {
+  MIN_CLIP_SEC,
+  clipLoopLengthSec,
+  recordingLengthSec,
+} from "../lib/clips";
 
 export default function TrackArea({
   pxPerSec,
@@ -8,6 +15,13 @@ export default function TrackArea({
   clipsByTrack,
   onUpdateClip,
   onDeleteClip,
+  recordingsById = new Map(),
+  selectedClipId = null,
+  onSelectClip,
+  tracks = [],
+  onUpdateTrack,
+  armedTrackIndex = null,
+  onToggleArmTrack,
   leftGutterPx = 48,
   rowHeightPx = 56,
   snapSec = 0.5,
@@ -16,33 +30,82 @@ export default function TrackArea({
   const boardRef = useRef(null);
   const [dragState, setDragState] = useState(null);
 
-  const onPointerDownClip = useCallback((e, clip) => {
-    e.preventDefault();
-    const startX = e.clientX;
-    const startY = e.clientY;
-    setDragState({
-      clipId: clip.id,
-      baseStartSec: clip.startTimeSec,
-      baseTrack: clip.trackIndex,
-      originX: startX,
-      originY: startY,
-    });
-    boardRef.current?.setPointerCapture?.(e.pointerId);
-  }, []);
+  // mode: "move" (clip body), "trim-start" / "trim-end" (edge handles)
+  const onPointerDownClip = useCallback(
+    (e, clip, mode = "move") => {
+      e.preventDefault();
+      e.stopPropagation();
+      onSelectClip?.(clip.id);
+      const rec = recordingsById.get(clip.recordingId);
+      const offsetSec = clip.offsetSec ?? 0;
+      setDragState({
+        mode,
+        clipId: clip.id,
+        baseStartSec: clip.startTimeSec,
+        baseTrack: clip.trackIndex,
+        baseOffsetSec: offsetSec,
+        baseDurationSec: clip.durationSec,
+        // A looping clip can be stretched as far as you like
+        maxDurationSec: clip.loop
+          ? Infinity
+          : (rec ? recordingLengthSec(rec) : clip.durationSec) - offsetSec,
+        originX: e.clientX,
+        originY: e.clientY,
+      });
+      boardRef.current?.setPointerCapture?.(e.pointerId);
+    },
+    [onSelectClip, recordingsById]
+  );
 
   const onPointerMove = useCallback(
     (e) => {
       if (!dragState) return;
       const dx = e.clientX - dragState.originX;
       const dy = e.clientY - dragState.originY;
-      const rawSec = dragState.baseStartSec + dx / pxPerSec;
-      const snappedSec = snapSec
-        ? Math.max(0, Math.round(rawSec / snapSec) * snapSec)
-        : Math.max(0, rawSec);
+      const snap = (sec) =>
+        snapSec ? Math.round(sec / snapSec) * snapSec : sec;
+      const {
+        mode,
+        clipId,
+        baseStartSec,
+        baseOffsetSec,
+        baseDurationSec,
+        maxDurationSec,
+      } = dragState;
+
+      if (mode === "trim-start") {
+        // Move the start edge; the end stays put and the recording slides
+        // under the clip, so offsetSec moves by the same amount
+        const delta = Math.max(
+          -Math.min(baseOffsetSec, baseStartSec),
+          Math.min(
+            baseDurationSec - MIN_CLIP_SEC,
+            snap(baseStartSec + dx / pxPerSec) - baseStartSec
+          )
+        );
+        onUpdateClip(clipId, {
+          startTimeSec: baseStartSec + delta,
+          offsetSec: baseOffsetSec + delta,
+          durationSec: baseDurationSec - delta,
+        });
+        return;
+      }
+      if (mode === "trim-end") {
+        const endSec = snap(baseStartSec + baseDurationSec + dx / pxPerSec);
+        onUpdateClip(clipId, {
+          durationSec: Math.min(
+            maxDurationSec,
+            Math.max(MIN_CLIP_SEC, endSec - baseStartSec)
+          ),
+        });
+        return;
+      }
+
+      const snappedSec = Math.max(0, snap(baseStartSec + dx / pxPerSec));
       let trackIndex = dragState.baseTrack + Math.round(dy / rowHeightPx);
       if (trackIndex < 0) trackIndex = 0;
       if (trackIndex >= numTracks) trackIndex = numTracks - 1;
-      onUpdateClip(dragState.clipId, { startTimeSec: snappedSec, trackIndex });
+      onUpdateClip(clipId, { startTimeSec: snappedSec, trackIndex });
     },
     [dragState, onUpdateClip, pxPerSec, rowHeightPx, numTracks, snapSec]
   );
@@ -72,18 +135,35 @@ export default function TrackArea({
   const contentWidthPx = leftGutterPx + totalSec * pxPerSec;
 
   return (
-    <div ref={boardRef} className="relative flex-1">
-      {/* Left gutter */}
+    <div ref={boardRef} className="relative flex">
+      {/* Left gutter: one header per track, pinned while scrolling sideways */}
       <div
-        className="absolute left-0 top-0 bottom-0 bg-gray-50 border-r border-gray-200"
+        className="sticky left-0 z-10 shrink-0 bg-gray-50 border-r border-gray-200"
         style={{ width: leftGutterPx }}
-      />
+      >
+        {Array.from({ length: numTracks }).map((_, trackIndex) => (
+          <div
+            key={trackIndex}
+            className="border-b border-gray-100"
+            style={{ height: rowHeightPx }}
+          >
+            {tracks[trackIndex] && (
+              <TrackHeader
+                track={tracks[trackIndex]}
+                audible={isTrackAudible(tracks, trackIndex)}
+                onChange={(patch) => onUpdateTrack?.(trackIndex, patch)}
+                armed={armedTrackIndex === trackIndex}
+                onToggleArm={() => onToggleArmTrack?.(trackIndex)}
+              />
+            )}
+          </div>
+        ))}
+      </div>
 
       {/* Tracks and clips */}
       <div
         className="relative"
         style={{
-          marginLeft: leftGutterPx,
           width: contentWidthPx - leftGutterPx,
         }}
       >
@@ -92,6 +172,7 @@ export default function TrackArea({
             key={trackIndex}
             className="relative border-b border-gray-100"
             style={{ height: rowHeightPx }}
+            onPointerDown={() => onSelectClip?.(null)}
           >
             {/* Row background stripes */}
             <div
@@ -100,37 +181,83 @@ export default function TrackArea({
               }`}
             />
             {/* Clips on this row */}
-            {clipsByTrack[trackIndex]?.map((clip) => (
-              <div
-                key={clip.id}
-                className="absolute top-1 h-12 rounded-md bg-indigo-500/80 text-white text-xs px-2 py-1 cursor-move shadow"
-                style={{
-                  left: clip.startTimeSec * pxPerSec,
-                  width: Math.max(12, clip.durationSec * pxPerSec),
-                }}
-                onPointerDown={(e) => onPointerDownClip(e, clip)}
-                title={`Start @ ${clip.startTimeSec.toFixed(2)}s`}
-              >
-                <div className="font-semibold truncate">
-                  {clip.name || clip.recordingId.slice(0, 6)}
-                </div>
-                <div className="opacity-80">{clip.durationSec.toFixed(2)}s</div>
-                <button
-                  className="absolute -top-2 -right-2 w-5 h-5 rounded-full bg-white text-gray-700 border border-gray-300 grid place-items-center shadow hover:bg-gray-100"
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    onDeleteClip?.(clip.id);
+            {clipsByTrack[trackIndex]?.map((clip) => {
+              const rec = recordingsById.get(clip.recordingId);
+              const loopSec =
+                clip.loop && rec ? clipLoopLengthSec(clip, rec) : null;
+              const badges = [
+                clip.loop && "⟳",
+                clip.gainDb && `${clip.gainDb > 0 ? "+" : ""}${clip.gainDb} dB`,
+                clip.transpose &&
+                  `${clip.transpose > 0 ? "+" : ""}${clip.transpose} st`,
+              ].filter(Boolean);
+              return (
+                <div
+                  key={clip.id}
+                  className={`absolute top-1 h-12 rounded-md bg-indigo-500/80 text-white text-xs px-2 py-1 cursor-move shadow ${
+                    clip.id === selectedClipId ? "ring-2 ring-amber-300" : ""
+                  }`}
+                  style={{
+                    left: clip.startTimeSec * pxPerSec,
+                    width: Math.max(12, clip.durationSec * pxPerSec),
                   }}
-                  onPointerDown={(e) => {
-                    e.stopPropagation();
-                    e.preventDefault();
-                  }}
-                  title="Remove clip"
+                  onPointerDown={(e) => onPointerDownClip(e, clip)}
+                  title={`Start @ ${clip.startTimeSec.toFixed(2)}s, plays the recording from ${(clip.offsetSec ?? 0).toFixed(2)}s`}
                 >
-                  ×
-                </button>
-              </div>
-            ))}
+                  {/* Where each loop repeat begins */}
+                  {loopSec &&
+                    Array.from(
+                      { length: Math.ceil(clip.durationSec / loopSec) - 1 },
+                      (_, k) => (
+                        <div
+                          key={k}
+                          className="absolute top-0 bottom-0 border-l border-dashed border-white/60 pointer-events-none"
+                          style={{ left: (k + 1) * loopSec * pxPerSec }}
+                        />
+                      )
+                    )}
+                  <div className="font-semibold truncate">
+                    {clip.name || clip.recordingId.slice(0, 6)}
+                  </div>
+                  <div className="opacity-80 truncate">
+                    {clip.durationSec.toFixed(2)}s {badges.join(" ")}
+                  </div>
+                  {/* Trim handles */}
+                  <div
+                    className="absolute left-0 top-0 bottom-0 w-1.5 cursor-ew-resize rounded-l-md hover:bg-white/40"
+                    onPointerDown={(e) =>
+                      onPointerDownClip(e, clip, "trim-start")
+                    }
+                    title="Drag to trim the start"
+                  />
+                  <div
+                    className="absolute right-0 top-0 bottom-0 w-1.5 cursor-ew-resize rounded-r-md hover:bg-white/40"
+                    onPointerDown={(e) =>
+                      onPointerDownClip(e, clip, "trim-end")
+                    }
+                    title={
+                      clip.loop
+                        ? "Drag to trim or repeat the loop"
+                        : "Drag to trim the end"
+                    }
+                  />
+                  <button
+                    className="absolute -top-2 -right-2 w-5 h-5 rounded-full bg-white text-gray-700 border border-gray-300 grid place-items-center shadow hover:bg-gray-100"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onDeleteClip?.(clip.id);
+                    }}
+                    onPointerDown={(e) => {
+                      e.stopPropagation();
+                      e.preventDefault();
+                    }}
+                    title="Remove clip"
+                  >
+                    ×
+                  </button>
+                </div>
+              );
+            })}
           </div>
         ))}
       </div>
@@ -0,0 +1,125 @@
+"use client";
+
+import { useRef } from "react";
+import { TRACK_VOLUME_RANGE_DB } from "../lib/projects";
+
+// Track header shown in the jam board gutter: name, record-arm, mute/solo, volume
+// fader and pan knob. Changes go straight to onChange(patch); the page applies
+// them to the jam session. Arming isn't saved with the project.
+export default function TrackHeader({
+  track,
+  audible = true,
+  onChange,
+  armed = false,
+  onToggleArm,
+}) {
+  const volumeDb = track.volumeDb ?? 0;
+  return (
+    <div
+      className={`flex flex-col justify-center gap-1 h-full px-2 text-xs ${
+        audible ? "" : "opacity-50"
+      }`}
+    >
+      <div className="flex items-center gap-1">
+        <span className="flex-1 truncate font-medium" title={track.name}>
+          {track.name}
+        </span>
+        {onToggleArm && (
+          <button
+            className={`w-5 h-5 rounded-full border text-[10px] font-bold ${
+              armed ? "bg-red-500 border-red-600 text-white" : "bg-white"
+            }`}
+            onClick={onToggleArm}
+            aria-pressed={armed}
+            title={
+              armed
+                ? "Disarm track"
+                : "Arm track: Record plays the board and adds the take here"
+            }
+          >
+            R
+          </button>
+        )}
+        <button
+          className={`w-5 h-5 rounded border text-[10px] font-bold ${
+            track.mute ? "bg-amber-400 border-amber-500" : "bg-white"
+          }`}
+          onClick={() => onChange({ mute: !track.mute })}
+          title={track.mute ? "Unmute track" : "Mute track"}
+        >
+          M
+        </button>
+        <button
+          className={`w-5 h-5 rounded border text-[10px] font-bold ${
+            track.solo ? "bg-sky-400 border-sky-500" : "bg-white"
+          }`}
+          onClick={() => onChange({ solo: !track.solo })}
+          title={track.solo ? "Unsolo track" : "Solo track"}
+        >
+          S
+        </button>
+      </div>
+      <div className="flex items-center gap-2">
+        <input
+          type="range"
+          min={TRACK_VOLUME_RANGE_DB.min}
+          max={TRACK_VOLUME_RANGE_DB.max}
+          step={0.5}
+          value={volumeDb}
+          onChange={(e) => onChange({ volumeDb: Number(e.target.value) })}
+          onDoubleClick={() => onChange({ volumeDb: 0 })}
+          className="flex-1 min-w-0 h-3"
+          title={`Volume ${volumeDb > 0 ? "+" : ""}${volumeDb} dB (double-click for 0 dB)`}
+        />
+        <PanKnob value={track.pan ?? 0} onChange={(pan) => onChange({ pan })} />
+      </div>
+    </div>
+  );
+}
+
+// Small rotary control: drag up/down to pan, double-click to center
+function PanKnob({ value, onChange }) {
+  const dragRef = useRef(null);
+  const label =
+    Math.abs(value) < 0.01
+      ? "C"
+      : `${Math.round(Math.abs(value) * 100)}${value < 0 ? "L" : "R"}`;
+
+  const onPointerDown = (e) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { originY: e.clientY, base: value };
+  };
+  const onPointerMove = (e) => {
+    if (!dragRef.current) return;
+    // 100px of travel sweeps the full range
+    const delta = (dragRef.current.originY - e.clientY) / 50;
+    const next = Math.max(-1, Math.min(1, dragRef.current.base + delta));
+    onChange(Math.round(next * 100) / 100);
+  };
+  const onPointerUp = (e) => {
+    e.currentTarget.releasePointerCapture(e.pointerId);
+    dragRef.current = null;
+  };
+
+  return (
+    <div
+      role="slider"
+      aria-label="Pan"
+      aria-valuemin={-1}
+      aria-valuemax={1}
+      aria-valuenow={value}
+      aria-valuetext={label}
+      className="relative w-5 h-5 rounded-full border border-gray-400 bg-white cursor-ns-resize touch-none"
+      style={{ transform: `rotate(${value * 135}deg)` }}
+      onPointerDown={onPointerDown}
+      onPointerMove={onPointerMove}
+      onPointerUp={onPointerUp}
+      onPointerCancel={onPointerUp}
+      onDoubleClick={() => onChange(0)}
+      title={`Pan ${label} (drag up/down, double-click to center)`}
+    >
+      <div className="absolute left-1/2 top-0.5 w-px h-1.5 -translate-x-1/2 bg-gray-700" />
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+"use client";
+
+import { useState } from "react";
+import {
+  QUANTIZE_GRIDS,
+  DEFAULT_QUANTIZE,
+  DEFAULT_HUMANIZE,
+} from "../lib/transforms";
+
+// Quantize (grid, strength, swing) and humanize (timing, velocity) settings
+// with an apply button each. Both save a new version of the recording; the
+// parent decides which recording that is.
+export default function TransformControls({ onQuantize, onHumanize }) {
+  const [quantize, setQuantize] = useState(DEFAULT_QUANTIZE);
+  const [humanize, setHumanize] = useState(DEFAULT_HUMANIZE);
+
+  return (
+    <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-xs">
+      <div className="flex items-center gap-2">
+        <select
+          value={quantize.grid}
+          onChange={(e) => setQuantize({ ...quantize, grid: e.target.value })}
+          className="border rounded px-1 py-0.5"
+          title="Grid (follows the project tempo)"
+        >
+          {QUANTIZE_GRIDS.map((g) => (
+            <option key={g} value={g}>
+              {g}
+            </option>
+          ))}
+        </select>
+        <label
+          className="flex items-center gap-1"
+          title="How far notes move toward the grid"
+        >
+          Strength
+          <input
+            type="range"
+            min={0}
+            max={100}
+            step={5}
+            value={Math.round(quantize.strength * 100)}
+            onChange={(e) =>
+              setQuantize({
+                ...quantize,
+                strength: Number(e.target.value) / 100,
+              })
+            }
+            className="w-20"
+          />
+          <span className="w-8 tabular-nums">
+            {Math.round(quantize.strength * 100)}%
+          </span>
+        </label>
+        <label
+          className="flex items-center gap-1"
+          title="Delay of every second grid step (100% = triplet shuffle)"
+        >
+          Swing
+          <input
+            type="range"
+            min={0}
+            max={100}
+            step={5}
+            value={Math.round(quantize.swing * 100)}
+            onChange={(e) =>
+              setQuantize({ ...quantize, swing: Number(e.target.value) / 100 })
+            }
+            className="w-20"
+          />
+          <span className="w-8 tabular-nums">
+            {Math.round(quantize.swing * 100)}%
+          </span>
+        </label>
+        <button
+          className="px-2 py-0.5 rounded border"
+          onClick={() => onQuantize(quantize)}
+          title="Save a quantized copy; the original stays as it is"
+        >
+          Quantize
+        </button>
+      </div>
+
+      <div className="flex items-center gap-2">
+        <label
+          className="flex items-center gap-1"
+          title="Largest random shift of each note, either way"
+        >
+          ±
+          <input
+            type="number"
+            min={0}
+            max={100}
+            value={humanize.timingMs}
+            onChange={(e) =>
+              setHumanize({
+                ...humanize,
+                timingMs: Math.max(
+                  0,
+                  Math.min(100, Number(e.target.value) || 0)
+                ),
+              })
+            }
+            className="w-12 border rounded px-1 py-0.5"
+          />
+          ms
+        </label>
+        <label
+          className="flex items-center gap-1"
+          title="Largest random velocity change, either way"
+        >
+          ±
+          <input
+            type="number"
+            min={0}
+            max={50}
+            value={Math.round(humanize.velocity * 100)}
+            onChange={(e) =>
+              setHumanize({
+                ...humanize,
+                velocity:
+                  Math.max(0, Math.min(50, Number(e.target.value) || 0)) / 100,
+              })
+            }
+            className="w-12 border rounded px-1 py-0.5"
+          />
+          % vel
+        </label>
+        <button
+          className="px-2 py-0.5 rounded border"
+          onClick={() => onHumanize(humanize)}
+          title="Save a humanized copy; the original stays as it is"
+        >
+          Humanize
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,17 +1,61 @@
 "use client";
 
+import { useEffect, useState } from "react";
+import { WAV_BIT_DEPTHS } from "../lib/wav";
+import {
+  BPM_RANGE,
+  TIME_SIGNATURES,
+  MUSICAL_SNAPS,
+  SECOND_SNAPS,
+  snapLabel,
+} from "../lib/timing";
+
+// <select> values for snap settings: numbers (seconds) become "0.5s"
+const snapToOption = (snap) =>
+  typeof snap === "number" ? `${snap}s` : String(snap);
+const optionToSnap = (value) =>
+  value.endsWith("s") ? parseFloat(value) : value;
+
 export default function TransportControls({
   isPlaying,
   onPlayPause,
   onStop,
   pxPerSec,
   onChangePxPerSec,
-  snapSec,
-  onChangeSnapSec,
+  snap = "off",
+  onChangeSnap,
+  bpm = 120,
+  timeSignature = [4, 4],
+  onChangeTiming,
+  rulerMode = "time",
+  onChangeRulerMode,
+  loopEnabled = false,
+  hasLoopRegion = false,
+  onToggleLoop,
+  punchEnabled = false,
+  onTogglePunch,
   onDownload,
+  exportProgress = null,
+  onCancelExport,
+  exportFormat = "wav",
+  wavBitDepth = 16,
+  onChangeExportFormat,
 }) {
+  const isExporting = exportProgress !== null;
+  // Tempo is applied on Enter/blur, not on every keystroke
+  const [bpmDraft, setBpmDraft] = useState(String(bpm));
+  useEffect(() => setBpmDraft(String(bpm)), [bpm]);
+  const commitBpm = () => {
+    const value = parseFloat(bpmDraft);
+    if (!Number.isFinite(value)) return setBpmDraft(String(bpm));
+    const next =
+      Math.round(Math.max(BPM_RANGE.min, Math.min(BPM_RANGE.max, value)) * 10) /
+      10;
+    setBpmDraft(String(next));
+    if (next !== bpm) onChangeTiming({ bpm: next });
+  };
   return (
-    <div className="flex items-center gap-3 p-2 bg-gray-50 border border-gray-200 rounded-md">
+    <div className="flex flex-wrap items-center gap-3 p-2 bg-gray-50 border border-gray-200 rounded-md">
       <button
         className="px-3 py-1 rounded bg-indigo-600 text-white text-sm"
         onClick={onPlayPause}
@@ -21,6 +65,34 @@ export default function TransportControls({
       <button className="px-3 py-1 rounded border text-sm" onClick={onStop}>
         Stop
       </button>
+      <button
+        className={`px-3 py-1 rounded border text-sm ${
+          loopEnabled ? "bg-amber-400 border-amber-500" : ""
+        }`}
+        onClick={onToggleLoop}
+        disabled={!hasLoopRegion}
+        title={
+          hasLoopRegion
+            ? "Repeat the loop region"
+            : "Drag along the top of the ruler to set a loop region"
+        }
+      >
+        Loop
+      </button>
+      <button
+        className={`px-3 py-1 rounded border text-sm ${
+          punchEnabled ? "bg-red-500 border-red-600 text-white" : ""
+        }`}
+        onClick={onTogglePunch}
+        disabled={!hasLoopRegion}
+        title={
+          hasLoopRegion
+            ? "Punch in/out: recording onto an armed track only captures inside the ruler region"
+            : "Drag along the top of the ruler to set punch points"
+        }
+      >
+        Punch
+      </button>
 
       <div className="ml-4 flex items-center gap-2 text-sm">
         <span>Zoom</span>
@@ -37,32 +109,113 @@ export default function TransportControls({
         </select>
       </div>
 
+      <div className="flex items-center gap-2 text-sm">
+        <span>BPM</span>
+        <input
+          type="number"
+          className="w-16 border rounded px-2 py-1"
+          min={BPM_RANGE.min}
+          max={BPM_RANGE.max}
+          value={bpmDraft}
+          onChange={(e) => setBpmDraft(e.target.value)}
+          onBlur={commitBpm}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") commitBpm();
+          }}
+          title="Tempo; clips stay on their bars when it changes"
+        />
+        <select
+          className="border rounded px-2 py-1"
+          value={timeSignature.join("/")}
+          onChange={(e) =>
+            onChangeTiming({
+              timeSignature: e.target.value.split("/").map(Number),
+            })
+          }
+          title="Time signature"
+        >
+          {TIME_SIGNATURES.map((ts) => (
+            <option key={ts.join("/")} value={ts.join("/")}>
+              {ts.join("/")}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex items-center gap-2 text-sm">
+        <span>Ruler</span>
+        <select
+          className="border rounded px-2 py-1"
+          value={rulerMode}
+          onChange={(e) => onChangeRulerMode(e.target.value)}
+        >
+          <option value="bars">Bars</option>
+          <option value="time">Seconds</option>
+        </select>
+      </div>
+
       <div className="flex items-center gap-2 text-sm">
         <span>Snap</span>
         <select
           className="border rounded px-2 py-1"
-          value={snapSec ?? 0}
-          onChange={(e) => {
-            const v = parseFloat(e.target.value);
-            onChangeSnapSec(v === 0 ? null : v);
-          }}
+          value={snapToOption(snap)}
+          onChange={(e) => onChangeSnap(optionToSnap(e.target.value))}
         >
-          <option value={0}>Off</option>
-          {[0.25, 0.5, 1, 2].map((v) => (
-            <option key={v} value={v}>
-              {v}s
+          {["off", ...MUSICAL_SNAPS, ...SECOND_SNAPS].map((v) => (
+            <option key={v} value={snapToOption(v)}>
+              {snapLabel(v)}
             </option>
           ))}
         </select>
       </div>
 
       <div className="flex items-center gap-2 text-sm">
-        <button
-          className="px-3 py-1 rounded bg-emerald-600 text-white text-sm"
-          onClick={onDownload}
+        <select
+          className="border rounded px-2 py-1"
+          value={exportFormat === "midi" ? "midi" : `wav-${wavBitDepth}`}
+          disabled={isExporting}
+          onChange={(e) => {
+            const [format, bits] = e.target.value.split("-");
+            onChangeExportFormat(
+              format,
+              bits ? parseInt(bits, 10) : wavBitDepth
+            );
+          }}
+          title="Export format"
         >
-          Download
-        </button>
+          {WAV_BIT_DEPTHS.map((v) => (
+            <option key={v} value={`wav-${v}`}>
+              WAV {v}-bit
+            </option>
+          ))}
+          <option value="midi">MIDI</option>
+        </select>
+        {isExporting ? (
+          <>
+            <progress
+              className="w-32"
+              max={1}
+              value={exportProgress}
+              title={`Rendering ${Math.round(exportProgress * 100)}%`}
+            />
+            <span className="w-10 text-right tabular-nums">
+              {Math.round(exportProgress * 100)}%
+            </span>
+            <button
+              className="px-3 py-1 rounded border text-sm"
+              onClick={onCancelExport}
+            >
+              Cancel
+            </button>
+          </>
+        ) : (
+          <button
+            className="px-3 py-1 rounded bg-emerald-600 text-white text-sm"
+            onClick={onDownload}
+          >
+            Download
+          </button>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,85 @@
+import * as Tone from "tone";
+import { DEFAULT_PERFORMANCE, arpNoteAt, arpStepSec } from "./performance";
+
+// Arpeggiator clock: while keys are held it calls onStep with one of their
+// notes per step (see performance.js for the order). The caller plays the
+// note, so arpeggiated notes go through the instrument and are recorded
+// like typed ones.
+//
+// It runs on its own Tone.Clock rather than the Transport, so it works
+// whether or not the jam board is playing; the rate follows the tempo.
+export function createArpeggiator({ onStep }) {
+  // Held key -> the notes it added: [{ note, row, i, len }]
+  const held = new Map();
+  let mode = DEFAULT_PERFORMANCE.arpMode;
+  let rate = DEFAULT_PERFORMANCE.arpRate;
+  let bpm = 120;
+  let step = 0;
+
+  /** @type {Tone.Clock|null} */
+  let clock = null;
+
+  const stepSec = () => arpStepSec(bpm, rate);
+
+  const tick = (time) => {
+    const voices = [...held.values()].flat();
+    const note = arpNoteAt(
+      voices.map((v) => v.note),
+      mode,
+      step++
+    );
+    if (note == null) return;
+    onStep(
+      voices.find((v) => v.note === note),
+      time,
+      stepSec()
+    );
+  };
+
+  const stop = () => {
+    if (!clock) return;
+    clock.stop();
+    clock.dispose();
+    clock = null;
+    step = 0;
+  };
+
+  return {
+    /**
+     * Change pattern or speed (takes effect on the next step)
+     * @param {{mode?:string, rate?:string, bpm?:number}} options
+     */
+    configure(options) {
+      mode = options.mode ?? mode;
+      rate = options.rate ?? rate;
+      bpm = options.bpm ?? bpm;
+      if (clock) clock.frequency.value = 1 / stepSec();
+    },
+    /**
+     * A key went down: add its notes, starting the arpeggio on the first
+     * @param {string} key
+     * @param {{note:string, row:string, i:number, len:number}[]} voices
+     * @param {number} atTime - Audio-context time of the key press
+     */
+    add(key, voices, atTime) {
+      held.set(key, voices);
+      if (clock) return;
+      clock = new Tone.Clock((time) => tick(time), 1 / stepSec());
+      clock.start(atTime);
+    },
+    // A key came up: its notes leave the arpeggio
+    remove(key) {
+      held.delete(key);
+      if (held.size === 0) stop();
+    },
+    has: (key) => held.has(key),
+    clear() {
+      held.clear();
+      stop();
+    },
+    dispose() {
+      held.clear();
+      stop();
+    },
+  };
+}
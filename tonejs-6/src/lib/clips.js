@@ -0,0 +1,109 @@
+// ============================================================================
+// CLIPS - Which notes of a recording a jam board clip plays, and when
+// ============================================================================
+
+// Pure JavaScript (no Tone.js / browser APIs): live playback, the WAV and
+// MIDI exports and the render server all schedule clips through
+// clipNoteEvents, so a trimmed or looped clip sounds the same everywhere.
+//
+// A clip is a window onto its recording:
+//
+//   recording  |----[offsetSec ........ offsetSec + loopLengthSec)------|
+//   clip (loop off)   [====== durationSec ======)
+//   clip (loop on)    [== loop ==|== loop ==|== lo)   <- repeats to durationSec
+//
+// With loop off the clip plays the recording from offsetSec for durationSec.
+// With loop on the window [offsetSec, offsetSec + loopLengthSec) repeats
+// until the clip ends.
+
+import { noteNameToMidi, midiToNoteName } from "./notes.js";
+import { isPercussion } from "./instrumentRegistry.js";
+
+export const CLIP_GAIN_RANGE_DB = { min: -24, max: 12 };
+export const CLIP_TRANSPOSE_RANGE = { min: -24, max: 24 };
+// Shortest clip (or loop) the board lets you trim down to
+export const MIN_CLIP_SEC = 0.05;
+
+// Recording length in seconds (the stored duration is ms)
+export function recordingLengthSec(rec) {
+  return Math.max(MIN_CLIP_SEC, (Number(rec?.duration) || 0) / 1000);
+}
+
+// Length of the repeating window of a looped clip
+export function clipLoopLengthSec(clip, rec) {
+  const offset = clip.offsetSec ?? 0;
+  return Math.max(
+    MIN_CLIP_SEC,
+    clip.loopLengthSec ?? recordingLengthSec(rec) - offset
+  );
+}
+
+// Transpose has no meaning for percussion: note names pick the sample
+export function canTransposeClip(rec) {
+  return !isPercussion(rec?.instrument);
+}
+
+/**
+ * Notes a clip plays, with times relative to the clip start
+ *
+ * - Only notes starting inside the trimmed window are kept (repeated per loop)
+ * - Held durations (seconds) are cut at the clip end / loop boundary
+ * - gainDb scales each note's velocity (clamped to 0-1), transpose shifts
+ *   pitched notes
+ *
+ * @param {import('./jamPayload').JamClip} clip
+ * @param {import('./recording').Recording} rec
+ * @returns {{time:number, note:string, duration:number|string, velocity:number, row:string, i:number, len:number}[]}
+ */
+export function clipNoteEvents(clip, rec) {
+  const offset = clip.offsetSec ?? 0;
+  const clipLength = clip.durationSec;
+  const windowLength = clip.loop ? clipLoopLengthSec(clip, rec) : clipLength;
+  const gain = 10 ** ((clip.gainDb ?? 0) / 20);
+  const semitones = canTransposeClip(rec) ? (clip.transpose ?? 0) : 0;
+
+  // Notes of one pass through the window, relative to the window start
+  const pass = [];
+  for (const n of rec.notes) {
+    const t = n.timestamp / 1000 - offset;
+    if (t < 0 || t >= windowLength) continue;
+    let note = n.note;
+    if (semitones) {
+      const midi = noteNameToMidi(n.note) + semitones;
+      if (midi < 0 || midi > 127) continue;
+      note = midiToNoteName(midi);
+    }
+    pass.push({
+      time: t,
+      note,
+      duration: n.duration,
+      // Boosted notes stop at full velocity (Sampler and MIDI range)
+      velocity: Math.min(1, Math.max(0, (n.velocity ?? 0.9) * gain)),
+      row: n.row,
+      i: n.i,
+      len: n.len,
+    });
+  }
+
+  pass.sort((a, b) => a.time - b.time);
+
+  const events = [];
+  for (let k = 0; k * windowLength < clipLength; k++) {
+    const start = k * windowLength;
+    const passEnd = Math.min(start + windowLength, clipLength);
+    for (const ev of pass) {
+      const time = start + ev.time;
+      if (time >= passEnd) break;
+      events.push({
+        ...ev,
+        time,
+        duration:
+          typeof ev.duration === "number"
+            ? Math.max(0.01, Math.min(ev.duration, passEnd - time))
+            : ev.duration,
+      });
+    }
+    if (!clip.loop) break;
+  }
+  return events;
+}
@@ -1,2 +1,29 @@
 export const AUDIO_API_URL =
   process.env.NEXT_PUBLIC_AUDIO_API_URL || "http://localhost:3001";
+
+// Default input latency compensation (ms) subtracted from recorded timestamps.
+// Can be overridden per browser from the UI (saved in settings).
+export const DEFAULT_LATENCY_MS =
+  Number(process.env.NEXT_PUBLIC_RECORDING_LATENCY_MS) || 0;
+
+// Where the built-in instruments' samples are served from: a folder with
+// piano/, guitar/, bass/, violin/ and drums/ inside (see samples.js).
+// Defaults to the jsDelivr CDN. Set it to "/audio" to serve a local mirror
+// from public/audio (npm run mirror-samples), e.g. offline or behind a
+// firewall that blocks the CDN.
+export const SAMPLE_CDN_URL =
+  "https://cdn.jsdelivr.net/gh/madesh02104/typejam-audio-files@main/audio";
+export const SAMPLE_BASE_URL = (
+  process.env.NEXT_PUBLIC_SAMPLE_BASE_URL || SAMPLE_CDN_URL
+).replace(/\/+$/, "");
+
+// Where the General MIDI soundfonts are served from: a directory of MIDI.js
+// soundfont files ("acoustic_grand_piano-mp3.js", ...), e.g. one soundfont
+// folder of https://github.com/gleitz/midi-js-soundfonts copied into
+// public/soundfonts/, or any self-hosted copy. Must end with a slash.
+export const SOUNDFONT_URL =
+  process.env.NEXT_PUBLIC_SOUNDFONT_URL || "/soundfonts/";
+
+// Soundfont file format: "mp3" or "ogg"
+export const SOUNDFONT_FORMAT =
+  process.env.NEXT_PUBLIC_SOUNDFONT_FORMAT === "ogg" ? "ogg" : "mp3";
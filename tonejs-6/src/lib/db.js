@@ -0,0 +1,109 @@
+// ============================================================================
+// INDEXEDDB - Versioned database behind lib/storage.js
+// ============================================================================
+
+/**
+ * Thin promise wrapper around the browser's IndexedDB
+ *
+ * WHY INDEXEDDB:
+ * - localStorage caps out around 5MB and only stores one big string per key,
+ *   so every change rewrote every recording
+ * - IndexedDB stores structured objects, one record per key, and gets a
+ *   share of the disk (usually hundreds of MB) instead of a fixed cap
+ *
+ * SCHEMA VERSIONS:
+ * The database has an integer version. Opening it with a higher DB_VERSION
+ * fires "upgradeneeded", where we run every SCHEMA_MIGRATIONS step between
+ * the stored version and the new one, so a browser several releases behind
+ * catches up in one go. Never edit a shipped step; append a new one.
+ */
+
+export const DB_NAME = "typejam";
+export const DB_VERSION = 2;
+
+// SCHEMA_MIGRATIONS[n] upgrades the database from version n to n + 1
+const SCHEMA_MIGRATIONS = [
+  // v1: recordings and projects, each keyed by its id
+  (db) => {
+    db.createObjectStore("recordings", { keyPath: "id" });
+    db.createObjectStore("projects", { keyPath: "id" });
+  },
+  // v2: user sample packs (decoded audio, see samplePacks.js), keyed by id
+  (db) => {
+    db.createObjectStore("samplePacks", { keyPath: "id" });
+  },
+];
+
+let dbPromise = null;
+
+/**
+ * Open (and if needed upgrade) the TypeJam database
+ * The connection is shared for the life of the page.
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available in this browser"));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      for (let v = event.oldVersion; v < DB_VERSION; v++) {
+        console.log(`[TypeJam][db] Upgrading schema v${v} -> v${v + 1}`);
+        SCHEMA_MIGRATIONS[v](db, request.transaction);
+      }
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another tab opened a newer version: let it upgrade, reconnect later
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () =>
+      console.warn(
+        "[TypeJam][db] Upgrade blocked: close other TypeJam tabs to continue"
+      );
+  });
+
+  // Allow a retry after a failed open
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+/**
+ * Run work inside one transaction and wait for it to commit
+ *
+ * `work` receives the transaction and may return an IDBRequest; its result
+ * is what the promise resolves with. The promise only resolves once the
+ * transaction has completed, so a write that hits the quota (which aborts
+ * the transaction with a QuotaExceededError) rejects instead of looking
+ * like it succeeded.
+ *
+ * @param {string|string[]} storeNames - Object stores the transaction covers
+ * @param {"readonly"|"readwrite"} mode
+ * @param {(tx: IDBTransaction) => IDBRequest|void} work
+ * @returns {Promise<any>}
+ */
+export async function runTransaction(storeNames, mode, work) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const request = work(tx);
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () =>
+      reject(tx.error || new DOMException("Transaction aborted", "AbortError"));
+  });
+}
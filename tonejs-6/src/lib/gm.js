@@ -0,0 +1,205 @@
+// ============================================================================
+// GENERAL MIDI - The 128 GM programs as TypeJam instruments
+// ============================================================================
+
+// Pure JavaScript (no Tone.js / browser APIs), shared by the instrument
+// registry and the MIDI export.
+//
+// Every GM program is an instrument with the id "gm:<program>" (0-based,
+// like MIDI program change numbers: "gm:0" is Acoustic Grand Piano). It is
+// played from a soundfont (see soundfontInstrument.js); the names below are
+// the soundfont file names ("acoustic_grand_piano-mp3.js").
+
+export const GM_INSTRUMENT_PREFIX = "gm:";
+
+// Soundfont names, in program order
+export const GM_PROGRAM_NAMES = [
+  // 0–7: Piano
+  "acoustic_grand_piano",
+  "bright_acoustic_piano",
+  "electric_grand_piano",
+  "honkytonk_piano",
+  "electric_piano_1",
+  "electric_piano_2",
+  "harpsichord",
+  "clavinet",
+  // 8–15: Chromatic percussion
+  "celesta",
+  "glockenspiel",
+  "music_box",
+  "vibraphone",
+  "marimba",
+  "xylophone",
+  "tubular_bells",
+  "dulcimer",
+  // 16–23: Organ
+  "drawbar_organ",
+  "percussive_organ",
+  "rock_organ",
+  "church_organ",
+  "reed_organ",
+  "accordion",
+  "harmonica",
+  "tango_accordion",
+  // 24–31: Guitar
+  "acoustic_guitar_nylon",
+  "acoustic_guitar_steel",
+  "electric_guitar_jazz",
+  "electric_guitar_clean",
+  "electric_guitar_muted",
+  "overdriven_guitar",
+  "distortion_guitar",
+  "guitar_harmonics",
+  // 32–39: Bass
+  "acoustic_bass",
+  "electric_bass_finger",
+  "electric_bass_pick",
+  "fretless_bass",
+  "slap_bass_1",
+  "slap_bass_2",
+  "synth_bass_1",
+  "synth_bass_2",
+  // 40–47: Strings
+  "violin",
+  "viola",
+  "cello",
+  "contrabass",
+  "tremolo_strings",
+  "pizzicato_strings",
+  "orchestral_harp",
+  "timpani",
+  // 48–55: Ensemble
+  "string_ensemble_1",
+  "string_ensemble_2",
+  "synth_strings_1",
+  "synth_strings_2",
+  "choir_aahs",
+  "voice_oohs",
+  "synth_choir",
+  "orchestra_hit",
+  // 56–63: Brass
+  "trumpet",
+  "trombone",
+  "tuba",
+  "muted_trumpet",
+  "french_horn",
+  "brass_section",
+  "synth_brass_1",
+  "synth_brass_2",
+  // 64–71: Reed
+  "soprano_sax",
+  "alto_sax",
+  "tenor_sax",
+  "baritone_sax",
+  "oboe",
+  "english_horn",
+  "bassoon",
+  "clarinet",
+  // 72–79: Pipe
+  "piccolo",
+  "flute",
+  "recorder",
+  "pan_flute",
+  "blown_bottle",
+  "shakuhachi",
+  "whistle",
+  "ocarina",
+  // 80–87: Synth lead
+  "lead_1_square",
+  "lead_2_sawtooth",
+  "lead_3_calliope",
+  "lead_4_chiff",
+  "lead_5_charang",
+  "lead_6_voice",
+  "lead_7_fifths",
+  "lead_8_bass__lead",
+  // 88–95: Synth pad
+  "pad_1_new_age",
+  "pad_2_warm",
+  "pad_3_polysynth",
+  "pad_4_choir",
+  "pad_5_bowed",
+  "pad_6_metallic",
+  "pad_7_halo",
+  "pad_8_sweep",
+  // 96–103: Synth effects
+  "fx_1_rain",
+  "fx_2_soundtrack",
+  "fx_3_crystal",
+  "fx_4_atmosphere",
+  "fx_5_brightness",
+  "fx_6_goblins",
+  "fx_7_echoes",
+  "fx_8_scifi",
+  // 104–111: Ethnic
+  "sitar",
+  "banjo",
+  "shamisen",
+  "koto",
+  "kalimba",
+  "bagpipe",
+  "fiddle",
+  "shanai",
+  // 112–119: Percussive
+  "tinkle_bell",
+  "agogo",
+  "steel_drums",
+  "woodblock",
+  "taiko_drum",
+  "melodic_tom",
+  "synth_drum",
+  "reverse_cymbal",
+  // 120–127: Sound effects
+  "guitar_fret_noise",
+  "breath_noise",
+  "seashore",
+  "bird_tweet",
+  "telephone_ring",
+  "helicopter",
+  "applause",
+  "gunshot",
+];
+
+// Eight programs per family, in order
+export const GM_FAMILIES = [
+  "Piano",
+  "Chromatic percussion",
+  "Organ",
+  "Guitar",
+  "Bass",
+  "Strings",
+  "Ensemble",
+  "Brass",
+  "Reed",
+  "Pipe",
+  "Synth lead",
+  "Synth pad",
+  "Synth effects",
+  "Ethnic",
+  "Percussive",
+  "Sound effects",
+];
+
+// 40 -> "gm:40"
+export function gmInstrumentId(program) {
+  return `${GM_INSTRUMENT_PREFIX}${program}`;
+}
+
+// "gm:40" -> 40; null for anything that isn't a GM instrument id
+export function gmProgramOf(instrument) {
+  if (typeof instrument !== "string") return null;
+  if (!instrument.startsWith(GM_INSTRUMENT_PREFIX)) return null;
+  const program = Number(instrument.slice(GM_INSTRUMENT_PREFIX.length));
+  return Number.isInteger(program) && program >= 0 && program < 128
+    ? program
+    : null;
+}
+
+// 4 -> "Electric Piano 1", 103 -> "FX 8 Scifi"
+export function gmProgramLabel(program) {
+  return GM_PROGRAM_NAMES[program]
+    .split("_")
+    .filter(Boolean)
+    .map((w) => (w === "fx" ? "FX" : w[0].toUpperCase() + w.slice(1)))
+    .join(" ");
+}
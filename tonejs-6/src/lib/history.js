@@ -0,0 +1,111 @@
+// ============================================================================
+// HISTORY - Undo/redo stack of commands
+// ============================================================================
+
+// Pure JavaScript (no Tone.js / browser APIs).
+//
+// A command knows how to apply and revert one edit:
+//
+//   { label: "Delete clip", do() { ... }, undo() { ... } }
+//
+// execute() runs do() and puts the command on the undo stack; undo() and
+// redo() move it between the stacks. Any new command clears the redo stack.
+//
+// MERGING: a drag or a slider fires an edit on every pointer move. Commands
+// pushed with the same mergeKey within MERGE_WINDOW_MS of each other become
+// one undo step: the first command's undo() with the latest command's do().
+
+export const HISTORY_LIMIT = 100;
+export const MERGE_WINDOW_MS = 1000;
+
+/**
+ * @typedef {Object} Command
+ * @property {string} label - Shown in the Undo/Redo button titles ("Move clip")
+ * @property {() => void} do - Apply the edit (also used for redo)
+ * @property {() => void} undo - Revert the edit
+ */
+
+/**
+ * @typedef {Object} HistoryState
+ * @property {string|null} undoLabel - Label of the command undo() would revert
+ * @property {string|null} redoLabel - Label of the command redo() would apply
+ */
+
+/**
+ * Create an undo/redo history
+ * @param {{limit?:number, onChange?:(state:HistoryState) => void, now?:() => number}} [options]
+ *   onChange: called after every change to either stack
+ *   now: clock for merging (Date.now by default)
+ */
+export function createHistory({
+  limit = HISTORY_LIMIT,
+  onChange,
+  now = Date.now,
+} = {}) {
+  /** @type {(Command & {mergeKey?:string, at:number})[]} */
+  let undoStack = [];
+  /** @type {Command[]} */
+  let redoStack = [];
+
+  const state = () => ({
+    undoLabel: undoStack.at(-1)?.label ?? null,
+    redoLabel: redoStack.at(-1)?.label ?? null,
+  });
+  const changed = () => onChange?.(state());
+
+  return {
+    /**
+     * Apply a command and record it
+     * @param {Command} command
+     * @param {{mergeKey?:string}} [options]
+     */
+    execute(command, { mergeKey } = {}) {
+      command.do();
+      const at = now();
+      const last = undoStack.at(-1);
+      if (
+        mergeKey &&
+        last?.mergeKey === mergeKey &&
+        at - last.at <= MERGE_WINDOW_MS
+      ) {
+        undoStack[undoStack.length - 1] = {
+          ...last,
+          do: command.do,
+          at,
+        };
+      } else {
+        undoStack.push({ ...command, mergeKey, at });
+        if (undoStack.length > limit) undoStack.shift();
+      }
+      redoStack = [];
+      changed();
+    },
+
+    undo() {
+      const command = undoStack.pop();
+      if (!command) return false;
+      command.undo();
+      redoStack.push(command);
+      changed();
+      return true;
+    },
+
+    redo() {
+      const command = redoStack.pop();
+      if (!command) return false;
+      command.do();
+      // Never merge into a redone step
+      undoStack.push({ ...command, mergeKey: undefined });
+      changed();
+      return true;
+    },
+
+    clear() {
+      undoStack = [];
+      redoStack = [];
+      changed();
+    },
+
+    state,
+  };
+}
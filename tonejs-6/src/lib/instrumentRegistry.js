@@ -0,0 +1,251 @@
+// ============================================================================
+// INSTRUMENT REGISTRY - Every instrument declared once, with its metadata
+// ============================================================================
+
+// Pure JavaScript (no Tone.js / browser APIs), so the keyboard mapping, the
+// piano roll, the MIDI code and the render server read the same definitions
+// the audio engine is built from (createInstrument() in instruments.js).
+//
+// Adding an instrument is one call:
+//
+//   registerInstrument({
+//     id: "cello",
+//     name: "Cello",
+//     kind: "pitched",
+//     samples: { folder: "cello", urls: { C2: "C2.mp3", C3: "C3.mp3" } },
+//     gmProgram: 42,
+//   });
+//
+// The picker lists it, the keyboard plays it with its key map, and
+// recordings/clips made with it store its id.
+
+import {
+  PIANO_URLS,
+  GUITAR_URLS,
+  BASS_URLS,
+  VIOLIN_URLS,
+  DRUM_NOTE_TO_FILE,
+} from "./samples.js";
+import { firstSampleFile, normalizeSampleMap } from "./sampleLayers.js";
+import {
+  GM_FAMILIES,
+  GM_PROGRAM_NAMES,
+  gmInstrumentId,
+  gmProgramLabel,
+} from "./gm.js";
+
+export const INSTRUMENT_KINDS = ["pitched", "percussion"];
+
+// Octave each keyboard row starts in (pitched instruments)
+export const DEFAULT_ROW_OCTAVES = { num: 6, top: 5, mid: 4, bot: 3 };
+
+/**
+ * @typedef {Object} InstrumentDefinition
+ * @property {string} id - Stored on recordings ("piano", "gm:40")
+ * @property {string} name - Shown in the picker and the recordings list
+ * @property {"pitched"|"percussion"} kind - Percussion notes pick a sample:
+ *   no scale, chords or transposition
+ * @property {string} [group] - Picker section ("General MIDI: Strings");
+ *   ungrouped instruments are listed first
+ * @property {InstrumentSamples} [samples] - Without samples the instrument
+ *   plays gmProgram from a soundfont
+ * @property {number} [gmProgram] - General MIDI program (0-127) for .mid
+ *   export, and the soundfont to load when there are no samples
+ * @property {InstrumentKeyMap} [keyMap] - Default keyboard layout
+ * @property {InstrumentFx} [fx] - Options passed to the audio engine
+ */
+
+/**
+ * @typedef {Object} InstrumentSamples
+ * @property {Object<string, any>} urls - note -> file name, or velocity
+ *   layers / round-robin alternates (sample map shapes in sampleLayers.js)
+ * @property {string} [folder] - Files are in <sample base>/<folder>/
+ * @property {Object<string, any>} [buffers] - note -> decoded audio, for
+ *   samples that only exist in the browser (sample packs, samplePacks.js)
+ */
+
+/**
+ * @typedef {Object} InstrumentKeyMap
+ * @property {Object<string, number>} [octaves] - Pitched: octave each row
+ *   starts in ({ num, top, mid, bot }, DEFAULT_ROW_OCTAVES by default)
+ * @property {Object<string, string[]>} [rows] - Percussion: the note each
+ *   key plays, left to right per row ({ num, top, mid, bot }; rows follow
+ *   KEY_ROWS in keyMaps.js, "num" only plays with the number row on)
+ */
+
+/**
+ * @typedef {Object} InstrumentFx
+ * @property {number} [transpose] - Semitones the engine shifts every note
+ *   (MIDI export applies it too, so files match what you hear)
+ * @property {{top?:number, mid?:number, bot?:number}} [rowGainDb] - Per-row gain
+ */
+
+/** @type {Map<string, InstrumentDefinition>} */
+const registry = new Map();
+
+/**
+ * Add an instrument
+ * @param {InstrumentDefinition} definition
+ * @returns {InstrumentDefinition} The stored (frozen) definition
+ */
+export function registerInstrument(definition) {
+  const { id, name, kind, samples, gmProgram } = definition;
+  if (!id || typeof id !== "string") {
+    throw new Error("Instrument id must be a non-empty string");
+  }
+  if (registry.has(id)) throw new Error(`Instrument "${id}" already exists`);
+  if (!name) throw new Error(`Instrument "${id}" needs a name`);
+  if (!INSTRUMENT_KINDS.includes(kind)) {
+    throw new Error(`Instrument "${id}": kind must be pitched or percussion`);
+  }
+  if (!samples && gmProgram == null) {
+    throw new Error(`Instrument "${id}" needs samples or a gmProgram`);
+  }
+  const source = samples?.folder || samples?.buffers;
+  if (samples && !(source && Object.keys(samples.urls ?? {}).length)) {
+    throw new Error(
+      `Instrument "${id}": samples need urls and a folder or buffers`
+    );
+  }
+  if (samples) {
+    // Throws on a note with no files ("No samples for C4")
+    try {
+      normalizeSampleMap(samples.urls);
+    } catch (error) {
+      throw new Error(`Instrument "${id}": ${error.message}`);
+    }
+  }
+  if (kind === "percussion" && !samples) {
+    throw new Error(`Percussion instrument "${id}" needs samples`);
+  }
+  const stored = Object.freeze({ fx: {}, keyMap: {}, ...definition });
+  registry.set(id, stored);
+  return stored;
+}
+
+/**
+ * Remove an instrument (a deleted sample pack). Recordings that used it keep
+ * its id but can't play: jam playback and export skip their clips.
+ * @param {string} id
+ */
+export function unregisterInstrument(id) {
+  registry.delete(id);
+}
+
+/** @returns {InstrumentDefinition|undefined} */
+export function getInstrument(id) {
+  return registry.get(id);
+}
+
+// Every instrument, in registration order
+export function listInstruments() {
+  return [...registry.values()];
+}
+
+// Picker sections: ungrouped instruments first, then each group in the
+// order it was first registered
+export function instrumentGroups() {
+  const groups = new Map([[null, []]]);
+  for (const def of registry.values()) {
+    const group = def.group ?? null;
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(def);
+  }
+  return [...groups]
+    .filter(([, instruments]) => instruments.length)
+    .map(([group, instruments]) => ({ group, instruments }));
+}
+
+export function isPercussion(id) {
+  return registry.get(id)?.kind === "percussion";
+}
+
+// Display name; unknown ids (e.g. a removed plugin) show as stored
+export function instrumentName(id) {
+  return registry.get(id)?.name ?? id;
+}
+
+// Percussion: "C2" -> "ride" (the sample's file name)
+export function sampleLabel(id, note) {
+  const value = registry.get(id)?.samples?.urls[note];
+  const file = value ? firstSampleFile(value) : null;
+  return typeof file === "string" ? file.replace(/\.\w+$/, "") : note;
+}
+
+// Octave each keyboard row starts in for a pitched instrument
+export function rowOctaves(id) {
+  return { ...DEFAULT_ROW_OCTAVES, ...registry.get(id)?.keyMap.octaves };
+}
+
+// ============================================================================
+// BUILT-IN INSTRUMENTS
+// ============================================================================
+
+registerInstrument({
+  id: "piano",
+  name: "Piano",
+  kind: "pitched",
+  samples: { folder: "piano", urls: PIANO_URLS },
+  gmProgram: 0, // Acoustic Grand Piano
+});
+
+registerInstrument({
+  id: "guitar",
+  name: "Guitar",
+  kind: "pitched",
+  samples: { folder: "guitar", urls: GUITAR_URLS },
+  gmProgram: 24, // Acoustic Guitar (nylon)
+});
+
+// Boost bass top row, and transpose up one octave to avoid sub‑audible notes
+registerInstrument({
+  id: "bass",
+  name: "Bass",
+  kind: "pitched",
+  samples: { folder: "bass", urls: BASS_URLS },
+  gmProgram: 33, // Electric Bass (finger)
+  fx: { transpose: 12, rowGainDb: { top: 20, mid: 20, bot: 12 } },
+});
+
+registerInstrument({
+  id: "violin",
+  name: "Violin",
+  kind: "pitched",
+  samples: { folder: "violin", urls: VIOLIN_URLS },
+  gmProgram: 40, // Violin
+});
+
+// Drums: 26 letter keys -> 9 samples via columns; ride/crash fill the last
+// columns. Column order: kick, snare, hihat-closed, hihat-open, tom-low,
+// tom-mid, tom-high
+const KIT_COLUMNS = ["C1", "D1", "E1", "F1", "G1", "A1", "B1"];
+registerInstrument({
+  id: "drums",
+  name: "Drums",
+  kind: "percussion",
+  samples: { folder: "drums", urls: DRUM_NOTE_TO_FILE },
+  keyMap: {
+    rows: {
+      // number row: then ride/crash alternating (C2 = ride, D2 = crash)
+      num: [...KIT_COLUMNS, "C2", "D2", "C2", "D2", "C2"],
+      // top row (Q–P): then ride for the last 3 (I, O, P)
+      top: [...KIT_COLUMNS, "C2", "C2", "C2"],
+      // home row (A–L): then crash for the last 2 (K, L)
+      mid: [...KIT_COLUMNS, "D2", "D2"],
+      // bottom row (Z–M): the 7 base sounds
+      bot: KIT_COLUMNS,
+    },
+  },
+  fx: { rowGainDb: { top: 16, mid: 16, bot: 16 } },
+});
+
+// The 128 General MIDI programs, played from soundfonts (see gm.js)
+GM_PROGRAM_NAMES.forEach((_, program) => {
+  registerInstrument({
+    id: gmInstrumentId(program),
+    name: gmProgramLabel(program),
+    kind: "pitched",
+    group: `General MIDI: ${GM_FAMILIES[Math.floor(program / 8)]}`,
+    gmProgram: program,
+  });
+});
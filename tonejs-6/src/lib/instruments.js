@@ -1,34 +1,67 @@
-// Instruments registry: each function returns a ready-to-play instrument.
-// All instruments use the same Sampler-based engine with per-row FX and per-key modulation.
+// Instrument engines: builds a ready-to-play instrument from its registry
+// definition (instrumentRegistry.js).
+// - Instruments with a sample map (files or decoded sample packs) use the
+//   Sampler-based engine with per-row FX and per-key modulation
+// - General MIDI programs without samples play from a soundfont through the
+//   same interface
+// Options are engine options, e.g. { output } to route into a track channel.
+// Download progress of every engine is published to onInstrumentLoad().
 import { makeSampledInstrument } from "./sampledInstrument";
-import {
-  BASES,
-  PIANO_URLS,
-  GUITAR_URLS,
-  BASS_URLS,
-  VIOLIN_URLS,
-  DRUM_NOTE_TO_FILE,
-} from "./samples";
+import { makeSoundfontInstrument } from "./soundfontInstrument";
+import { getInstrument } from "./instrumentRegistry";
+import { sampleBaseUrl } from "./samples";
 
-export const INSTRUMENTS = {
-  // Pitched instruments: Sampler + per-row FX + per-key modulation
-  piano: () => makeSampledInstrument(BASES.piano, PIANO_URLS),
-  guitar: () => makeSampledInstrument(BASES.guitar, GUITAR_URLS),
-  // Boost bass top row, and transpose up one octave to avoid sub‑audible notes
-  bass: () =>
-    makeSampledInstrument(BASES.bass, BASS_URLS, {
-      transpose: 12,
-      rowGainDb: { top: 20, mid: 20, bot: 12 },
-    }),
-  violin: () => makeSampledInstrument(BASES.violin, VIOLIN_URLS),
-  // Drums: Sampler one-shots; columns map to kit pieces; row/col modulates tone
-  drums: () => {
-    const urls = { ...DRUM_NOTE_TO_FILE };
-    console.groupCollapsed("[TypeJam][instruments] create drums instrument");
-    console.log({ baseUrl: BASES.drums, urls });
-    console.groupEnd();
-    return makeSampledInstrument(BASES.drums, urls, {
-      rowGainDb: { top: 16, mid: 16, bot: 16 },
-    });
-  },
-};
+/**
+ * @typedef {Object} InstrumentLoad
+ * @property {string} id - Instrument id
+ * @property {number} loaded - Files ready so far
+ * @property {number} total - Files the instrument needs
+ * @property {string} [error] - Set when a file failed (404, offline, ...)
+ */
+
+const loadListeners = new Set();
+
+/**
+ * Follow sample downloads (the page shows per-instrument progress)
+ * @param {(load: InstrumentLoad) => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export function onInstrumentLoad(listener) {
+  loadListeners.add(listener);
+  return () => loadListeners.delete(listener);
+}
+
+/**
+ * Create the engine for an instrument id
+ * @param {string} id - Registered instrument id ("piano", "gm:40", ...)
+ * @param {Object} [options] - Engine options, on top of the definition's fx
+ * @returns {{ensureReady:Function, play:Function, attack:Function, release:Function, dispose:Function}}
+ */
+export function createInstrument(id, options = {}) {
+  const def = getInstrument(id);
+  if (!def) throw new Error(`Unknown instrument: ${id}`);
+
+  const engineOptions = {
+    ...def.fx,
+    percussion: def.kind === "percussion",
+    onProgress: (progress) =>
+      loadListeners.forEach((listener) => listener({ id, ...progress })),
+    ...options,
+  };
+  console.groupCollapsed(`[TypeJam][instruments] create ${id}`);
+  console.log({ def, engineOptions });
+  console.groupEnd();
+
+  if (def.samples?.buffers) {
+    // Already decoded (sample packs): the Sampler takes them as they are
+    return makeSampledInstrument("", { ...def.samples.buffers }, engineOptions);
+  }
+  if (def.samples) {
+    return makeSampledInstrument(
+      sampleBaseUrl(def.samples.folder),
+      { ...def.samples.urls },
+      engineOptions
+    );
+  }
+  return makeSoundfontInstrument(def.gmProgram, engineOptions);
+}
@@ -0,0 +1,318 @@
+// ============================================================================
+// JAM PAYLOAD - The arrangement format sent to POST /api/convert
+// ============================================================================
+
+// Pure JavaScript (no Tone.js / browser APIs): the page builds payloads with
+// it and the render server (server/index.mjs) validates them with it.
+
+import {
+  CLIP_GAIN_RANGE_DB,
+  CLIP_TRANSPOSE_RANGE,
+  MIN_CLIP_SEC,
+  clipLoopLengthSec,
+} from "./clips.js";
+import { noteNameToMidi } from "./notes.js";
+import { durationToSeconds } from "./midi.js";
+import { getInstrument } from "./instrumentRegistry.js";
+
+export const JAM_SCHEMA_VERSION = 1;
+
+/**
+ * JamPayload (schemaVersion 1)
+ *
+ * @typedef {Object} JamPayload
+ * @property {1} schemaVersion - Format version, always JAM_SCHEMA_VERSION
+ * @property {number} bpm - Tempo used for Tone.js notation durations ("8n") and MIDI export
+ * @property {[number, number]} [timeSignature] - e.g. [6, 8]; default [4, 4] (MIDI export)
+ * @property {JamClip[]} clips - Clips placed on the jam board
+ * @property {import('./projects').TrackSettings[]} [tracks] - Per-track mute/solo/volume/pan, indexed by trackIndex
+ * @property {Object<string, import('./recording').Recording>} recordingsById - Every recording a clip references
+ */
+
+/**
+ * JamClip: one recording placed on a jam track
+ *
+ * @typedef {Object} JamClip
+ * @property {string} id - Clip id
+ * @property {string} recordingId - Key into recordingsById
+ * @property {number} trackIndex - Jam track (0-based)
+ * @property {number} startTimeSec - Where the clip starts on the timeline
+ * @property {number} durationSec - Length of the clip on the timeline
+ * @property {string} [name] - Label shown on the board
+ * @property {number} [offsetSec] - Where in the recording the clip starts (trimmed start), default 0
+ * @property {boolean} [loop] - Repeat the window [offsetSec, offsetSec + loopLengthSec) until durationSec
+ * @property {number} [loopLengthSec] - Length of the looped window, default the rest of the recording
+ * @property {number} [gainDb] - Clip gain (scales note velocities), default 0
+ * @property {number} [transpose] - Semitones, ignored for drums, default 0
+ *
+ * See lib/clips.js for how these pick the notes a clip plays.
+ */
+
+const MAX_CLIPS = 500;
+const MAX_NOTES_PER_RECORDING = 20000;
+// Longest arrangement the server renders or exports. Every time and length
+// field is capped by it too, so nothing is expanded or encoded before the
+// length check (a huge value would overflow MIDI delta-times).
+export const MAX_ARRANGEMENT_SEC = 15 * 60;
+// Notes once looped clips are repeated (clipNoteEvents), over all clips
+const MAX_NOTE_EVENTS = 200000;
+
+// Why a recording's note can't be played, or null. Percussion notes name a
+// sample of the kit ("C1" = kick); pitched notes are note names in MIDI range.
+function noteProblem(note, instrument) {
+  if (typeof note !== "string" || !note) return "must be a note name";
+  const def = getInstrument(instrument);
+  if (def?.kind === "percussion") {
+    return Object.hasOwn(def.samples.urls, note)
+      ? null
+      : `"${note}" is not a sample of ${instrument}`;
+  }
+  let midi;
+  try {
+    midi = noteNameToMidi(note);
+  } catch {
+    return `"${note}" is not a note name (e.g. C4, F#3)`;
+  }
+  return midi >= 0 && midi <= 127 ? null : `"${note}" is out of MIDI range`;
+}
+
+/**
+ * Check a payload against schemaVersion 1
+ *
+ * @param {any} payload - Parsed JSON body
+ * @param {{instruments?: string[]}} [options] - Instrument ids the caller can render
+ * @returns {string[]} Problems found, as "path: message" strings (empty when valid)
+ */
+export function validateJamPayload(payload, { instruments } = {}) {
+  const errors = [];
+  const fail = (path, message) => errors.push(`${path}: ${message}`);
+  const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+  // A time or length in seconds, 0 (or more than 0) up to the arrangement cap
+  const isSec = (v, { positive = false } = {}) =>
+    isNum(v) && (positive ? v > 0 : v >= 0) && v <= MAX_ARRANGEMENT_SEC;
+  const bpm = isNum(payload?.bpm) ? payload.bpm : 120;
+
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return ["payload: must be a JSON object"];
+  }
+  if (payload.schemaVersion !== JAM_SCHEMA_VERSION) {
+    fail(
+      "schemaVersion",
+      `must be ${JAM_SCHEMA_VERSION} (got ${JSON.stringify(payload.schemaVersion)})`
+    );
+  }
+  if (!isNum(payload.bpm) || payload.bpm < 20 || payload.bpm > 400) {
+    fail("bpm", "must be a number between 20 and 400");
+  }
+  if (payload.timeSignature != null) {
+    const [num, den] = Array.isArray(payload.timeSignature)
+      ? payload.timeSignature
+      : [];
+    const denOk = [1, 2, 4, 8, 16, 32].includes(den);
+    if (
+      payload.timeSignature.length !== 2 ||
+      !Number.isInteger(num) ||
+      num < 1 ||
+      num > 32 ||
+      !denOk
+    ) {
+      fail("timeSignature", "must be [beats 1-32, unit 1|2|4|8|16|32]");
+    }
+  }
+
+  const recordings = payload.recordingsById;
+  if (
+    !recordings ||
+    typeof recordings !== "object" ||
+    Array.isArray(recordings)
+  ) {
+    fail("recordingsById", "must be an object keyed by recording id");
+  } else {
+    for (const [id, rec] of Object.entries(recordings)) {
+      const at = `recordingsById.${id}`;
+      if (!rec || typeof rec !== "object") {
+        fail(at, "must be a recording object");
+        continue;
+      }
+      if (typeof rec.instrument !== "string") {
+        fail(`${at}.instrument`, "must be a string");
+      } else if (instruments && !instruments.includes(rec.instrument)) {
+        fail(`${at}.instrument`, `unknown instrument "${rec.instrument}"`);
+      }
+      if (!Array.isArray(rec.notes)) {
+        fail(`${at}.notes`, "must be an array");
+        continue;
+      }
+      if (rec.notes.length > MAX_NOTES_PER_RECORDING) {
+        fail(`${at}.notes`, `at most ${MAX_NOTES_PER_RECORDING} notes`);
+        continue;
+      }
+      rec.notes.forEach((n, i) => {
+        const nAt = `${at}.notes[${i}]`;
+        if (!n || typeof n !== "object") return fail(nAt, "must be an object");
+        const problem = noteProblem(n.note, rec.instrument);
+        if (problem) fail(`${nAt}.note`, problem);
+        if (!isSec(n.timestamp / 1000)) {
+          fail(
+            `${nAt}.timestamp`,
+            `must be a number of ms from 0 to ${MAX_ARRANGEMENT_SEC * 1000}`
+          );
+        }
+        const durOk =
+          (isNum(n.duration) ||
+            (typeof n.duration === "string" && n.duration)) &&
+          isSec(durationToSeconds(n.duration, bpm), { positive: true });
+        if (!durOk) {
+          fail(
+            `${nAt}.duration`,
+            `must be seconds or a notation string, up to ${MAX_ARRANGEMENT_SEC}s`
+          );
+        }
+        if (
+          n.velocity != null &&
+          (!isNum(n.velocity) || n.velocity < 0 || n.velocity > 1)
+        ) {
+          fail(`${nAt}.velocity`, "must be between 0 and 1");
+        }
+      });
+    }
+  }
+
+  if (!Array.isArray(payload.clips)) {
+    fail("clips", "must be an array");
+  } else {
+    if (payload.clips.length > MAX_CLIPS) {
+      fail("clips", `at most ${MAX_CLIPS} clips`);
+    }
+    payload.clips.slice(0, MAX_CLIPS).forEach((c, i) => {
+      const at = `clips[${i}]`;
+      if (!c || typeof c !== "object") return fail(at, "must be an object");
+      if (typeof c.recordingId !== "string") {
+        fail(`${at}.recordingId`, "must be a string");
+      } else if (
+        recordings &&
+        typeof recordings === "object" &&
+        !Object.hasOwn(recordings, c.recordingId)
+      ) {
+        fail(
+          `${at}.recordingId`,
+          `"${c.recordingId}" is not in recordingsById`
+        );
+      }
+      if (!Number.isInteger(c.trackIndex) || c.trackIndex < 0) {
+        fail(`${at}.trackIndex`, "must be an integer >= 0");
+      }
+      if (!isSec(c.startTimeSec)) {
+        fail(
+          `${at}.startTimeSec`,
+          `must be a number from 0 to ${MAX_ARRANGEMENT_SEC}`
+        );
+      }
+      if (!isSec(c.durationSec, { positive: true })) {
+        fail(
+          `${at}.durationSec`,
+          `must be a number > 0, up to ${MAX_ARRANGEMENT_SEC}`
+        );
+      }
+      if (
+        isNum(c.startTimeSec) &&
+        isNum(c.durationSec) &&
+        c.startTimeSec + c.durationSec > MAX_ARRANGEMENT_SEC
+      ) {
+        fail(at, `ends after ${MAX_ARRANGEMENT_SEC}s, the longest arrangement`);
+      }
+      if (c.offsetSec != null && !isSec(c.offsetSec)) {
+        fail(
+          `${at}.offsetSec`,
+          `must be a number from 0 to ${MAX_ARRANGEMENT_SEC}`
+        );
+      }
+      if (c.loop != null && typeof c.loop !== "boolean") {
+        fail(`${at}.loop`, "must be a boolean");
+      }
+      if (
+        c.loopLengthSec != null &&
+        (!isSec(c.loopLengthSec) || c.loopLengthSec < MIN_CLIP_SEC)
+      ) {
+        fail(
+          `${at}.loopLengthSec`,
+          `must be a number from ${MIN_CLIP_SEC} to ${MAX_ARRANGEMENT_SEC}`
+        );
+      }
+      if (
+        c.gainDb != null &&
+        (!isNum(c.gainDb) ||
+          c.gainDb < CLIP_GAIN_RANGE_DB.min ||
+          c.gainDb > CLIP_GAIN_RANGE_DB.max)
+      ) {
+        fail(
+          `${at}.gainDb`,
+          `must be between ${CLIP_GAIN_RANGE_DB.min} and ${CLIP_GAIN_RANGE_DB.max}`
+        );
+      }
+      if (
+        c.transpose != null &&
+        (!Number.isInteger(c.transpose) ||
+          c.transpose < CLIP_TRANSPOSE_RANGE.min ||
+          c.transpose > CLIP_TRANSPOSE_RANGE.max)
+      ) {
+        fail(
+          `${at}.transpose`,
+          `must be an integer between ${CLIP_TRANSPOSE_RANGE.min} and ${CLIP_TRANSPOSE_RANGE.max}`
+        );
+      }
+    });
+  }
+
+  // Looping a short window over a long clip multiplies its notes: count them
+  // before anything expands the loops (only once the clips are known good)
+  if (!errors.length) {
+    const events = payload.clips.reduce(
+      (sum, c) => sum + expandedNoteCount(c, recordings[c.recordingId]),
+      0
+    );
+    if (events > MAX_NOTE_EVENTS) {
+      fail(
+        "clips",
+        `play ${events} notes once loops repeat; the limit is ${MAX_NOTE_EVENTS}`
+      );
+    }
+  }
+
+  if (payload.tracks != null) {
+    if (!Array.isArray(payload.tracks)) {
+      fail("tracks", "must be an array");
+    } else {
+      payload.tracks.forEach((t, i) => {
+        const at = `tracks[${i}]`;
+        if (!t || typeof t !== "object") return fail(at, "must be an object");
+        for (const flag of ["mute", "solo"]) {
+          if (t[flag] != null && typeof t[flag] !== "boolean") {
+            fail(`${at}.${flag}`, "must be a boolean");
+          }
+        }
+        if (t.volumeDb != null && (!isNum(t.volumeDb) || t.volumeDb > 24)) {
+          fail(`${at}.volumeDb`, "must be a number of dB <= 24");
+        }
+        if (t.pan != null && (!isNum(t.pan) || t.pan < -1 || t.pan > 1)) {
+          fail(`${at}.pan`, "must be between -1 and 1");
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+// Notes a clip plays (what clipNoteEvents returns) without building them:
+// the notes in one pass of its window times the number of passes
+function expandedNoteCount(clip, rec) {
+  const offset = clip.offsetSec ?? 0;
+  const windowSec = clip.loop ? clipLoopLengthSec(clip, rec) : clip.durationSec;
+  const perPass = rec.notes.filter((n) => {
+    const t = n.timestamp / 1000 - offset;
+    return t >= 0 && t < windowSec;
+  }).length;
+  const passes = clip.loop ? Math.ceil(clip.durationSec / windowSec) : 1;
+  return perPass * passes;
+}
@@ -1,38 +1,82 @@
 import * as Tone from "tone";
-import { INSTRUMENTS } from "./instruments";
+import { createInstrument } from "./instruments";
+import { getInstrument } from "./instrumentRegistry";
+import { isTrackAudible } from "./projects";
+import { clipNoteEvents } from "./clips";
+
+// Point a track's Tone.Channel at its header settings (mute/solo/volume/pan).
+// rampSec smooths live fader moves; the offline renderer sets values directly.
+export function applyTrackSettings(channel, tracks, trackIndex, rampSec = 0) {
+  const track = tracks[trackIndex] || {};
+  if (!isTrackAudible(tracks, trackIndex)) {
+    channel.mute = true;
+    return;
+  }
+  channel.mute = false;
+  const volumeDb = track.volumeDb ?? 0;
+  const pan = track.pan ?? 0;
+  if (rampSec) {
+    channel.volume.rampTo(volumeDb, rampSec);
+    channel.pan.rampTo(pan, rampSec);
+  } else {
+    channel.volume.value = volumeDb;
+    channel.pan.value = pan;
+  }
+}
 
 // Build and control a session that can play multiple recordings as clips on a shared Transport.
+// Every jam track gets a Tone.Channel; clips on a track play through it.
 export function createJamSession(recordingsById) {
+  // Instruments keyed by `${trackIndex}:${recordingId}` (one per track output)
   /** @type {Map<string, { instrument: any, ready: boolean }>} */
-  const engineByRecording = new Map();
+  const engines = new Map();
+  /** @type {Map<number, Tone.Channel>} */
+  const channels = new Map();
+  /** @type {import('./projects').TrackSettings[]} */
+  let tracks = [];
   /** @type {Tone.Part[]} */
   let parts = [];
-  let started = false;
+  // Current loop region; re-applied after tempo changes (Tone keeps loop points in ticks)
+  let loopRegion = null;
+
+  const ensureChannel = (trackIndex) => {
+    let channel = channels.get(trackIndex);
+    if (!channel) {
+      channel = new Tone.Channel().connect(Tone.getDestination());
+      applyTrackSettings(channel, tracks, trackIndex);
+      channels.set(trackIndex, channel);
+    }
+    return channel;
+  };
 
-  const ensureEngine = async (recordingId) => {
-    let engine = engineByRecording.get(recordingId);
+  const ensureEngine = async (recordingId, trackIndex) => {
+    const key = `${trackIndex}:${recordingId}`;
+    let engine = engines.get(key);
     if (!engine) {
       const rec = recordingsById.get(recordingId);
       if (!rec) return null;
-      const instrument = INSTRUMENTS[rec.instrument]();
-      await instrument.ensureReady();
+      // e.g. a deleted sample pack: its clips stay on the board, silent
+      if (!getInstrument(rec.instrument)) {
+        console.warn(
+          `[TypeJam][jam] skipping clips of ${recordingId}: unknown instrument "${rec.instrument}"`
+        );
+        return null;
+      }
+      const instrument = createInstrument(rec.instrument, {
+        output: ensureChannel(trackIndex),
+      });
+      try {
+        await instrument.ensureReady();
+      } catch (error) {
+        instrument.dispose();
+        throw error;
+      }
       engine = { instrument, ready: true };
-      engineByRecording.set(recordingId, engine);
+      engines.set(key, engine);
     }
     return engine;
   };
 
-  const makeEvents = (rec) =>
-    rec.notes.map((n) => ({
-      time: n.timestamp / 1000,
-      note: n.note,
-      duration: n.duration,
-      velocity: n.velocity,
-      row: n.row,
-      i: n.i,
-      len: n.len,
-    }));
-
   const clearParts = () => {
     parts.forEach((p) => {
       try {
@@ -43,41 +87,90 @@ export function createJamSession(recordingsById) {
     parts = [];
   };
 
+  // One Part per clip, through its track's instrument
+  const schedule = async (clips) => {
+    for (const clip of clips) {
+      const rec = recordingsById.get(clip.recordingId);
+      if (!rec) continue;
+      const engine = await ensureEngine(clip.recordingId, clip.trackIndex);
+      if (!engine) continue;
+      // Only the notes inside the clip's trimmed window, repeated if it loops
+      const events = clipNoteEvents(clip, rec);
+      // Each event's duration is the held length captured on keyup, so clips
+      // sustain exactly like the live performance
+      const part = new Tone.Part((time, ev) => {
+        engine.instrument.play(
+          ev.note,
+          ev.duration,
+          time,
+          ev.velocity,
+          ev.row,
+          ev.i,
+          ev.len
+        );
+      }, events);
+      part.loop = false;
+      // offset by clip start time on the transport
+      part.start(clip.startTimeSec);
+      parts.push(part);
+    }
+  };
+
   return {
-    async play(clips) {
+    // Swap in the latest recordings (new takes, imports, deletions)
+    setRecordings(nextRecordingsById) {
+      recordingsById = nextRecordingsById;
+    },
+    // Apply track header changes; takes effect immediately, even mid-playback
+    setTracks(nextTracks) {
+      tracks = nextTracks || [];
+      for (const [trackIndex, channel] of channels) {
+        applyTrackSettings(channel, tracks, trackIndex, 0.05);
+      }
+    },
+    // Loop region {startSec, endSec} for rehearsing a section, or null for none
+    setLoop(region) {
+      loopRegion = region;
+      if (region && region.endSec > region.startSec) {
+        Tone.Transport.setLoopPoints(region.startSec, region.endSec);
+        Tone.Transport.loop = true;
+      } else {
+        Tone.Transport.loop = false;
+      }
+    },
+    // Project tempo/time signature -> Tone.Transport (call before play, since
+    // clip positions in seconds are converted to ticks at the current tempo)
+    setTiming({ bpm, timeSignature }) {
+      Tone.Transport.bpm.value = bpm;
+      Tone.Transport.timeSignature = timeSignature;
+      this.setLoop(loopRegion);
+    },
+    // Move the playhead; works while playing or stopped
+    seek(sec) {
+      Tone.Transport.seconds = Math.max(0, sec);
+    },
+    get positionSec() {
+      return Tone.Transport.seconds;
+    },
+    // Start playback at fromSec (the playhead) with the given track settings and loop.
+    // Rejects with the load error (a missing sample or soundfont) without
+    // starting the Transport.
+    async play(clips, { tracks: nextTracks = tracks, fromSec = 0, loop } = {}) {
+      this.setTracks(nextTracks);
+      if (loop !== undefined) this.setLoop(loop);
       if (Tone.context.state !== "running") await Tone.start();
       await Tone.loaded();
 
       // Build parts for all clips
       clearParts();
-      for (const clip of clips) {
-        const rec = recordingsById.get(clip.recordingId);
-        if (!rec) continue;
-        const engine = await ensureEngine(clip.recordingId);
-        if (!engine) continue;
-        const events = makeEvents(rec);
-        const part = new Tone.Part((time, ev) => {
-          engine.instrument.play(
-            ev.note,
-            ev.duration,
-            time,
-            ev.velocity,
-            ev.row,
-            ev.i,
-            ev.len
-          );
-        }, events);
-        part.loop = false;
-        // offset by clip start time on the transport
-        part.start(clip.startTimeSec);
-        parts.push(part);
+      try {
+        await schedule(clips);
+      } catch (error) {
+        clearParts();
+        throw error;
       }
 
-      if (!started) {
-        Tone.Transport.seconds = 0;
-        started = true;
-      }
-      Tone.Transport.start();
+      Tone.Transport.start(undefined, Math.max(0, fromSec));
     },
     pause() {
       Tone.Transport.pause();
@@ -87,16 +180,17 @@ export function createJamSession(recordingsById) {
       Tone.Transport.seconds = 0;
       Tone.Transport.cancel();
       clearParts();
-      started = false;
     },
     dispose() {
       this.stop();
-      for (const e of engineByRecording.values()) {
+      for (const e of engines.values()) {
         try {
           e.instrument.dispose();
         } catch {}
       }
-      engineByRecording.clear();
+      engines.clear();
+      channels.forEach((c) => c.dispose());
+      channels.clear();
     },
   };
 }
@@ -0,0 +1,262 @@
+// ============================================================================
+// KEY MAPS - Physical key positions, layout legends and custom key maps
+// ============================================================================
+
+// Pure JavaScript (no Tone.js / browser APIs).
+//
+// Keys are identified by KeyboardEvent.code, the PHYSICAL position ("KeyQ"
+// is the key right of Tab on every keyboard), not KeyboardEvent.key, the
+// character it types. So the rows play the same shape on QWERTY, AZERTY,
+// QWERTZ and Dvorak; a layout preset only decides which characters the UI
+// prints on each key.
+//
+// A key map is the user's keyboard setup, saved with the settings and
+// exported as JSON:
+//
+//   {
+//     layout: "azerty",        // KEYBOARD_LAYOUTS id (legends only)
+//     numberRow: true,         // digits play a fourth row, an octave above Q–P
+//     pitched: { KeyQ: "C5" }, // per-key overrides for pitched instruments
+//     drums: { Digit1: "D2" }, // per-key overrides for percussion (sample pseudo-notes)
+//   }
+
+import { noteNameToMidi, midiToNoteName } from "./notes.js";
+import { listInstruments } from "./instrumentRegistry.js";
+
+// Every key a note can be mapped to, left to right per row. The letter rows
+// play their letters by default (Q–P, A–L, Z–M); the punctuation at the end
+// of each row is free for the key-map editor.
+export const KEY_ROWS = {
+  num: [
+    "Digit1",
+    "Digit2",
+    "Digit3",
+    "Digit4",
+    "Digit5",
+    "Digit6",
+    "Digit7",
+    "Digit8",
+    "Digit9",
+    "Digit0",
+    "Minus",
+    "Equal",
+  ],
+  top: [
+    "KeyQ",
+    "KeyW",
+    "KeyE",
+    "KeyR",
+    "KeyT",
+    "KeyY",
+    "KeyU",
+    "KeyI",
+    "KeyO",
+    "KeyP",
+    "BracketLeft",
+    "BracketRight",
+  ],
+  mid: [
+    "KeyA",
+    "KeyS",
+    "KeyD",
+    "KeyF",
+    "KeyG",
+    "KeyH",
+    "KeyJ",
+    "KeyK",
+    "KeyL",
+    "Semicolon",
+    "Quote",
+  ],
+  bot: [
+    "KeyZ",
+    "KeyX",
+    "KeyC",
+    "KeyV",
+    "KeyB",
+    "KeyN",
+    "KeyM",
+    "Comma",
+    "Period",
+    "Slash",
+  ],
+};
+
+export const ROW_LABELS = {
+  num: "Number row",
+  top: "Top row",
+  mid: "Home row",
+  bot: "Bottom row",
+};
+
+// Characters printed on each KEY_ROWS key, one per key in the same order
+export const KEYBOARD_LAYOUTS = {
+  qwerty: {
+    label: "QWERTY",
+    legends: {
+      num: "1234567890-=",
+      top: "qwertyuiop[]",
+      mid: "asdfghjkl;'",
+      bot: "zxcvbnm,./",
+    },
+  },
+  azerty: {
+    label: "AZERTY (French)",
+    legends: {
+      num: "&é\"'(-è_çà)=",
+      top: "azertyuiop^$",
+      mid: "qsdfghjklmù",
+      bot: "wxcvbn,;:!",
+    },
+  },
+  qwertz: {
+    label: "QWERTZ (German)",
+    legends: {
+      num: "1234567890ß´",
+      top: "qwertzuiopü+",
+      mid: "asdfghjklöä",
+      bot: "yxcvbnm,.-",
+    },
+  },
+  dvorak: {
+    label: "Dvorak",
+    legends: {
+      num: "1234567890[]",
+      top: "',.pyfgcrl/=",
+      mid: "aoeuidhtns-",
+      bot: ";qjkxbmwvz",
+    },
+  },
+};
+
+const KEY_MAP_TYPE = "typejam-keymap";
+const KEY_MAP_VERSION = 1;
+
+/**
+ * @typedef {Object} KeyMap
+ * @property {string} layout - KEYBOARD_LAYOUTS id
+ * @property {boolean} numberRow - Digits play a fourth row
+ * @property {Object<string, string>} pitched - KeyboardEvent.code -> note name
+ * @property {Object<string, string>} drums - KeyboardEvent.code -> sample
+ *   note of a percussion instrument (see instrumentRegistry.js)
+ */
+
+/** @type {KeyMap} */
+export const DEFAULT_KEY_MAP = {
+  layout: "qwerty",
+  numberRow: false,
+  pitched: {},
+  drums: {},
+};
+
+// Row and position of a key code, or null for keys outside KEY_ROWS
+export function keyPosition(code) {
+  for (const [row, codes] of Object.entries(KEY_ROWS)) {
+    const i = codes.indexOf(code);
+    if (i >= 0) return { row, i };
+  }
+  return null;
+}
+
+// Character printed on a key in a layout ("KeyQ" on AZERTY -> "A")
+export function keyLegend(layout, code) {
+  const pos = keyPosition(code);
+  if (!pos) return code;
+  const legends = (KEYBOARD_LAYOUTS[layout] ?? KEYBOARD_LAYOUTS.qwerty).legends;
+  const legend = [...legends[pos.row]][pos.i] ?? "";
+  // "ß".toUpperCase() is "SS": keep characters without a single capital
+  const upper = legend.toUpperCase();
+  return upper.length === 1 ? upper : legend;
+}
+
+// Legends of a row's first and last default key, for hints ("Q–P")
+export function rowRangeLegend(layout, row, count) {
+  const codes = KEY_ROWS[row];
+  return `${keyLegend(layout, codes[0])}–${keyLegend(layout, codes[count - 1])}`;
+}
+
+/**
+ * Set or clear one key's override
+ * @param {KeyMap} keyMap
+ * @param {"pitched"|"drums"} kind
+ * @param {string} code - KeyboardEvent.code
+ * @param {string|null} note - null goes back to the default note
+ * @returns {KeyMap} A new key map
+ */
+export function assignKey(keyMap, kind, code, note) {
+  const overrides = { ...keyMap[kind] };
+  if (note == null) delete overrides[code];
+  else overrides[code] = normalizeNote(kind, note);
+  return { ...keyMap, [kind]: overrides };
+}
+
+// Canonical note name for an override; throws on anything unplayable
+function normalizeNote(kind, note) {
+  if (kind === "drums") {
+    const known = listInstruments().some(
+      (def) =>
+        def.kind === "percussion" && Object.hasOwn(def.samples.urls, note)
+    );
+    if (!known) {
+      throw new Error(`Unknown drum sample: ${note}`);
+    }
+    return note;
+  }
+  const midi = noteNameToMidi(note);
+  if (midi < 0 || midi > 127) throw new Error(`Note out of range: ${note}`);
+  return midiToNoteName(midi);
+}
+
+/**
+ * Serialize a key map for export
+ * @param {KeyMap} keyMap
+ * @returns {string} JSON
+ */
+export function keyMapToJson(keyMap) {
+  return JSON.stringify(
+    {
+      type: KEY_MAP_TYPE,
+      version: KEY_MAP_VERSION,
+      layout: keyMap.layout,
+      numberRow: keyMap.numberRow,
+      pitched: keyMap.pitched,
+      drums: keyMap.drums,
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Read an exported key map back. Throws with a readable message when the
+ * file isn't a key map or maps a key to something that can't be played.
+ * @param {string} text - JSON from keyMapToJson()
+ * @returns {KeyMap}
+ */
+export function parseKeyMap(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Not a JSON file");
+  }
+  if (data?.type !== KEY_MAP_TYPE) throw new Error("Not a TypeJam key map");
+  if (data.version > KEY_MAP_VERSION) {
+    throw new Error(`Key map version ${data.version} is newer than this app`);
+  }
+
+  let keyMap = {
+    ...DEFAULT_KEY_MAP,
+    layout: Object.hasOwn(KEYBOARD_LAYOUTS, data.layout)
+      ? data.layout
+      : "qwerty",
+    numberRow: Boolean(data.numberRow),
+  };
+  for (const kind of ["pitched", "drums"]) {
+    for (const [code, note] of Object.entries(data[kind] ?? {})) {
+      if (!keyPosition(code)) throw new Error(`Unknown key: ${code}`);
+      keyMap = assignKey(keyMap, kind, code, String(note));
+    }
+  }
+  return keyMap;
+}
@@ -1,38 +1,50 @@
 import * as Tone from "tone";
+import { DEFAULT_KEY_MAPPING, rowNotesForMapping } from "./scales";
+import { DEFAULT_KEY_MAP, KEY_ROWS, keyPosition } from "./keyMaps";
+import {
+  DEFAULT_ROW_OCTAVES,
+  getInstrument,
+  rowOctaves,
+} from "./instrumentRegistry";
 
+// Keys are KeyboardEvent.code values (physical positions, see keyMaps.js).
+// By default the letters play: Q–P, A–L, Z–M on a QWERTY keyboard.
 export const rows = {
-  top: ["q", "w", "e", "r", "t", "y", "u", "i", "o", "p"],
-  mid: ["a", "s", "d", "f", "g", "h", "j", "k", "l"],
-  bot: ["z", "x", "c", "v", "b", "n", "m"],
+  top: KEY_ROWS.top.slice(0, 10),
+  mid: KEY_ROWS.mid.slice(0, 9),
+  bot: KEY_ROWS.bot.slice(0, 7),
 };
 
-const notes = (start, n) =>
-  Array.from({ length: n }, (_, i) =>
-    Tone.Frequency(start).transpose(i).toNote()
+// The optional number row: 1 to = (twelve keys, one chromatic octave)
+const numberRow = KEY_ROWS.num;
+
+// Key -> { note, row } for pitched instruments under a root/scale mapping
+// (see scales.js); the default is chromatic from C, one semitone per key.
+// octaves: where each row starts (the instrument's key map)
+export function buildNoteMap(
+  mapping = DEFAULT_KEY_MAPPING,
+  withNumberRow = false,
+  octaves = DEFAULT_ROW_OCTAVES
+) {
+  const playing = withNumberRow ? { num: numberRow, ...rows } : rows;
+  return new Map(
+    Object.entries(playing).flatMap(([row, keys]) => {
+      const notes = rowNotesForMapping(mapping, octaves[row], keys.length);
+      return keys.map((k, i) => [k, { note: notes[i], row }]);
+    })
   );
+}
 
-export const noteMap = new Map([
-  ...rows.top.map((k, i) => [
-    k,
-    { note: notes("C5", rows.top.length)[i], row: "top" },
-  ]),
-  ...rows.mid.map((k, i) => [
-    k,
-    { note: notes("C4", rows.mid.length)[i], row: "mid" },
-  ]),
-  ...rows.bot.map((k, i) => [
-    k,
-    { note: notes("C3", rows.bot.length)[i], row: "bot" },
-  ]),
-]);
+export const noteMap = buildNoteMap();
 
 // Debug: dump note mapping (first few entries for readability)
 console.groupCollapsed("[TypeJam][keys] noteMap sample");
 console.log(Array.from(noteMap.entries()).slice(0, 5));
 console.groupEnd();
 
-// For 26-key drums: map every key to its row and index within the row
+// Map every key to its row and index within the row
 export const indexMap = new Map([
+  ...numberRow.map((k, i) => [k, { row: "num", i, len: numberRow.length }]),
   ...rows.top.map((k, i) => [k, { row: "top", i, len: rows.top.length }]),
   ...rows.mid.map((k, i) => [k, { row: "mid", i, len: rows.mid.length }]),
   ...rows.bot.map((k, i) => [k, { row: "bot", i, len: rows.bot.length }]),
@@ -41,22 +53,96 @@ export const indexMap = new Map([
 console.groupCollapsed("[TypeJam][keys] indexMap sample");
 console.log(Array.from(indexMap.entries()).slice(0, 5));
 console.groupEnd();
-// Drum key mapping to Sampler pseudo-notes (C1..), covers 26 keys
-// 26 drum keys -> 9 samples via columns; ride/crash fill last columns.
-// baseCols order: [kick, snare, hihat-closed, hihat-open, tom-low, tom-mid, tom-high]
-const baseCols = ["C1", "D1", "E1", "F1", "G1", "A1", "B1"]; // 7
 
-export const drumKeyToNote = new Map([
-  // bottom row: 7 keys -> base 7 sounds
-  ...rows.bot.map((k, i) => [k, baseCols[i]]),
+// Row position of a key. Keys past the default rows (punctuation, mapped by
+// a kit or the key-map editor) use their index in the full row, so the tone
+// gradient still ends at the last key.
+function keyInfo(code) {
+  const pos = keyPosition(code);
+  if (!pos) return null;
+  return indexMap.get(code) ?? { ...pos, len: KEY_ROWS[pos.row].length };
+}
 
-  // mid row: 9 keys -> base 7 then crash for last 2 (k,l)
-  ...rows.mid.map((k, i) => [k, i < 7 ? baseCols[i] : "D2"]), // D2 = crash
+// Key -> note from a percussion instrument's key map (InstrumentKeyMap.rows),
+// bottom row first so a sample's first key is its lowest
+function percussionKeyNotes(def, withNumberRow = false) {
+  const map = new Map();
+  for (const row of ["bot", "mid", "top", "num"]) {
+    if (row === "num" && !withNumberRow) continue;
+    (def.keyMap.rows?.[row] ?? []).forEach((note, i) => {
+      const code = KEY_ROWS[row][i];
+      if (code) map.set(code, note);
+    });
+  }
+  return map;
+}
 
-  // top row: 10 keys -> base 7 then ride for last 3 (i,o,p)
-  ...rows.top.map((k, i) => [k, i < 7 ? baseCols[i] : "C2"]), // C2 = ride
-]);
+/**
+ * Everything the keyboard plays for an instrument:
+ * KeyboardEvent.code -> { note, row, i, len }
+ * @param {Object} options
+ * @param {string} options.instrument - Registered instrument id
+ * @param {import('./scales').KeyMapping} [options.mapping] - Root/scale (pitched)
+ * @param {import('./keyMaps').KeyMap} [options.keyMap] - Number row + per-key overrides
+ * @returns {Map<string, {note:string, row:string, i:number, len:number}>}
+ */
+export function buildKeyboardMap({
+  instrument,
+  mapping = DEFAULT_KEY_MAPPING,
+  keyMap = DEFAULT_KEY_MAP,
+}) {
+  const def = getInstrument(instrument);
+  const percussion = def?.kind === "percussion";
+  const map = new Map();
+  if (percussion) {
+    for (const [k, note] of percussionKeyNotes(def, keyMap.numberRow)) {
+      map.set(k, { note, ...keyInfo(k) });
+    }
+  } else {
+    const notes = buildNoteMap(
+      mapping,
+      keyMap.numberRow,
+      rowOctaves(instrument)
+    );
+    for (const [k, m] of notes) map.set(k, { ...m, ...indexMap.get(k) });
+  }
 
-console.groupCollapsed("[TypeJam][keys] drumKeyToNote (all)");
-console.log(Array.from(drumKeyToNote.entries()));
-console.groupEnd();
+  // Percussion overrides only apply to samples this kit has
+  const overrides = percussion ? keyMap.drums : keyMap.pitched;
+  for (const [code, note] of Object.entries(overrides ?? {})) {
+    const info = keyInfo(code);
+    if (!info || (percussion && !Object.hasOwn(def.samples.urls, note))) {
+      continue;
+    }
+    map.set(code, { note, ...info });
+  }
+  return map;
+}
+
+// Find the key position (row, i, len) for a note that didn't come from the
+// keyboard (e.g. imported from a MIDI file). Notes outside the letter rows
+// get the row of their octave, clamped to that row's edge. Pass the
+// recording's key mapping to find keys of a scale layout.
+export function keyInfoForNote(note, instrument, mapping) {
+  const def = getInstrument(instrument);
+  if (def?.kind === "percussion") {
+    for (const [k, n] of percussionKeyNotes(def)) {
+      if (n === note) return keyInfo(k);
+    }
+    return { row: "mid", i: 0, len: rows.mid.length };
+  }
+  const octaves = rowOctaves(instrument);
+  for (const [k, m] of buildNoteMap(mapping, false, octaves)) {
+    if (m.note === note) return indexMap.get(k);
+  }
+  const midi = Tone.Frequency(note).toMidi();
+  const rowStart = (row) => (octaves[row] + 1) * 12; // C of the row's octave
+  const row =
+    midi >= rowStart("top") ? "top" : midi >= rowStart("mid") ? "mid" : "bot";
+  const len = rows[row].length;
+  return {
+    row,
+    i: Math.max(0, Math.min(len - 1, midi - rowStart(row))),
+    len,
+  };
+}
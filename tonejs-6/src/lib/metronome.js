@@ -0,0 +1,85 @@
+import * as Tone from "tone";
+import { beatSec } from "./timing";
+
+// Metronome click with an accented downbeat.
+// It has its own synth and volume straight into the destination, so it never
+// passes through an instrument or jam track: it isn't captured in recordings
+// and, living in the real-time context, never ends up in a WAV export.
+//
+// Two ways to run it:
+// - startFree(): its own clock from a given audio time (recording, count-in)
+// - syncToTransport(): follows Tone.Transport bars/beats (jam board playback)
+export function createMetronome() {
+  const volume = new Tone.Volume(-10).connect(Tone.getDestination());
+  const synth = new Tone.Synth({
+    oscillator: { type: "square" },
+    envelope: { attack: 0.001, decay: 0.04, sustain: 0, release: 0.01 },
+  }).connect(volume);
+
+  /** @type {Tone.Clock|null} */
+  let clock = null;
+  /** @type {Tone.Loop|null} */
+  let loop = null;
+
+  const click = (time, accent) => {
+    synth.triggerAttackRelease(
+      accent ? "C6" : "G5",
+      0.03,
+      time,
+      accent ? 1 : 0.6
+    );
+  };
+
+  const stopFree = () => {
+    if (!clock) return;
+    clock.stop();
+    clock.dispose();
+    clock = null;
+  };
+
+  const unsync = () => {
+    if (!loop) return;
+    loop.dispose();
+    loop = null;
+  };
+
+  return {
+    /**
+     * Click every beat starting at an audio-context time
+     * @param {{atTime:number, timing:import('./timing').Timing, beats?:number}} options
+     *   beats: stop clicking after this many (e.g. just the count-in)
+     */
+    startFree({ atTime, timing, beats = Infinity }) {
+      stopFree();
+      const perBar = timing.timeSignature[0];
+      // Tone.Clock counts ticks from 0 at start, one per beat here
+      clock = new Tone.Clock(
+        (time, ticks) => {
+          if (ticks >= beats) return;
+          click(time, ticks % perBar === 0);
+        },
+        1 / beatSec(timing)
+      );
+      clock.start(atTime);
+    },
+    stopFree,
+    // Click on every beat of the Transport (follows seeks and loops)
+    syncToTransport(timing) {
+      unsync();
+      const [perBar, unit] = timing.timeSignature;
+      const ticksPerBeat = Tone.Transport.PPQ * (4 / unit);
+      loop = new Tone.Loop((time) => {
+        const ticks = Tone.Transport.getTicksAtTime(time);
+        const beat = Math.round(ticks / ticksPerBeat);
+        click(time, beat % perBar === 0);
+      }, beatSec(timing)).start(0);
+    },
+    unsync,
+    dispose() {
+      stopFree();
+      unsync();
+      synth.dispose();
+      volume.dispose();
+    },
+  };
+}
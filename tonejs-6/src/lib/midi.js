@@ -0,0 +1,487 @@
+// ============================================================================
+// STANDARD MIDI FILES - Export the jam board to .mid and read .mid files back
+// ============================================================================
+
+// Pure JavaScript (no Tone.js / browser APIs) so the same code can build MIDI
+// files anywhere. Times inside this module are seconds unless a name says ticks.
+
+import { isTrackAudible } from "./projects.js";
+import { clipNoteEvents } from "./clips.js";
+import { noteNameToMidi, midiToNoteName } from "./notes.js";
+import { getInstrument, isPercussion } from "./instrumentRegistry.js";
+
+export { noteNameToMidi, midiToNoteName };
+
+export const PPQ = 480; // ticks per quarter note in exported files
+const DRUM_CHANNEL = 9; // MIDI channel 10 (0-based)
+
+/**
+ * TypeJam instrument -> General MIDI program (0-based), from the registry
+ * transpose mirrors the engine transpose (InstrumentDefinition.fx), so the
+ * exported pitches match what you hear (the bass sampler plays an octave up).
+ * @param {string} instrument
+ * @returns {{program:number, transpose:number}}
+ */
+export function gmProgramFor(instrument) {
+  const def = getInstrument(instrument);
+  return { program: def?.gmProgram ?? 0, transpose: def?.fx.transpose ?? 0 };
+}
+
+// DRUM_NOTE_TO_FILE pseudo-notes -> GM percussion key numbers
+export const DRUM_NOTE_TO_GM = {
+  C1: 36, // kick -> Bass Drum 1
+  D1: 38, // snare -> Acoustic Snare
+  E1: 42, // hihat-closed -> Closed Hi-Hat
+  F1: 46, // hihat-open -> Open Hi-Hat
+  G1: 45, // tom-low -> Low Tom
+  A1: 47, // tom-mid -> Low-Mid Tom
+  B1: 50, // tom-high -> High Tom
+  C2: 51, // ride -> Ride Cymbal 1
+  D2: 49, // crash -> Crash Cymbal 1
+};
+
+// GM percussion key -> closest pseudo-note (covers common kit pieces on import)
+const GM_TO_DRUM_NOTE = {
+  ...Object.fromEntries(
+    Object.entries(DRUM_NOTE_TO_GM).map(([note, key]) => [key, note])
+  ),
+  35: "C1", // Acoustic Bass Drum
+  37: "D1", // Side Stick
+  39: "D1", // Hand Clap
+  40: "D1", // Electric Snare
+  41: "G1", // Low Floor Tom
+  43: "G1", // High Floor Tom
+  44: "E1", // Pedal Hi-Hat
+  48: "A1", // Hi-Mid Tom
+  52: "D2", // Chinese Cymbal
+  53: "C2", // Ride Bell
+  55: "D2", // Splash Cymbal
+  57: "D2", // Crash Cymbal 2
+  59: "C2", // Ride Cymbal 2
+};
+
+// GM program (0-based) -> TypeJam instrument for imported tracks
+export function instrumentForProgram(program) {
+  if (program >= 24 && program <= 31) return "guitar";
+  if (program >= 32 && program <= 39) return "bass";
+  if (program >= 40 && program <= 51) return "violin"; // strings & ensembles
+  return "piano";
+}
+
+// ============================================================================
+// DURATIONS (note names live in notes.js)
+// ============================================================================
+
+/**
+ * Convert a RecordedNote duration to seconds
+ * Numbers are already seconds; strings use Tone.js notation relative to the
+ * tempo: "4n" quarter, "8n." dotted eighth, "8t" eighth triplet, "1m" bar (4/4).
+ */
+export function durationToSeconds(duration, bpm = 120) {
+  if (typeof duration === "number") return duration;
+  const beat = 60 / bpm;
+  const m = /^(\d+)(n|t|m)(\.?)$/.exec(String(duration).trim());
+  if (!m) {
+    const n = parseFloat(duration);
+    return Number.isFinite(n) ? n : beat / 2;
+  }
+  const value = parseInt(m[1], 10);
+  let sec;
+  if (m[2] === "m") sec = value * beat * 4;
+  else if (m[2] === "t") sec = ((beat * 4) / value) * (2 / 3);
+  else sec = (beat * 4) / value;
+  return m[3] ? sec * 1.5 : sec;
+}
+
+// ============================================================================
+// JAM BOARD -> MIDI
+// ============================================================================
+
+/**
+ * Build a Standard MIDI File (format 1) from a jam payload
+ *
+ * - Track 0 carries tempo (payload.bpm) and a 4/4 time signature
+ * - Each jam track (clip.trackIndex) becomes one MIDI track
+ * - Pitched clips use that track's channel with a GM program change;
+ *   percussion clips go to channel 10 with DRUM_NOTE_TO_GM key numbers
+ *
+ * @param {{bpm:number, clips:Object[], recordingsById:Object<string, import('./recording').Recording>}} payload
+ * @returns {Uint8Array} Bytes of the .mid file
+ */
+export function jamToMidi(payload) {
+  const bpm = payload.bpm || 120;
+  const [num, den] = payload.timeSignature || [4, 4];
+  const secToTicks = (sec) => Math.max(0, Math.round((sec * bpm * PPQ) / 60));
+
+  const conductor = [
+    { tick: 0, meta: 0x03, data: textBytes("TypeJam") },
+    { tick: 0, meta: 0x51, data: u24(Math.round(60000000 / bpm)) },
+    // Time signature: numerator, log2(denominator), clocks per click, 32nds per quarter
+    { tick: 0, meta: 0x58, data: [num, Math.log2(den), 24, 8] },
+  ];
+
+  // Muted (or not soloed) jam tracks are left out, as in the WAV export
+  const jamTracks = payload.tracks || [];
+  const trackIndexes = [
+    ...new Set(
+      payload.clips
+        .map((c) => c.trackIndex)
+        .filter((t) => isTrackAudible(jamTracks, t))
+    ),
+  ].sort((a, b) => a - b);
+
+  const tracks = trackIndexes.map((trackIndex, n) => {
+    // Pitched channels skip the drum channel
+    const channel = n < DRUM_CHANNEL ? n : Math.min(15, n + 1);
+    const events = [
+      {
+        tick: 0,
+        meta: 0x03,
+        data: textBytes(
+          jamTracks[trackIndex]?.name || `Track ${trackIndex + 1}`
+        ),
+      },
+    ];
+    const clips = payload.clips
+      .filter((c) => c.trackIndex === trackIndex)
+      .sort((a, b) => a.startTimeSec - b.startTimeSec);
+    let currentProgram = null;
+
+    for (const clip of clips) {
+      const rec = payload.recordingsById[clip.recordingId];
+      if (!rec) continue;
+      // Trim, loop, gain and transpose are already applied to these
+      const notes = clipNoteEvents(clip, rec);
+      const isDrums = isPercussion(rec.instrument);
+      const gm = gmProgramFor(rec.instrument);
+      const ch = isDrums ? DRUM_CHANNEL : channel;
+      const clipTick = secToTicks(clip.startTimeSec);
+
+      if (!isDrums && gm.program !== currentProgram) {
+        events.push({ tick: clipTick, status: 0xc0 | ch, data: [gm.program] });
+        currentProgram = gm.program;
+      }
+
+      for (const n of notes) {
+        // Sample-pack pads beyond the kit pieces keep their own note number
+        const key = isDrums
+          ? (DRUM_NOTE_TO_GM[n.note] ?? noteNameToMidi(n.note))
+          : noteNameToMidi(n.note) + (gm.transpose || 0);
+        if (key == null || key < 0 || key > 127) continue;
+        const start = clip.startTimeSec + n.time;
+        const end = start + durationToSeconds(n.duration, bpm);
+        const velocity = Math.max(
+          1,
+          Math.min(127, Math.round(n.velocity * 127))
+        );
+        events.push({
+          tick: secToTicks(start),
+          status: 0x90 | ch,
+          data: [key, velocity],
+        });
+        events.push({
+          tick: Math.max(secToTicks(start) + 1, secToTicks(end)),
+          status: 0x80 | ch,
+          data: [key, 0],
+        });
+      }
+    }
+    return events;
+  });
+
+  return writeMidiFile([conductor, ...tracks]);
+}
+
+// ============================================================================
+// MIDI -> NOTES
+// ============================================================================
+
+/**
+ * @typedef {Object} MidiTrackNotes
+ * @property {string} name - Track name (or "Track N")
+ * @property {boolean} isDrums - All notes are on channel 10
+ * @property {number} program - First GM program change seen (0 if none)
+ * @property {{midi:number, time:number, duration:number, velocity:number}[]} notes - Seconds / 0..1 velocity
+ */
+
+/**
+ * Read a Standard MIDI File (format 0 or 1) into per-track note lists
+ * Tempo changes from every track are applied, so times are real seconds.
+ * Drum and pitched channels found on the same track are returned separately.
+ *
+ * @param {ArrayBuffer|Uint8Array} input - File contents
+ * @returns {{bpm:number, tracks:MidiTrackNotes[]}}
+ */
+export function readMidiFile(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const reader = byteReader(bytes);
+
+  if (reader.ascii(4) !== "MThd")
+    throw new Error("Not a MIDI file (missing MThd)");
+  const headerLen = reader.u32();
+  const format = reader.u16();
+  const numTracks = reader.u16();
+  const division = reader.u16();
+  reader.skip(headerLen - 6);
+  if (division & 0x8000)
+    throw new Error("SMPTE time division is not supported");
+  if (format > 1) throw new Error(`MIDI format ${format} is not supported`);
+
+  const rawTracks = [];
+  for (let t = 0; t < numTracks && reader.remaining() >= 8; t++) {
+    const id = reader.ascii(4);
+    const len = reader.u32();
+    if (id !== "MTrk") {
+      reader.skip(len);
+      continue;
+    }
+    rawTracks.push(parseTrack(bytes.subarray(reader.pos, reader.pos + len)));
+    reader.skip(len);
+  }
+
+  // Tempo map from every track (format 1 keeps it in track 0)
+  const tempos = rawTracks
+    .flatMap((t) => t.tempos)
+    .sort((a, b) => a.tick - b.tick);
+  if (!tempos.length || tempos[0].tick > 0) {
+    tempos.unshift({ tick: 0, usPerQuarter: 500000 });
+  }
+  const ticksToSec = (tick) => {
+    let sec = 0;
+    for (let i = 0; i < tempos.length; i++) {
+      const from = tempos[i].tick;
+      if (tick <= from) break;
+      const to = Math.min(tick, tempos[i + 1]?.tick ?? Infinity);
+      sec += ((to - from) * tempos[i].usPerQuarter) / 1e6 / division;
+    }
+    return sec;
+  };
+
+  const tracks = [];
+  rawTracks.forEach((t, index) => {
+    const groups = [
+      {
+        isDrums: false,
+        notes: t.notes.filter((n) => n.channel !== DRUM_CHANNEL),
+      },
+      {
+        isDrums: true,
+        notes: t.notes.filter((n) => n.channel === DRUM_CHANNEL),
+      },
+    ];
+    for (const g of groups) {
+      if (!g.notes.length) continue;
+      tracks.push({
+        name: t.name || `Track ${index + 1}`,
+        isDrums: g.isDrums,
+        program: t.program ?? 0,
+        notes: g.notes.map((n) => {
+          const time = ticksToSec(n.startTick);
+          return {
+            midi: n.key,
+            time,
+            duration: Math.max(0.01, ticksToSec(n.endTick) - time),
+            velocity: n.velocity / 127,
+          };
+        }),
+      });
+    }
+  });
+
+  return {
+    bpm: Math.round(60000000 / tempos[0].usPerQuarter),
+    tracks,
+  };
+}
+
+// GM percussion key -> DRUM_NOTE_TO_FILE pseudo-note (undefined if no kit piece fits)
+export function drumNoteForGmKey(key) {
+  return GM_TO_DRUM_NOTE[key];
+}
+
+// ============================================================================
+// LOW-LEVEL SMF WRITING / PARSING
+// ============================================================================
+
+// tracks: arrays of { tick, status, data } channel events or { tick, meta, data } meta events
+function writeMidiFile(tracks) {
+  const chunks = [
+    [
+      ...textBytes("MThd"),
+      ...u32(6),
+      ...u16(1),
+      ...u16(tracks.length),
+      ...u16(PPQ),
+    ],
+  ];
+
+  for (const events of tracks) {
+    // Stable sort by tick; at equal ticks note-offs go before note-ons
+    const sorted = events
+      .map((e, idx) => ({ ...e, idx }))
+      .sort(
+        (a, b) =>
+          a.tick - b.tick || eventOrder(a) - eventOrder(b) || a.idx - b.idx
+      );
+    const body = [];
+    let lastTick = 0;
+    for (const e of sorted) {
+      body.push(...vlq(e.tick - lastTick));
+      lastTick = e.tick;
+      if (e.meta != null) {
+        body.push(0xff, e.meta, ...vlq(e.data.length), ...e.data);
+      } else {
+        body.push(e.status, ...e.data);
+      }
+    }
+    body.push(0x00, 0xff, 0x2f, 0x00); // end of track
+    // Track bodies can run to many thousands of bytes: too many to spread
+    // into one call's arguments
+    chunks.push([...textBytes("MTrk"), ...u32(body.length)], body);
+  }
+  const out = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
+
+function eventOrder(e) {
+  if (e.meta != null) return 0;
+  const type = e.status & 0xf0;
+  if (type === 0x80) return 1;
+  if (type === 0xc0) return 2;
+  return 3;
+}
+
+function parseTrack(data) {
+  const r = byteReader(data);
+  const track = { name: "", program: null, tempos: [], notes: [] };
+  const open = new Map(); // `${channel}:${key}` -> note-on stack
+  let tick = 0;
+  let running = 0;
+
+  const noteOff = (channel, key) => {
+    const stack = open.get(`${channel}:${key}`);
+    const on = stack?.shift();
+    if (on) track.notes.push({ ...on, endTick: tick });
+  };
+
+  while (r.remaining() > 0) {
+    tick += r.vlq();
+    let status = r.u8();
+    if (status < 0x80) {
+      // Running status: reuse the previous status byte
+      r.skip(-1);
+      status = running;
+    }
+
+    if (status === 0xff) {
+      const type = r.u8();
+      const len = r.vlq();
+      const payload = data.subarray(r.pos, r.pos + len);
+      r.skip(len);
+      if (type === 0x03 && !track.name) {
+        track.name = new TextDecoder().decode(payload).trim();
+      } else if (type === 0x51 && len === 3) {
+        track.tempos.push({
+          tick,
+          usPerQuarter: (payload[0] << 16) | (payload[1] << 8) | payload[2],
+        });
+      } else if (type === 0x2f) {
+        break;
+      }
+      continue;
+    }
+    if (status === 0xf0 || status === 0xf7) {
+      r.skip(r.vlq()); // sysex
+      continue;
+    }
+
+    running = status;
+    const type = status & 0xf0;
+    const channel = status & 0x0f;
+    if (type === 0x90 || type === 0x80) {
+      const key = r.u8();
+      const velocity = r.u8();
+      if (type === 0x90 && velocity > 0) {
+        const k = `${channel}:${key}`;
+        if (!open.has(k)) open.set(k, []);
+        open.get(k).push({ channel, key, velocity, startTick: tick });
+      } else {
+        noteOff(channel, key);
+      }
+    } else if (type === 0xc0) {
+      const program = r.u8();
+      if (track.program == null && channel !== DRUM_CHANNEL)
+        track.program = program;
+    } else if (type === 0xd0) {
+      r.skip(1);
+    } else {
+      r.skip(2); // poly aftertouch, control change, pitch bend
+    }
+  }
+
+  // Close anything left hanging at the end of the track
+  for (const [k] of open) {
+    const [channel, key] = k.split(":").map(Number);
+    while (open.get(k).length) noteOff(channel, key);
+  }
+  track.notes.sort((a, b) => a.startTick - b.startTick);
+  return track;
+}
+
+function byteReader(bytes) {
+  const r = {
+    pos: 0,
+    remaining: () => bytes.length - r.pos,
+    skip: (n) => {
+      r.pos += n;
+    },
+    u8: () => {
+      if (r.pos >= bytes.length) throw new Error("Unexpected end of MIDI data");
+      return bytes[r.pos++];
+    },
+    u16: () => (r.u8() << 8) | r.u8(),
+    u32: () => ((r.u8() << 24) | (r.u8() << 16) | (r.u8() << 8) | r.u8()) >>> 0,
+    ascii: (n) => String.fromCharCode(...Array.from({ length: n }, r.u8)),
+    vlq: () => {
+      let value = 0;
+      for (let i = 0; i < 4; i++) {
+        const b = r.u8();
+        value = (value << 7) | (b & 0x7f);
+        if (!(b & 0x80)) break;
+      }
+      return value;
+    },
+  };
+  return r;
+}
+
+function vlq(value) {
+  const bytes = [value & 0x7f];
+  let v = value >> 7;
+  while (v > 0) {
+    bytes.unshift((v & 0x7f) | 0x80);
+    v >>= 7;
+  }
+  return bytes;
+}
+
+function u16(v) {
+  return [(v >> 8) & 0xff, v & 0xff];
+}
+
+function u24(v) {
+  return [(v >> 16) & 0xff, (v >> 8) & 0xff, v & 0xff];
+}
+
+function u32(v) {
+  return [(v >>> 24) & 0xff, (v >> 16) & 0xff, (v >> 8) & 0xff, v & 0xff];
+}
+
+function textBytes(text) {
+  return Array.from(new TextEncoder().encode(text));
+}
@@ -0,0 +1,37 @@
+// ============================================================================
+// NOTE NAMES - Scientific pitch notation <-> MIDI note numbers
+// ============================================================================
+
+// Pure JavaScript (no Tone.js / browser APIs), shared by the MIDI code, clip
+// transposition and the render server.
+
+const PITCH_CLASS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const SHARP_NAMES = [
+  "C",
+  "C#",
+  "D",
+  "D#",
+  "E",
+  "F",
+  "F#",
+  "G",
+  "G#",
+  "A",
+  "A#",
+  "B",
+];
+
+// "C4" -> 60, "Bb3" -> 58, "F#5" -> 78 (same octave numbering as Tone.js)
+export function noteNameToMidi(name) {
+  const m = /^([A-Ga-g])(#|b|x|bb)?(-?\d+)$/.exec(String(name).trim());
+  if (!m) throw new Error(`Invalid note name: ${name}`);
+  const accidental = { "#": 1, x: 2, b: -1, bb: -2 }[m[2]] ?? 0;
+  return (
+    (parseInt(m[3], 10) + 1) * 12 + PITCH_CLASS[m[1].toUpperCase()] + accidental
+  );
+}
+
+// 60 -> "C4", 61 -> "C#4"
+export function midiToNoteName(midi) {
+  return `${SHARP_NAMES[midi % 12]}${Math.floor(midi / 12) - 1}`;
+}
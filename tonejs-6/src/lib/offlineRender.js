@@ -0,0 +1,140 @@
+import * as Tone from "tone";
+import { createInstrument } from "./instruments";
+import { applyTrackSettings } from "./jamSession";
+import { clipNoteEvents } from "./clips";
+import { encodeWav } from "./wav";
+import { isTrackAudible } from "./projects";
+import { DEFAULT_BPM, DEFAULT_TIME_SIGNATURE } from "./timing";
+import { getInstrument } from "./instrumentRegistry";
+
+// Seconds rendered after the last clip ends so releases and reverb tails ring out
+const TAIL_SEC = 3;
+
+// Length of the arrangement in seconds (end of the last clip)
+export function arrangementLengthSec(clips) {
+  let end = 0;
+  for (const c of clips) {
+    end = Math.max(end, (c.startTimeSec || 0) + (c.durationSec || 0));
+  }
+  return end;
+}
+
+// Render the jam board (clips + recordings) in an OfflineContext and encode it as WAV.
+// Uses the same instrument factories and FX chains as live playback.
+// Track mute/solo/volume/pan are applied through the same channel strips.
+// `timing` is the project tempo, so note values ("8n") last as long as live.
+// onProgress receives 0..1; aborting `signal` rejects with an AbortError.
+export async function renderJamToWav({
+  clips,
+  recordingsById,
+  tracks = [],
+  timing = { bpm: DEFAULT_BPM, timeSignature: DEFAULT_TIME_SIGNATURE },
+  bitDepth = 16,
+  sampleRate = 44100,
+  onProgress,
+  signal,
+}) {
+  // Clips whose instrument is gone (a deleted sample pack) are left out, as
+  // in live playback
+  const withRecording = clips.filter((c) =>
+    getInstrument(recordingsById.get(c.recordingId)?.instrument)
+  );
+  if (!withRecording.length)
+    throw new Error("Nothing to export: the jam board is empty");
+  // Muted (or not soloed) tracks would render as silence; leave them out so
+  // they don't stretch the file either
+  const playable = withRecording.filter((c) =>
+    isTrackAudible(tracks, c.trackIndex)
+  );
+  if (!playable.length)
+    throw new Error("Nothing to export: every track with clips is muted");
+
+  const durationSec = arrangementLengthSec(playable) + TAIL_SEC;
+  const offline = new Tone.OfflineContext(2, durationSec, sampleRate);
+  /** @type {Map<string, any>} */
+  const instruments = new Map();
+  /** @type {Map<number, Tone.Channel>} */
+  const channels = new Map();
+
+  // Build the whole graph while the offline context is current, then switch
+  // straight back so live playing keeps using the real-time context
+  const originalContext = Tone.getContext();
+  Tone.setContext(offline);
+  try {
+    offline.transport.bpm.value = timing.bpm;
+    offline.transport.timeSignature = timing.timeSignature;
+    for (const clip of playable) {
+      const rec = recordingsById.get(clip.recordingId);
+      let channel = channels.get(clip.trackIndex);
+      if (!channel) {
+        channel = new Tone.Channel().connect(Tone.getDestination());
+        applyTrackSettings(channel, tracks, clip.trackIndex);
+        channels.set(clip.trackIndex, channel);
+      }
+      const key = `${clip.trackIndex}:${rec.id}`;
+      let instrument = instruments.get(key);
+      if (!instrument) {
+        instrument = createInstrument(rec.instrument, { output: channel });
+        instruments.set(key, instrument);
+      }
+      const part = new Tone.Part(
+        (time, ev) => {
+          instrument.play(
+            ev.note,
+            ev.duration,
+            time,
+            ev.velocity,
+            ev.row,
+            ev.i,
+            ev.len
+          );
+        },
+        clipNoteEvents(clip, rec)
+      );
+      part.start(clip.startTimeSec);
+    }
+    offline.transport.start(0);
+  } finally {
+    Tone.setContext(originalContext);
+  }
+
+  const abortError = () => new DOMException("Export cancelled", "AbortError");
+
+  try {
+    await Tone.loaded();
+    await Promise.all([...instruments.values()].map((i) => i.ensureReady()));
+    if (signal?.aborted) throw abortError();
+
+    // The offline clock ticks through the arrangement before the audio is
+    // rendered; that pass is where the time goes, so report progress from it.
+    // Throwing from a tick aborts the render.
+    let lastReported = -1;
+    offline.on("tick", () => {
+      if (signal?.aborted) throw abortError();
+      const progress = Math.min(0.99, offline.currentTime / durationSec);
+      if (progress - lastReported >= 0.01) {
+        lastReported = progress;
+        onProgress?.(progress);
+      }
+    });
+
+    const rendered = await offline.render();
+    if (signal?.aborted) throw abortError();
+
+    const audio = [];
+    for (let ch = 0; ch < rendered.numberOfChannels; ch++) {
+      audio.push(rendered.getChannelData(ch));
+    }
+    const wav = encodeWav(audio, rendered.sampleRate, bitDepth);
+    onProgress?.(1);
+    return new Blob([wav], { type: "audio/wav" });
+  } finally {
+    for (const instrument of instruments.values()) {
+      try {
+        instrument.dispose();
+      } catch {}
+    }
+    channels.forEach((c) => c.dispose());
+    offline.dispose();
+  }
+}
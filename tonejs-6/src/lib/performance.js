@@ -0,0 +1,134 @@
+// ============================================================================
+// PERFORMANCE - Chord mode and arpeggiator patterns
+// ============================================================================
+
+// Pure JavaScript (no Tone.js / browser APIs); the clock that steps the
+// arpeggiator lives in arpeggiator.js.
+//
+// CHORD MODE: one key plays a chord stacked in thirds from the current
+// scale (every other scale degree), so the chord is diatonic:
+//
+//   C major, key on E4, triad:   E4 G4 B4     (E minor)
+//   C major, key on G4, seventh: G4 B4 D5 F5  (G dominant seventh)
+//
+// The chromatic mapping has no diatonic chords; it uses the major scale. A
+// key mapped outside the scale (key-map overrides) gets a major triad or a
+// dominant seventh on its own note.
+//
+// ARPEGGIATOR: the notes of every held key are played one at a time, in
+// pitch order, at a rate relative to the project tempo.
+
+import { noteNameToMidi, midiToNoteName } from "./notes.js";
+import { ROOTS, SCALES, scaleIntervals } from "./scales.js";
+
+export const CHORD_TYPES = {
+  off: { label: "Single notes", size: 1 },
+  triad: { label: "Triads", size: 3 },
+  seventh: { label: "Sevenths", size: 4 },
+};
+
+export const ARP_MODES = {
+  up: "Up",
+  down: "Down",
+  upDown: "Up-down",
+  random: "Random",
+};
+
+// Arpeggiator steps per quarter note
+export const ARP_RATES = {
+  "1/4": 1,
+  "1/8": 2,
+  "1/8T": 3,
+  "1/16": 4,
+  "1/16T": 6,
+  "1/32": 8,
+};
+
+// Fraction of a step each arpeggiated note sounds for
+export const ARP_GATE = 0.8;
+
+/**
+ * @typedef {Object} PerformanceSettings
+ * @property {string} chord - CHORD_TYPES key
+ * @property {boolean} arp - Arpeggiate held keys
+ * @property {string} arpMode - ARP_MODES key
+ * @property {string} arpRate - ARP_RATES key
+ */
+
+/** @type {PerformanceSettings} */
+export const DEFAULT_PERFORMANCE = {
+  chord: "off",
+  arp: false,
+  arpMode: "up",
+  arpRate: "1/16",
+};
+
+/**
+ * Notes of the chord a key plays
+ * @param {string} note - The key's note ("E4")
+ * @param {import('./scales').KeyMapping} mapping - Current root/scale
+ * @param {string} type - CHORD_TYPES key
+ * @returns {string[]} Chord notes from the key's note up ("off": just the note)
+ */
+export function chordNotes(note, mapping, type) {
+  const size = CHORD_TYPES[type]?.size ?? 1;
+  if (size === 1) return [note];
+
+  const intervals =
+    mapping?.scale === "chromatic"
+      ? SCALES.major.intervals
+      : scaleIntervals(mapping);
+  const rootPc = Math.max(0, ROOTS.indexOf(mapping?.root ?? "C"));
+  const midi = noteNameToMidi(note);
+  const degree = intervals.indexOf((((midi - rootPc) % 12) + 12) % 12);
+
+  const steps =
+    degree < 0
+      ? [0, 4, 7, 10].slice(0, size)
+      : Array.from({ length: size }, (_, k) => {
+          const d = degree + 2 * k;
+          return (
+            12 * Math.floor(d / intervals.length) +
+            intervals[d % intervals.length] -
+            intervals[degree]
+          );
+        });
+  return steps.map((s) => midiToNoteName(Math.min(127, midi + s)));
+}
+
+/**
+ * One cycle of the arpeggio over the held notes
+ * @param {string[]} notes - Held notes, any order (duplicates are dropped)
+ * @param {string} mode - ARP_MODES key ("random" cycles in pitch order; the
+ *   caller picks from it at random)
+ * @returns {string[]}
+ */
+export function arpCycle(notes, mode) {
+  const up = [...new Set(notes)].sort(
+    (a, b) => noteNameToMidi(a) - noteNameToMidi(b)
+  );
+  if (mode === "down") return up.reverse();
+  // Up then back down, without repeating the top and bottom notes
+  if (mode === "upDown") return [...up, ...up.slice(1, -1).reverse()];
+  return up;
+}
+
+/**
+ * Note the arpeggiator plays on a step
+ * @param {string[]} notes - Held notes
+ * @param {string} mode - ARP_MODES key
+ * @param {number} step - Steps since the arpeggio started
+ * @param {() => number} [random] - Random source for "random" (0..1)
+ * @returns {string|null}
+ */
+export function arpNoteAt(notes, mode, step, random = Math.random) {
+  const cycle = arpCycle(notes, mode);
+  if (!cycle.length) return null;
+  if (mode === "random") return cycle[Math.floor(random() * cycle.length)];
+  return cycle[step % cycle.length];
+}
+
+// Length of one arpeggiator step in seconds at a tempo
+export function arpStepSec(bpm, rate) {
+  return 60 / bpm / (ARP_RATES[rate] ?? ARP_RATES["1/16"]);
+}
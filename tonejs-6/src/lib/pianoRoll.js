@@ -0,0 +1,82 @@
+// ============================================================================
+// PIANO ROLL - Rows and note geometry for the recording editor
+// ============================================================================
+
+// Pure JavaScript (no Tone.js / browser APIs). The PianoRoll component draws
+// and edits Recording.notes; this module decides which rows it shows and
+// how long each note is on screen.
+//
+// Rows run top to bottom: highest pitch first, or for percussion the
+// instrument's samples in reverse order (the drum kit: cymbals on top and
+// the kick at the bottom).
+
+import {
+  getInstrument,
+  isPercussion,
+  sampleLabel,
+} from "./instrumentRegistry.js";
+import { noteNameToMidi, midiToNoteName } from "./notes.js";
+
+// Drum notes store a Tone.js notation ("8n"); draw them this long
+export const ONE_SHOT_DISPLAY_SEC = 0.12;
+// Shortest note a resize can leave
+export const MIN_NOTE_SEC = 0.03;
+// Pitched rows shown around the notes, and the smallest range offered
+const PITCH_PADDING = 5;
+const MIN_PITCH_SPAN = 24;
+
+/**
+ * @typedef {Object} PianoRollRow
+ * @property {string} note - Note name the row plays ("C4", or a drum pseudo-note "D1")
+ * @property {string} label - Text in the key column ("C4", "snare")
+ * @property {boolean} [black] - Pitched rows: sharp/flat keys get a darker stripe
+ */
+
+/**
+ * Rows for a recording's instrument
+ * @param {string} instrument
+ * @param {import('./recording').RecordedNote[]} notes - Widens the pitch range to fit every note
+ * @returns {PianoRollRow[]}
+ */
+export function pianoRollRows(instrument, notes) {
+  const def = getInstrument(instrument);
+  if (def?.kind === "percussion") {
+    return Object.keys(def.samples.urls)
+      .map((note) => ({ note, label: sampleLabel(instrument, note) }))
+      .reverse();
+  }
+
+  const pitches = notes.map((n) => noteNameToMidi(n.note));
+  let low = Math.min(60, ...pitches) - PITCH_PADDING;
+  let high = Math.max(72, ...pitches) + PITCH_PADDING;
+  if (high - low < MIN_PITCH_SPAN) {
+    const grow = MIN_PITCH_SPAN - (high - low);
+    low -= Math.floor(grow / 2);
+    high += Math.ceil(grow / 2);
+  }
+  low = Math.max(0, low);
+  high = Math.min(127, high);
+
+  const rows = [];
+  for (let midi = high; midi >= low; midi--) {
+    const note = midiToNoteName(midi);
+    rows.push({ note, label: note, black: note.includes("#") });
+  }
+  return rows;
+}
+
+// Row index of a note (matched by pitch, so "Db4" finds the "C#4" row); -1 if absent
+export function rowIndexOfNote(rows, note, instrument) {
+  if (isPercussion(instrument)) {
+    return rows.findIndex((r) => r.note === note);
+  }
+  const midi = noteNameToMidi(note);
+  return rows.findIndex((r) => noteNameToMidi(r.note) === midi);
+}
+
+// On-screen length of a note in seconds
+export function noteDisplaySec(note) {
+  return typeof note.duration === "number"
+    ? note.duration
+    : ONE_SHOT_DISPLAY_SEC;
+}
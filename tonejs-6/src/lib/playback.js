@@ -3,7 +3,7 @@
 // ============================================================================
 
 import * as Tone from "tone";
-import { INSTRUMENTS } from "./instruments";
+import { createInstrument } from "./instruments";
 
 /**
  * Creates a playback engine for a specific recording
@@ -34,6 +34,7 @@ export function createPlaybackEngine(recording) {
   let isReady = false; // Has the instrument finished loading?
   let isPlaying = false; // Is playback currently happening?
   let currentPart = null; // Tone.js Part object that schedules the notes
+  let isLooping = false; // Did play() turn on the Transport loop?
 
   // ============================================================================
   // INITIALIZATION FUNCTION
@@ -61,9 +62,8 @@ export function createPlaybackEngine(recording) {
     );
 
     // Create the same instrument that was used during recording
-    // INSTRUMENTS[recording.instrument] gets the factory function
-    // Calling it with () creates a new instrument instance
-    instrument = INSTRUMENTS[recording.instrument]();
+    // createInstrument builds a new engine from the instrument's registry entry
+    instrument = createInstrument(recording.instrument);
 
     // Wait for the instrument to load all its samples
     // This might take a few seconds for large sample libraries
@@ -89,8 +89,14 @@ export function createPlaybackEngine(recording) {
    * 3. Create a schedule of when each note should play
    * 4. Start the Tone.js transport (global clock)
    * 5. Schedule automatic stop when recording ends
+   *
+   * LOOPING (overdub):
+   * - With options.loopSec the Transport loops [0, loopSec) and the notes
+   *   repeat every pass until stop() - no automatic stop
+   *
+   * @param {{loopSec?:number}} [options]
    */
-  const play = async () => {
+  const play = async ({ loopSec } = {}) => {
     // Don't start if already playing
     if (isPlaying) return;
 
@@ -117,20 +123,7 @@ export function createPlaybackEngine(recording) {
 
     // Convert our recorded notes into a format Tone.js can understand
     // Each note becomes an "event" with a specific time
-    const events = recording.notes.map((note) => {
-      console.log(
-        `[TypeJam][playback] Scheduling note: ${note.note} at ${note.timestamp}ms`
-      );
-      return {
-        time: note.timestamp / 1000, // Convert milliseconds to seconds (Tone.js uses seconds)
-        note: note.note, // What note to play ("C4", "D1", etc.)
-        duration: note.duration, // How long ("8n", "4n", etc.)
-        velocity: note.velocity, // How loud (0.0 to 1.0)
-        row: note.row, // Which keyboard row ("top", "mid", "bot")
-        i: note.i, // Position in row (for audio effects)
-        len: note.len, // Row length (for audio effects)
-      };
-    });
+    const events = toEvents(recording.notes);
 
     console.log(
       `[TypeJam][playback] Created ${events.length} scheduled events`
@@ -146,7 +139,8 @@ export function createPlaybackEngine(recording) {
       console.log(`[TypeJam][playback] Playing ${event.note} at time ${time}`);
 
       // Call the instrument's play method with all the original parameters
-      // This recreates the exact same sound as when it was recorded
+      // This recreates the exact same sound as when it was recorded:
+      // attack at the note's time, release after the duration the key was held
       instrument.play(
         event.note, // What note
         event.duration, // How long
@@ -166,11 +160,20 @@ export function createPlaybackEngine(recording) {
     // START PLAYBACK
     // ============================================================================
 
+    if (loopSec > 0) {
+      Tone.Transport.setLoopPoints(0, loopSec);
+      Tone.Transport.loop = true;
+      isLooping = true;
+    }
+
     // Start the global Tone.js clock - this makes everything play
     Tone.Transport.start();
     isPlaying = true;
     console.log("[TypeJam][playback] Transport started, playback in progress");
 
+    // A loop runs until stopped
+    if (isLooping) return;
+
     // ============================================================================
     // SCHEDULE AUTOMATIC STOP
     // ============================================================================
@@ -213,6 +216,10 @@ export function createPlaybackEngine(recording) {
     }
 
     // Reset the global transport
+    if (isLooping) {
+      Tone.Transport.loop = false;
+      isLooping = false;
+    }
     Tone.Transport.stop(); // Stop the clock
     Tone.Transport.position = 0; // Reset to beginning
     Tone.Transport.cancel(); // Clear any scheduled events
@@ -221,6 +228,25 @@ export function createPlaybackEngine(recording) {
     console.log("[TypeJam][playback] Playback stopped and cleaned up");
   };
 
+  // ============================================================================
+  // SWAP NOTES WHILE PLAYING
+  // ============================================================================
+
+  /**
+   * Replace the notes this engine plays
+   *
+   * WHY: while overdubbing, each finished pass is merged into the recording
+   * and should be heard on the next pass (or taken out again on undo)
+   *
+   * @param {import('./recording').RecordedNote[]} notes
+   */
+  const setNotes = (notes) => {
+    recording = { ...recording, notes };
+    if (!currentPart) return;
+    currentPart.clear();
+    for (const event of toEvents(notes)) currentPart.add(event);
+  };
+
   // ============================================================================
   // DISPOSE FUNCTION
   // ============================================================================
@@ -259,6 +285,7 @@ export function createPlaybackEngine(recording) {
   return {
     play, // Function to start playback
     stop, // Function to stop playback
+    setNotes, // Function to change the notes (overdub layers)
     dispose, // Function to clean up everything
 
     // Getter functions - these look like properties but are actually functions
@@ -271,3 +298,21 @@ export function createPlaybackEngine(recording) {
     },
   };
 }
+
+// Recorded notes -> Tone.Part events
+function toEvents(notes) {
+  return notes.map((note) => {
+    console.log(
+      `[TypeJam][playback] Scheduling note: ${note.note} at ${note.timestamp}ms`
+    );
+    return {
+      time: note.timestamp / 1000, // Convert milliseconds to seconds (Tone.js uses seconds)
+      note: note.note, // What note to play ("C4", "D1", etc.)
+      duration: note.duration, // How long: held seconds, or "8n" for one-shots
+      velocity: note.velocity, // How loud (0.0 to 1.0)
+      row: note.row, // Which keyboard row ("num", "top", "mid", "bot")
+      i: note.i, // Position in row (for audio effects)
+      len: note.len, // Row length (for audio effects)
+    };
+  });
+}
@@ -0,0 +1,174 @@
+// ============================================================================
+// PROJECTS - Jam board arrangements saved under a name
+// ============================================================================
+
+import {
+  DEFAULT_BPM,
+  DEFAULT_TIME_SIGNATURE,
+  retimeSeconds,
+} from "./timing.js";
+
+/**
+ * TrackSettings: per-track options on the jam board
+ *
+ * @typedef {Object} TrackSettings
+ * @property {string} name - Label shown in the track header
+ * @property {boolean} mute - Silence this track
+ * @property {boolean} solo - When any track is soloed, only soloed tracks play
+ * @property {number} volumeDb - Fader level in dB (0 = unchanged)
+ * @property {number} pan - Stereo position, -1 (left) .. 1 (right)
+ */
+
+/**
+ * Project: everything needed to restore a jam board
+ * Recordings are stored separately and referenced by clip.recordingId.
+ *
+ * @typedef {Object} Project
+ * @property {string} id - Unique identifier
+ * @property {string} name - Shown in the project picker
+ * @property {number} version - Schema version (see PROJECT_VERSION)
+ * @property {number} createdAt - Epoch ms
+ * @property {number} updatedAt - Epoch ms of the last save
+ * @property {import('./jamPayload').JamClip[]} clips - Clips on the board
+ * @property {TrackSettings[]} tracks - One entry per jam track
+ * @property {number} bpm - Project tempo (quarter notes per minute), drives Tone.Transport.bpm
+ * @property {[number, number]} timeSignature - e.g. [4, 4] or [6, 8]
+ * @property {number} pxPerSec - Zoom level
+ * @property {import('./timing').SnapValue} snap - Snap grid ("off", "bar", "1/8", or seconds)
+ * @property {"time"|"bars"} rulerMode - Ruler shows seconds or bars/beats
+ * @property {{startSec:number, endSec:number}|null} loopRegion - Loop region drawn on the ruler
+ * @property {boolean} loopEnabled - Whether playback repeats the loop region
+ * @property {boolean} punchEnabled - Recording onto an armed track only captures
+ *   inside the ruler region (punch-in at its start, punch-out at its end)
+ */
+
+// v2: snapSec (seconds or null) became snap; timeSignature and rulerMode added
+export const PROJECT_VERSION = 2;
+export const NUM_TRACKS = 10;
+
+export const TRACK_VOLUME_RANGE_DB = { min: -40, max: 6 };
+
+export function createDefaultTracks(count = NUM_TRACKS) {
+  return Array.from({ length: count }, (_, i) => ({
+    name: `Track ${i + 1}`,
+    mute: false,
+    solo: false,
+    volumeDb: 0,
+    pan: 0,
+  }));
+}
+
+/**
+ * Whether a track is heard, after mute and solo are taken into account
+ * A muted track stays silent even when it is also soloed.
+ *
+ * @param {TrackSettings[]} tracks
+ * @param {number} trackIndex
+ * @returns {boolean}
+ */
+export function isTrackAudible(tracks = [], trackIndex) {
+  const track = tracks[trackIndex];
+  if (track?.mute) return false;
+  const anySolo = tracks.some((t) => t?.solo);
+  return !anySolo || !!track?.solo;
+}
+
+/**
+ * Create a new, empty project
+ * @param {string} [name]
+ * @returns {Project}
+ */
+export function createProject(name = "Untitled project") {
+  const now = Date.now();
+  return {
+    id: crypto.randomUUID(),
+    name,
+    version: PROJECT_VERSION,
+    createdAt: now,
+    updatedAt: now,
+    clips: [],
+    tracks: createDefaultTracks(),
+    bpm: DEFAULT_BPM,
+    timeSignature: [...DEFAULT_TIME_SIGNATURE],
+    pxPerSec: 100,
+    snap: "1/4",
+    rulerMode: "bars",
+    loopRegion: null,
+    loopEnabled: false,
+    punchEnabled: false,
+  };
+}
+
+/**
+ * Copy a project under a new id (clips get new ids too)
+ * @param {Project} project
+ * @param {string} [name]
+ * @returns {Project}
+ */
+export function duplicateProject(project, name = `${project.name} (copy)`) {
+  const now = Date.now();
+  return {
+    ...structuredClone(project),
+    id: crypto.randomUUID(),
+    name,
+    createdAt: now,
+    updatedAt: now,
+    clips: project.clips.map((c) => ({ ...c, id: crypto.randomUUID() })),
+  };
+}
+
+/**
+ * Fill in anything an older or hand-edited project is missing
+ * @param {Object} project - Project as found in storage
+ * @returns {Project}
+ */
+export function normalizeProject(project) {
+  const defaults = createProject(project.name);
+  const tracks = createDefaultTracks().map((t, i) => ({
+    ...t,
+    ...(project.tracks?.[i] || {}),
+  }));
+  const { snapSec, ...rest } = project;
+  const normalized = {
+    ...defaults,
+    ...rest,
+    clips: Array.isArray(project.clips) ? project.clips : [],
+    tracks,
+    version: PROJECT_VERSION,
+  };
+  // v1 projects snapped in seconds (null = off) and had no musical grid, so
+  // keep their seconds ruler
+  if ((project.version ?? 1) < 2) {
+    normalized.snap = snapSec == null ? "off" : snapSec;
+    normalized.rulerMode = "time";
+  }
+  return normalized;
+}
+
+/**
+ * Change tempo and/or time signature, keeping clips on their bar positions
+ *
+ * Clip starts and the loop region move with the grid. Clip lengths don't
+ * change: recordings play back at the speed they were played in.
+ *
+ * @param {Project} project
+ * @param {{bpm?:number, timeSignature?:[number, number]}} next
+ * @returns {Project}
+ */
+export function retimeProject(project, next) {
+  const from = { bpm: project.bpm, timeSignature: project.timeSignature };
+  const to = { ...from, ...next };
+  const move = (sec) => retimeSeconds(sec, from, to);
+  return {
+    ...project,
+    ...to,
+    clips: project.clips.map((c) => ({
+      ...c,
+      startTimeSec: move(c.startTimeSec),
+    })),
+    loopRegion: project.loopRegion && {
+      startSec: move(project.loopRegion.startSec),
+      endSec: move(project.loopRegion.endSec),
+    },
+  };
+}
@@ -2,6 +2,15 @@
 // RECORDING DATA STRUCTURES & UTILITIES
 // ============================================================================
 
+import {
+  readMidiFile,
+  instrumentForProgram,
+  drumNoteForGmKey,
+  midiToNoteName,
+  gmProgramFor,
+} from "./midi";
+import { keyInfoForNote } from "./keys";
+
 // These @typedef comments are JSDoc - they help IDEs understand data types
 // Think of them as blueprints that describe what our data looks like
 
@@ -12,11 +21,13 @@
  * @typedef {Object} RecordedNote
  * @property {string} instrument - Which instrument was selected ("piano", "drums", etc.)
  * @property {string} note - The actual musical note ("C4" for middle C, "D1" for kick drum)
- * @property {string} row - Which keyboard row was used ("top", "mid", "bot" for Q-P, A-L, Z-M)
+ * @property {string} row - Which keyboard row was used ("top", "mid", "bot" for Q-P, A-L, Z-M; "num" for the number row)
  * @property {number} i - Position within that row (0 = leftmost key, increases rightward)
  * @property {number} len - Total number of keys in that row (used for audio effects)
- * @property {number} timestamp - WHEN this note was played (milliseconds since recording started)
- * @property {string} duration - How long the note should ring ("8n" = eighth note, "4n" = quarter note)
+ * @property {number} timestamp - WHEN this note was played (milliseconds since recording started,
+ *   measured on the audio context clock and corrected by the latency offset)
+ * @property {number|string} duration - How long the note rings: seconds the key was held (pitched notes),
+ *   or a Tone.js notation string for one-shots ("8n" = eighth note, used by drums)
  * @property {number} velocity - How "hard" the note was hit (0.0 = silent, 1.0 = maximum volume)
  */
 
@@ -30,8 +41,21 @@
  * @property {string} instrument - What instrument was used for this recording
  * @property {RecordedNote[]} notes - Array of all notes played (the actual musical data)
  * @property {number} duration - How long the entire recording lasts (milliseconds)
+ * @property {number} version - Schema version (see RECORDING_VERSION)
+ * @property {"audio"|"wall"|"midi"} clock - Which clock stamped the notes ("wall" = legacy Date.now(),
+ *   "midi" = imported from a .mid file)
+ * @property {number} latencyMs - Latency offset that was subtracted from each timestamp
+ * @property {number} [createdAt] - Epoch ms when the recording was created (list order)
+ * @property {string} [derivedFrom] - Id of the recording this version was made from
+ *   (quantize / humanize keep the original take and save the result as a new recording)
+ * @property {string} [transform] - What was done to make this version ("quantized 1/16")
+ * @property {import('./scales').KeyMapping} [keyMapping] - Root/scale the letter rows played
+ *   while recording (pitched instruments; missing = chromatic from C)
  */
 
+// Bump when the stored Recording shape changes; storage migrates older data on load
+export const RECORDING_VERSION = 2;
+
 // ============================================================================
 // RECORDING FACTORY FUNCTION
 // ============================================================================
@@ -62,5 +86,114 @@ export function createEmptyRecording() {
     instrument: null, // Will be set to whatever instrument is selected when recording starts
     notes: [], // Empty array - notes will be added as user types
     duration: 0, // No duration yet - calculated when recording stops
+    version: RECORDING_VERSION, // Schema version, used by storage migrations
+    clock: "audio", // Timestamps come from the audio context clock
+    latencyMs: 0, // Set when recording starts from the configured offset
+    createdAt: Date.now(), // Keeps the list in recording order
   };
 }
+
+/**
+ * Save edited notes as a new version of a recording
+ *
+ * WHY A NEW RECORDING:
+ * - The original take stays untouched, so a transform can always be undone
+ *   by going back to it
+ * - derivedFrom links the version to the take it came from
+ *
+ * @param {Recording} recording - The recording the notes came from
+ * @param {RecordedNote[]} notes - The edited notes
+ * @param {string} transform - Short description, added to the name
+ * @returns {Recording} A new recording with its own ID
+ */
+export function createRecordingVersion(recording, notes, transform) {
+  const base = createEmptyRecording();
+  const lastEndMs = Math.max(
+    0,
+    ...notes.map(
+      (n) =>
+        n.timestamp + (typeof n.duration === "number" ? n.duration : 0) * 1000
+    )
+  );
+  return {
+    ...recording,
+    id: base.id,
+    createdAt: base.createdAt,
+    version: base.version,
+    name: `${recording.name || recording.instrument} · ${transform}`,
+    notes,
+    // A note pulled later by the grid may end past the old length
+    duration: Math.max(recording.duration, lastEndMs),
+    derivedFrom: recording.id,
+    transform,
+  };
+}
+
+// ============================================================================
+// MIDI IMPORT
+// ============================================================================
+
+/**
+ * Turn a .mid file into recordings, one per MIDI track that has notes
+ *
+ * HOW NOTES ARE MAPPED:
+ * - Channel 10 tracks become drums (GM key -> kit piece pseudo-note)
+ * - Other tracks pick an instrument from their GM program
+ * - Each note gets the keyboard row/position that would play it, so the
+ *   per-row FX sound the same as a live take
+ *
+ * @param {ArrayBuffer} data - Contents of the .mid file
+ * @param {string} [fileName] - Used to name the recordings
+ * @returns {Recording[]} New recordings (tracks without playable notes are skipped)
+ */
+export function recordingsFromMidi(data, fileName = "MIDI") {
+  const { tracks } = readMidiFile(data);
+  const baseName = fileName.replace(/\.midi?$/i, "");
+
+  return tracks
+    .map((track, index) => {
+      const instrument = track.isDrums
+        ? "drums"
+        : instrumentForProgram(track.program);
+      const { transpose } = gmProgramFor(instrument);
+
+      const notes = [];
+      for (const n of track.notes) {
+        const midi = n.midi - transpose;
+        // Below the instrument's range once its transpose is undone
+        if (!track.isDrums && (midi < 0 || midi > 127)) continue;
+        const note = track.isDrums
+          ? drumNoteForGmKey(n.midi)
+          : midiToNoteName(midi);
+        if (!note) continue; // percussion with no matching kit piece
+        const info = keyInfoForNote(note, instrument);
+        notes.push({
+          instrument,
+          note,
+          row: info.row,
+          i: info.i,
+          len: info.len,
+          timestamp: n.time * 1000,
+          duration: track.isDrums ? "8n" : n.duration,
+          velocity: n.velocity,
+        });
+      }
+      if (!notes.length) return null;
+
+      const endMs = track.notes.reduce(
+        (end, n) => Math.max(end, (n.time + n.duration) * 1000),
+        0
+      );
+      const rec = createEmptyRecording();
+      return {
+        ...rec,
+        createdAt: rec.createdAt + index, // keep track order in the list
+        name: `${baseName} – ${track.name}`,
+        instrument,
+        notes,
+        duration: endMs,
+        clock: "midi",
+      };
+    })
+    .filter(Boolean);
+}
@@ -0,0 +1,124 @@
+import * as Tone from "tone";
+
+// Sample loading for the Sampler engine (sampledInstrument.js):
+// - Downloaded files are kept in the Cache API, so after the first visit
+//   the built-in instruments load without the network (offline, or when the
+//   CDN is blocked)
+// - Decoded AudioBuffers are kept for the page session and shared by every
+//   engine, so switching instruments or starting the jam board doesn't
+//   decode the same file twice
+// - A missing file fails with the URL and status instead of leaving the
+//   instrument silent
+// - A cached file that doesn't decode (cut-off download) is dropped and
+//   downloaded again, instead of failing on every visit
+
+// Bump the version to drop files cached by older releases
+const CACHE_NAME = "typejam-samples-v1";
+
+// url -> Promise<AudioBuffer>
+const decoded = new Map();
+
+/**
+ * @typedef {Object} LoadProgress
+ * @property {number} loaded - Samples ready so far
+ * @property {number} total - Samples in the set
+ * @property {string} [error] - Why loading stopped (the first failed file)
+ */
+
+/**
+ * Load every sample of an instrument
+ * @param {string} baseUrl - Folder the file names are relative to
+ * @param {Object<string, string|AudioBuffer>} urls - note -> file name;
+ *   already decoded buffers (sample packs) are passed through
+ * @param {(progress: LoadProgress) => void} [onProgress]
+ * @returns {Promise<Object<string, AudioBuffer>>} note -> buffer
+ */
+export async function loadSampleBuffers(baseUrl, urls, onProgress) {
+  const entries = Object.entries(urls);
+  const total = entries.length;
+  let loaded = 0;
+  let failed = false;
+  onProgress?.({ loaded, total });
+  try {
+    const buffers = await Promise.all(
+      entries.map(async ([note, source]) => {
+        const buffer =
+          typeof source === "string"
+            ? await loadSample(`${baseUrl}${source}`)
+            : source;
+        loaded++;
+        // Files still arriving after a failure don't hide the error
+        if (!failed) onProgress?.({ loaded, total });
+        return [note, buffer];
+      })
+    );
+    return Object.fromEntries(buffers);
+  } catch (error) {
+    failed = true;
+    onProgress?.({ loaded, total, error: error.message });
+    throw error;
+  }
+}
+
+function loadSample(url) {
+  if (!decoded.has(url)) {
+    const promise = decodeSample(url);
+    // Don't keep a failure: the file may be there next time
+    promise.catch(() => decoded.delete(url));
+    decoded.set(url, promise);
+  }
+  return decoded.get(url);
+}
+
+async function decodeSample(url, { fromNetwork = false } = {}) {
+  const { bytes, cached, stored } = await fetchSample(url, fromNetwork);
+  try {
+    return await Tone.getContext().rawContext.decodeAudioData(bytes);
+  } catch {
+    // Never keep bytes that don't decode (a truncated download, an error
+    // page): a cached copy is dropped and downloaded once more
+    await stored;
+    await (await openCache())?.delete(url).catch(() => {});
+    if (cached) return decodeSample(url, { fromNetwork: true });
+    throw new Error(`Could not decode ${url} (not an audio file?)`);
+  }
+}
+
+// Cache first (unless skipped), then the network (storing what it returns)
+async function fetchSample(url, skipCache = false) {
+  const cache = await openCache();
+  const cached = skipCache ? null : await cache?.match(url);
+  if (cached) return { bytes: await cached.arrayBuffer(), cached: true };
+
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    console.error(`[TypeJam][samples] fetch failed: ${url}`, error);
+    throw new Error(`Could not download ${url} (offline or blocked?)`);
+  }
+  if (!response.ok) {
+    throw new Error(
+      response.status === 404
+        ? `Sample not found (404): ${url}`
+        : `Could not download ${url} (HTTP ${response.status})`
+    );
+  }
+  // A failed write (quota, private browsing) only costs a download next time
+  const stored = cache
+    ?.put(url, response.clone())
+    .catch((error) =>
+      console.warn(`[TypeJam][samples] could not cache ${url}`, error)
+    );
+  return { bytes: await response.arrayBuffer(), cached: false, stored };
+}
+
+// The Cache API only exists in secure contexts (https, localhost)
+async function openCache() {
+  if (typeof caches === "undefined") return null;
+  try {
+    return await caches.open(CACHE_NAME);
+  } catch {
+    return null;
+  }
+}
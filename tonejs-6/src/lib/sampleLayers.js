@@ -0,0 +1,152 @@
+// ============================================================================
+// SAMPLE LAYERS - Velocity layers and round-robin alternates in sample maps
+// ============================================================================
+
+// Pure JavaScript (no Tone.js / browser APIs), shared by the Sampler engine
+// (sampledInstrument.js), the render server and the sample mirror.
+//
+// A sample map is note -> sample(s). Three shapes are accepted per note, so
+// the flat PIANO_URLS-style maps keep working unchanged:
+//
+//   C4: "C4.mp3",                                  // one sample
+//   C1: ["kick-1.mp3", "kick-2.mp3"],              // round-robin alternates
+//   C3: [                                          // velocity layers
+//     { maxVelocity: 0.5, files: ["C3-soft.mp3"] },
+//     { maxVelocity: 1, files: ["C3-hard-1.mp3", "C3-hard-2.mp3"] },
+//   ],
+//
+// A layer plays for velocities up to its maxVelocity (0-1); the loudest
+// layer also takes anything above. A "file" is a file name, or an already
+// decoded buffer for sample packs.
+
+/**
+ * @typedef {Object} SampleLayer
+ * @property {number} maxVelocity - Highest velocity (0-1) this layer plays
+ * @property {Array<string|any>} files - Round-robin alternates, in order
+ */
+
+const isLayer = (value) =>
+  value != null && typeof value === "object" && Array.isArray(value.files);
+
+/**
+ * Every note's layers, softest first
+ * @param {Object<string, any>} urls - Sample map in any of the shapes above
+ * @returns {Object<string, SampleLayer[]>}
+ */
+export function normalizeSampleMap(urls) {
+  return Object.fromEntries(
+    Object.entries(urls).map(([note, value]) => {
+      let layers;
+      if (Array.isArray(value) && value.some(isLayer)) {
+        layers = value
+          .filter((layer) => layer.files.length)
+          .map((layer) => ({
+            maxVelocity: layer.maxVelocity ?? 1,
+            files: [...layer.files],
+          }))
+          .sort((a, b) => a.maxVelocity - b.maxVelocity);
+      } else {
+        const files = Array.isArray(value) ? value : [value];
+        layers = [{ maxVelocity: 1, files }];
+      }
+      if (!layers.length || !layers[0].files.length) {
+        throw new Error(`No samples for ${note}`);
+      }
+      return [note, layers];
+    })
+  );
+}
+
+/**
+ * Every distinct file name in a sample map (what needs downloading)
+ * @param {Object<string, any>} urls
+ * @returns {string[]}
+ */
+export function sampleFileNames(urls) {
+  const names = new Set();
+  for (const layers of Object.values(normalizeSampleMap(urls))) {
+    for (const { files } of layers) {
+      files.filter((f) => typeof f === "string").forEach((f) => names.add(f));
+    }
+  }
+  return [...names];
+}
+
+// The file a note's map entry starts with (labels: "C2" -> "ride.mp3")
+export function firstSampleFile(value) {
+  return normalizeSampleMap({ note: value }).note[0].files[0];
+}
+
+/**
+ * Index of the layer that plays a velocity
+ * @param {SampleLayer[]} layers - Softest first
+ * @param {number} velocity - 0-1
+ */
+export function pickLayer(layers, velocity) {
+  const index = layers.findIndex((layer) => velocity <= layer.maxVelocity);
+  return index < 0 ? layers.length - 1 : index;
+}
+
+/**
+ * The sampled MIDI note a sampler repitches for `midi`: the nearest one,
+ * the higher on a tie (the same search as Tone.Sampler)
+ * @param {number} midi
+ * @param {number[]} sampled - MIDI notes that have samples
+ * @returns {number|null}
+ */
+export function closestSampledMidi(midi, sampled) {
+  const available = new Set(sampled);
+  for (let interval = 0; interval < 96; interval++) {
+    if (available.has(midi + interval)) return midi + interval;
+    if (available.has(midi - interval)) return midi - interval;
+  }
+  return null;
+}
+
+/**
+ * Flat maps, one per (layer, alternate) slot, for engines that hold one
+ * flat note -> file map per player (Tone.Sampler). Every slot has every
+ * note; notes with fewer layers or alternates repeat their last layer and
+ * cycle their alternates, so slot (layer, alternate) always holds exactly
+ * that sample for a note that has it.
+ *
+ * @param {Object<string, SampleLayer[]>} layered - From normalizeSampleMap
+ * @returns {{layers:number, alternates:number, slots:Object<string, any>[]}}
+ *   slots[layer * alternates + alternate] is note -> file
+ */
+export function sampleSlots(layered) {
+  const entries = Object.entries(layered);
+  const layers = Math.max(1, ...entries.map(([, l]) => l.length));
+  const alternates = Math.max(
+    1,
+    ...entries.flatMap(([, l]) => l.map((layer) => layer.files.length))
+  );
+  const slots = [];
+  for (let layer = 0; layer < layers; layer++) {
+    for (let alternate = 0; alternate < alternates; alternate++) {
+      slots.push(
+        Object.fromEntries(
+          entries.map(([note, l]) => {
+            const { files } = l[Math.min(layer, l.length - 1)];
+            return [note, files[alternate % files.length]];
+          })
+        )
+      );
+    }
+  }
+  return { layers, alternates, slots };
+}
+
+/**
+ * Round-robin state for one engine: which alternate each (note, layer)
+ * plays next
+ * @returns {(key: string, count: number) => number} Next alternate index
+ */
+export function createRoundRobin() {
+  const next = new Map();
+  return (key, count) => {
+    const index = (next.get(key) ?? 0) % count;
+    next.set(key, index + 1);
+    return index;
+  };
+}
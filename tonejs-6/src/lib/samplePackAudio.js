@@ -0,0 +1,95 @@
+import * as Tone from "tone";
+import { readZipEntries } from "./zip";
+import {
+  isSampleFile,
+  samplePackDefinition,
+  samplePackInstrumentId,
+} from "./samplePacks";
+import { registerInstrument, unregisterInstrument } from "./instrumentRegistry";
+
+// Browser side of sample packs (see samplePacks.js):
+// - decodeSampleFiles() turns dropped files (WAV/MP3/OGG, or zips of them)
+//   into plain channel data, the shape packs are stored in
+// - registerSamplePack() rebuilds AudioBuffers from that data and registers
+//   the pack as an instrument, so createInstrument() feeds them to the same
+//   Sampler row setup as the built-in instruments
+
+/**
+ * Decode dropped/picked files. Zips are opened and every sample inside is
+ * decoded; other files are ignored and listed in `skipped`.
+ * @param {File[]} files
+ * @returns {Promise<{samples: {fileName:string, sampleRate:number, channels:Float32Array[]}[], skipped: string[]}>}
+ */
+export async function decodeSampleFiles(files) {
+  const context = Tone.getContext().rawContext;
+  const samples = [];
+  const skipped = [];
+
+  const decode = async (fileName, data) => {
+    try {
+      // decodeAudioData detaches the buffer it is given
+      const audio = await context.decodeAudioData(data.slice(0));
+      samples.push({
+        fileName,
+        sampleRate: audio.sampleRate,
+        channels: Array.from({ length: audio.numberOfChannels }, (_, ch) =>
+          audio.getChannelData(ch).slice()
+        ),
+      });
+    } catch (error) {
+      console.warn(
+        `[TypeJam][samplePacks] could not decode ${fileName}`,
+        error
+      );
+      skipped.push(fileName);
+    }
+  };
+
+  for (const file of files) {
+    if (/\.zip$/i.test(file.name)) {
+      const entries = readZipEntries(await file.arrayBuffer());
+      for (const entry of entries) {
+        if (!isSampleFile(entry.name)) continue;
+        const bytes = await entry.read();
+        await decode(entry.name.split("/").pop(), bytes.buffer);
+      }
+    } else if (isSampleFile(file.name)) {
+      await decode(file.name, await file.arrayBuffer());
+    } else {
+      skipped.push(file.name);
+    }
+  }
+  console.log(
+    `[TypeJam][samplePacks] decoded ${samples.length} samples, skipped ${skipped.length}`
+  );
+  return { samples, skipped };
+}
+
+/**
+ * Make a stored pack playable: AudioBuffers from its channel data, then an
+ * instrument in the registry (replacing an earlier registration)
+ * @param {import('./samplePacks').SamplePack} pack
+ * @returns {string} The instrument id
+ */
+export function registerSamplePack(pack) {
+  const buffers = Object.fromEntries(
+    pack.samples.map((s) => {
+      const buffer = new AudioBuffer({
+        length: s.channels[0].length,
+        numberOfChannels: s.channels.length,
+        sampleRate: s.sampleRate,
+      });
+      s.channels.forEach((data, ch) => buffer.copyToChannel(data, ch));
+      return [s.note, buffer];
+    })
+  );
+  const id = samplePackInstrumentId(pack.id);
+  unregisterInstrument(id);
+  registerInstrument(samplePackDefinition(pack, buffers));
+  return id;
+}
+
+/** @param {string} packId */
+export function unregisterSamplePack(packId) {
+  unregisterInstrument(samplePackInstrumentId(packId));
+}
@@ -0,0 +1,286 @@
+// ============================================================================
+// SAMPLE PACKS - Custom instruments built from the user's own samples
+// ============================================================================
+
+// Pure JavaScript (no Tone.js / browser APIs): recognising sample files,
+// guessing which note each one is, and turning a pack into an instrument
+// definition (see instrumentRegistry.js). Decoding, storage and the audio
+// buffers live in samplePackAudio.js and storage.js.
+//
+// A pack is stored decoded (Float32Array channels, like wav.js works with),
+// so it plays again after a reload without the original files.
+
+import { noteNameToMidi, midiToNoteName } from "./notes.js";
+import { DRUM_NOTE_TO_FILE } from "./samples.js";
+import { KEY_ROWS } from "./keyMaps.js";
+
+export const SAMPLE_FILE_PATTERN = /\.(wav|mp3|ogg)$/i;
+// Picker section custom instruments are listed under
+export const SAMPLE_PACK_GROUP = "My instruments";
+const SAMPLE_PACK_PREFIX = "pack:";
+export const MAX_PACK_SAMPLES = 64;
+
+/**
+ * @typedef {Object} PackSample
+ * @property {string} fileName - Original file name ("C4.wav")
+ * @property {string} note - Root note (pitched) or pad note (percussion)
+ * @property {number} sampleRate
+ * @property {Float32Array[]} channels - Decoded audio, one array per channel
+ */
+
+/**
+ * @typedef {Object} SamplePack
+ * @property {string} id
+ * @property {string} name - Shown in the instrument picker
+ * @property {"pitched"|"percussion"} kind
+ * @property {PackSample[]} samples
+ * @property {number} createdAt
+ */
+
+// ============================================================================
+// NOTE DETECTION
+// ============================================================================
+
+// Percussion pads: the built-in kit's pieces first (so MIDI export maps them
+// to the matching GM drums), then free pads for anything else
+const KIT_PADS = Object.keys(DRUM_NOTE_TO_FILE);
+const EXTRA_PADS = ["E2", "F2", "G2", "A2", "B2"].concat(
+  ...[3, 4, 5].map((octave) =>
+    ["C", "D", "E", "F", "G", "A", "B"].map((name) => `${name}${octave}`)
+  )
+);
+export const PERCUSSION_PADS = [...KIT_PADS, ...EXTRA_PADS];
+// A percussion pack gets one pad per sample, and every pad needs a key that
+// plays without the number row: at most one sample per letter key
+const LETTER_KEYS = ["bot", "mid", "top"].reduce(
+  (n, row) => n + KEY_ROWS[row].length,
+  0
+);
+export const MAX_PERCUSSION_SAMPLES = Math.min(
+  PERCUSSION_PADS.length,
+  LETTER_KEYS
+);
+
+// Most samples a pack of this kind can hold
+export function maxPackSamples(kind) {
+  return kind === "percussion" ? MAX_PERCUSSION_SAMPLES : MAX_PACK_SAMPLES;
+}
+
+// File name words -> kit piece, checked in order ("open hat" before "hat")
+const KIT_PIECES = [
+  ["C1", /kick|bass ?drum|\bbd\b|\bkd\b/],
+  ["D1", /snare|\bsn\b|\bsd\b|clap|rim/],
+  ["F1", /open|\boh\b/],
+  ["E1", /hat|\bhh\b|\bch\b/],
+  ["G1", /tom.*(low|floor|\b1\b)|(low|floor).*tom|\blt\b/],
+  ["B1", /tom.*(high|hi|\b3\b)|(high|hi).*tom|\bht\b/],
+  ["A1", /tom|\bmt\b/],
+  ["C2", /ride/],
+  ["D2", /crash|cymbal|splash/],
+];
+
+// "Piano_C#4.wav" -> "Piano C#4"
+export function sampleBaseName(fileName) {
+  return String(fileName)
+    .split("/")
+    .pop()
+    .replace(/\.[^.]+$/, "")
+    .replace(/[_\-.]+/g, " ")
+    .trim();
+}
+
+// Sample files worth decoding (skips macOS resource forks and dotfiles)
+export function isSampleFile(fileName) {
+  const name = String(fileName);
+  const base = name.split("/").pop();
+  return (
+    SAMPLE_FILE_PATTERN.test(name) &&
+    !name.startsWith("__MACOSX/") &&
+    !base.startsWith(".")
+  );
+}
+
+/**
+ * Root note named in a file name: "C4.wav", "piano_Bb3_soft.mp3",
+ * "Cs5.ogg" / "CS5.ogg" (s = sharp) or a bare MIDI number ("60.wav").
+ * Only a lower-case "b" is a flat, so "AB3" isn't read as A-flat.
+ * @param {string} fileName
+ * @returns {string|null} Note name, or null when the name has none
+ */
+export function detectPitchedNote(fileName) {
+  const base = sampleBaseName(fileName);
+  if (/^\d{1,3}$/.test(base) && Number(base) <= 127) {
+    return midiToNoteName(Number(base));
+  }
+  const m = /(?:^|[^A-Za-z])([A-Ga-g])(#|b|s|S)?(-?\d)(?![A-Za-z0-9])/.exec(
+    base
+  );
+  if (!m) return null;
+  const accidental = m[2] === "s" || m[2] === "S" ? "#" : (m[2] ?? "");
+  let midi;
+  try {
+    midi = noteNameToMidi(`${m[1].toUpperCase()}${accidental}${m[3]}`);
+  } catch {
+    return null;
+  }
+  return midi >= 0 && midi <= 127 ? midiToNoteName(midi) : null;
+}
+
+// Kit piece a file name describes ("kick.wav" -> "C1"), or null
+export function detectKitPiece(fileName) {
+  const base = sampleBaseName(fileName).toLowerCase();
+  return KIT_PIECES.find(([, pattern]) => pattern.test(base))?.[0] ?? null;
+}
+
+/**
+ * Guess a note for every file
+ *
+ * - pitched: the note in the file name, or null (the user picks one)
+ * - percussion: the kit piece the name describes, else the next free extra
+ *   pad (so MIDI export doesn't call a second kick a hi-hat), so every
+ *   sample gets its own pad
+ *
+ * @param {string[]} fileNames
+ * @param {"pitched"|"percussion"} kind
+ * @returns {(string|null)[]} One note per file
+ */
+export function autoAssignNotes(fileNames, kind) {
+  if (kind === "pitched") return fileNames.map(detectPitchedNote);
+
+  const taken = new Set();
+  const notes = fileNames.map((fileName) => {
+    const piece = detectKitPiece(fileName);
+    if (!piece || taken.has(piece)) return null;
+    taken.add(piece);
+    return piece;
+  });
+  return notes.map((note) => {
+    if (note) return note;
+    const pad =
+      EXTRA_PADS.find((p) => !taken.has(p)) ??
+      PERCUSSION_PADS.find((p) => !taken.has(p)) ??
+      null;
+    if (pad) taken.add(pad);
+    return pad;
+  });
+}
+
+// ============================================================================
+// PACKS
+// ============================================================================
+
+/**
+ * Check a pack and build it ready to store. Throws with a readable message
+ * when a sample has no note, two samples share one, or a percussion note
+ * isn't a pad.
+ * @param {{name:string, kind:"pitched"|"percussion", samples:PackSample[]}} draft
+ * @returns {SamplePack}
+ */
+export function createSamplePack({ name, kind, samples }) {
+  const trimmed = String(name ?? "").trim();
+  if (!trimmed) throw new Error("Give the instrument a name");
+  if (kind !== "pitched" && kind !== "percussion") {
+    throw new Error("Pick pitched or percussion");
+  }
+  if (!samples.length) throw new Error("Add at least one sample");
+  if (samples.length > maxPackSamples(kind)) {
+    throw new Error(
+      kind === "percussion"
+        ? `A percussion pack can hold at most ${MAX_PERCUSSION_SAMPLES} samples (one per letter key); remove ${samples.length - MAX_PERCUSSION_SAMPLES}`
+        : `A pack can hold at most ${MAX_PACK_SAMPLES} samples`
+    );
+  }
+
+  const seen = new Map();
+  const normalized = samples.map((sample) => {
+    if (!sample.note) throw new Error(`Pick a note for ${sample.fileName}`);
+    const note = normalizeSampleNote(sample.note, kind, sample.fileName);
+    if (seen.has(note)) {
+      throw new Error(
+        `${sample.fileName} and ${seen.get(note)} are both on ${note}`
+      );
+    }
+    seen.set(note, sample.fileName);
+    return { ...sample, note };
+  });
+
+  return {
+    id: crypto.randomUUID(),
+    name: trimmed,
+    kind,
+    samples: normalized,
+    createdAt: Date.now(),
+  };
+}
+
+function normalizeSampleNote(note, kind, fileName) {
+  let midi;
+  try {
+    midi = noteNameToMidi(note);
+  } catch {
+    throw new Error(`${fileName}: "${note}" is not a note (e.g. C4, F#3)`);
+  }
+  if (midi < 0 || midi > 127) {
+    throw new Error(`${fileName}: ${note} is out of range`);
+  }
+  if (kind === "pitched") return midiToNoteName(midi);
+  // Pads keep their spelling so they match the kit's pseudo-notes
+  const pad = PERCUSSION_PADS.find((p) => noteNameToMidi(p) === midi);
+  if (!pad) throw new Error(`${fileName}: ${note} is not a drum pad`);
+  return pad;
+}
+
+// Keys per row in the built-in kit's layout
+const KIT_ROW_LENGTHS = { num: 12, top: 10, mid: 9, bot: 7 };
+
+// Instrument id of a pack ("pack:<uuid>"), stored on its recordings
+export function samplePackInstrumentId(packId) {
+  return `${SAMPLE_PACK_PREFIX}${packId}`;
+}
+
+/**
+ * Instrument definition for a pack (see instrumentRegistry.js)
+ * @param {SamplePack} pack
+ * @param {Object<string, any>} buffers - note -> decoded audio the engine
+ *   plays (AudioBuffers, built by samplePackAudio.js)
+ * @returns {import('./instrumentRegistry').InstrumentDefinition}
+ */
+export function samplePackDefinition(pack, buffers) {
+  const urls = Object.fromEntries(
+    pack.samples.map((s) => [s.note, s.fileName])
+  );
+  const definition = {
+    id: samplePackInstrumentId(pack.id),
+    name: pack.name,
+    kind: pack.kind,
+    group: SAMPLE_PACK_GROUP,
+    samples: { urls, buffers },
+  };
+  if (pack.kind === "percussion") {
+    const pads = pack.samples.map((s) => s.note);
+    let rows;
+    if (pads.length <= KIT_ROW_LENGTHS.bot) {
+      // Like the built-in kit: columns are pads, repeated along each row;
+      // the row sets the tone
+      rows = Object.fromEntries(
+        Object.entries(KIT_ROW_LENGTHS).map(([row, length]) => [
+          row,
+          Array.from({ length }, (_, i) => pads[i % pads.length]),
+        ])
+      );
+    } else {
+      // More pads than a row has keys: one after another over the letter
+      // rows (punctuation included), bottom row first, so each pad gets a
+      // key that plays without the number row; the number row repeats them
+      let next = 0;
+      rows = Object.fromEntries(
+        ["bot", "mid", "top", "num"].map((row) => [
+          row,
+          KEY_ROWS[row].map(() => pads[next++ % pads.length]),
+        ])
+      );
+    }
+    definition.keyMap = { rows };
+  }
+  return definition;
+}
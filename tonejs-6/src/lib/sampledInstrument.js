@@ -1,20 +1,71 @@
 import * as Tone from "tone";
+import { loadSampleBuffers } from "./sampleCache";
+import {
+  closestSampledMidi,
+  createRoundRobin,
+  normalizeSampleMap,
+  pickLayer,
+  sampleFileNames,
+  sampleSlots,
+} from "./sampleLayers";
 // Core Sampler-based engine used by every instrument.
 // Responsibilities:
-// - Build three Tone.Sampler instances (top/mid/bot row)
+// - Build Tone.Sampler instances per row (top/mid/bot), one per velocity
+//   layer / round-robin alternate of the sample map (see sampleLayers.js)
 // - Route each through a distinct FX chain (EQ/Filter/Reverb + Comp/Limiter)
 // - On each keypress, compute left→right position to modulate brightness/space/velocity
-// - Trigger the appropriate Sampler with a musical duration
+// - Trigger the appropriate Sampler with a musical duration (play), or hold
+//   it between attack() and release() for keyboard-driven sustain
 
 // Sampler + per-row FX + per-key parameter modulation
 export function makeSampledInstrument(baseUrl, urls, options = {}) {
   const transpose = options.transpose ?? 0; // semitones
-  // Create three independent samplers for routing to distinct FX per row
-  const mk = () => new Tone.Sampler({ baseUrl, urls, release: 1.1 });
+  // options.percussion: one-shot kit (see prepareVoice)
+  // Where the row chains end up: a jam track's channel strip, or by default
+  // the destination. getDestination() resolves the current context, so
+  // instruments built inside an offline render end up in that render's output
+  const output = options.output ?? Tone.getDestination();
+  // Velocity layers and round-robin alternates: one Sampler per
+  // (layer, alternate) slot and row. A flat map has a single slot, i.e. one
+  // Sampler per row.
+  const layered = normalizeSampleMap(urls);
+  const { alternates, slots } = sampleSlots(layered);
+  // MIDI note -> sample map note, to find the sample a note is pitched from
+  const sampledNotes = new Map(
+    Object.keys(layered).map((note) => [Tone.Frequency(note).toMidi(), note])
+  );
+  const nextAlternate = createRoundRobin();
+
+  // Create independent samplers per row for routing to distinct FX per row
+  const mk = () => slots.map(() => new Tone.Sampler({ release: 1.1 }));
   const top = mk();
   const mid = mk();
   const bot = mk();
 
+  // Samples come through sampleCache.js (cached, decoded once per page) and
+  // are shared by every sampler. options.onProgress reports each file; a
+  // failed file rejects ensureReady() with its URL.
+  let samplesReady = false;
+  let disposed = false;
+  const files = sampleFileNames(urls);
+  const loaded = loadSampleBuffers(
+    baseUrl,
+    Object.fromEntries(files.map((file) => [file, file])),
+    options.onProgress
+  ).then((buffers) => {
+    if (disposed) return;
+    slots.forEach((slot, n) => {
+      for (const [note, file] of Object.entries(slot)) {
+        // Sample packs hand over decoded buffers instead of file names
+        const buffer = typeof file === "string" ? buffers[file] : file;
+        [top, mid, bot].forEach((row) => row[n].add(note, buffer));
+      }
+    });
+    samplesReady = true;
+  });
+  // Reported to whoever awaits ensureReady()
+  loaded.catch(() => {});
+
   // Per-row volume controls
   const topVol = new Tone.Volume(-6);
   const midVol = new Tone.Volume(-3);
@@ -59,12 +110,9 @@ export function makeSampledInstrument(baseUrl, urls, options = {}) {
   const midLim = new Tone.Limiter(-0.1);
   const botLim = new Tone.Limiter(-0.1);
 
-  const chain = (n, vol, fx, comp, lim) => {
-    if (fx.length) {
-      n.chain(vol, ...fx, comp, lim, Tone.Destination);
-    } else {
-      n.chain(vol, comp, lim, Tone.Destination);
-    }
+  const chain = (samplers, vol, fx, comp, lim) => {
+    samplers.forEach((n) => n.connect(vol));
+    vol.chain(...fx, comp, lim, output);
   };
   chain(top, topVol, topFX, topComp, topLim);
   chain(mid, midVol, midFX, midComp, midLim);
@@ -72,83 +120,149 @@ export function makeSampledInstrument(baseUrl, urls, options = {}) {
 
   console.groupCollapsed("[TypeJam][engine] FX chains setup");
 
-  return {
-    ensureReady: async () => {
-      await Promise.all([top.loaded, mid.loaded, bot.loaded]);
-    },
-    // row: 'top'|'mid'|'bot' ; i,len for gradient (0..len-1)
-    play: (note, dur = "8n", time, _vel = 0.9, row = "mid", i = 0, len = 1) => {
-      // Check if samplers are ready before playing
-      if (!top.loaded || !mid.loaded || !bot.loaded) {
-        console.warn("[TypeJam][play] Samplers not ready yet");
-        return;
-      }
-      const pos = len > 1 ? i / (len - 1) : 0; // 0 left → 1 right
-      // To "tone down" to the right, invert: const p = 1 - pos
-      const p = pos;
-
-      let velocity = lerp(0.8, 1.0, p);
-      let cutoff = lerp(1000, 3200, p);
-      let wet = lerp(0.05, 0.2, p);
-
-      // If this is the drums instrument, shape per-row differently to get 26 distinct timbres
-      const isDrums = baseUrl.includes("/audio/drums/");
-      if (isDrums) {
-        // Map row to brightness direction: top (brighter left->right), mid (neutral), bot (darker left->right)
-        if (row === "top") {
-          cutoff = lerp(2500, 7000, p); // hats/ride get brighter
-          wet = lerp(0.02, 0.15, p);
-        } else if (row === "bot") {
-          cutoff = lerp(400, 1200, p); // kick/snare get darker
-          wet = lerp(0.01, 0.08, p);
-        }
-        // mid row stays neutral
-      }
+  // Notes started with attack() and not yet released, keyed by `${row}:${note}`:
+  // { voices, count }. Held chords can share a note; it keeps sounding until
+  // the last key holding it is released.
+  const held = new Map();
+
+  // Pick the row's Sampler, apply per-key modulation to its FX chain and
+  // return what is needed to trigger it (null when samples aren't loaded)
+  const prepareVoice = (note, row, i, len, vel) => {
+    // Check if samplers are ready before playing
+    if (!samplesReady) {
+      console.warn("[TypeJam][play] Samplers not ready yet");
+      return null;
+    }
+    const pos = len > 1 ? i / (len - 1) : 0; // 0 left → 1 right
+    // To "tone down" to the right, invert: const p = 1 - pos
+    const p = pos;
+
+    let velocity = lerp(0.8, 1.0, p);
+    let cutoff = lerp(1000, 3200, p);
+    let wet = lerp(0.05, 0.2, p);
 
-      console.groupCollapsed("[TypeJam][play] input & derived params");
-      console.log("note", note, "dur", dur, "time", time, "vel", _vel);
-      console.log("row", row, "i", i, "len", len, "pos", pos, "p", p);
-      console.log("velocity", velocity, "cutoff", cutoff, "wet", wet);
-      console.groupEnd();
-
-      // Apply transpose
-      const nn = Tone.Frequency(note).transpose(transpose).toNote();
-
-      // Select sampler and FX chain based on row
-      let sampler, vol, fx, comp, lim;
-      if (row === "top") {
-        sampler = top;
-        vol = topVol;
-        fx = topFX;
-        comp = topComp;
-        lim = topLim;
+    // Percussion: shape per-row differently to get 26 distinct timbres
+    if (options.percussion) {
+      // Map row to brightness direction: top (brighter left->right), mid (neutral), bot (darker left->right)
+      if (row === "top" || row === "num") {
+        cutoff = lerp(2500, 7000, p); // hats/ride get brighter
+        wet = lerp(0.02, 0.15, p);
       } else if (row === "bot") {
-        sampler = bot;
-        vol = botVol;
-        fx = botFX;
-        comp = botComp;
-        lim = botLim;
-      } else {
-        // mid (default)
-        sampler = mid;
-        vol = midVol;
-        fx = midFX;
-        comp = midComp;
-        lim = midLim;
+        cutoff = lerp(400, 1200, p); // kick/snare get darker
+        wet = lerp(0.01, 0.08, p);
       }
+      // mid row stays neutral
+    }
+
+    console.groupCollapsed("[TypeJam][play] input & derived params");
+    console.log(
+      "note",
+      note,
+      "row",
+      row,
+      "i",
+      i,
+      "len",
+      len,
+      "pos",
+      pos,
+      "p",
+      p
+    );
+    console.log("velocity", velocity, "cutoff", cutoff, "wet", wet);
+    console.groupEnd();
+
+    // Apply transpose
+    const nn = Tone.Frequency(note).transpose(transpose).toNote();
+
+    // Select sampler and FX chain based on row (the number row shares the
+    // top row's bright chain)
+    let samplers, vol, fx;
+    if (row === "top" || row === "num") {
+      samplers = top;
+      vol = topVol;
+      fx = topFX;
+    } else if (row === "bot") {
+      samplers = bot;
+      vol = botVol;
+      fx = botFX;
+    } else {
+      // mid (default)
+      samplers = mid;
+      vol = midVol;
+      fx = midFX;
+    }
+
+    // Apply dynamic parameters
+    vol.volume.value = Tone.gainToDb(velocity);
+    if (fx.length >= 1) fx[0].frequency.value = cutoff; // Filter
+    if (fx.length >= 2) fx[1].wet.value = wet; // Reverb
 
-      // Apply dynamic parameters
-      vol.volume.value = Tone.gainToDb(velocity);
-      if (fx.length >= 1) fx[0].frequency.value = cutoff; // Filter
-      if (fx.length >= 2) fx[1].wet.value = wet; // Reverb
+    // Velocity layer of the sample this note is pitched from, then the next
+    // alternate of that layer
+    const sampledMidi = closestSampledMidi(Tone.Frequency(nn).toMidi(), [
+      ...sampledNotes.keys(),
+    ]);
+    const layers = layered[sampledNotes.get(sampledMidi)];
+    const layer = pickLayer(layers, vel);
+    const alternate = nextAlternate(
+      `${sampledMidi}:${layer}`,
+      layers[layer].files.length
+    );
+    const sampler = samplers[layer * alternates + alternate];
 
-      console.log("[TypeJam][play] triggering Sampler", { resolvedNote: nn });
+    console.log("[TypeJam][play] selected Sampler", {
+      resolvedNote: nn,
+      layer,
+      alternate,
+    });
+    return { sampler, nn };
+  };
 
-      // Trigger the sampler
-      sampler.triggerAttackRelease(nn, dur, time, velocity);
+  return {
+    ensureReady: async () => {
+      await loaded;
+      // Reverb impulse responses are generated asynchronously
+      await Promise.all(
+        [...topFX, ...midFX, ...botFX]
+          .filter((f) => f.ready)
+          .map((f) => f.ready)
+      );
+    },
+    // row: 'num'|'top'|'mid'|'bot' ; i,len for gradient (0..len-1)
+    // One-shot: attack and release scheduled together (recorded/played-back notes)
+    play: (note, dur = "8n", time, vel = 0.9, row = "mid", i = 0, len = 1) => {
+      const voice = prepareVoice(note, row, i, len, vel);
+      if (!voice) return;
+      console.log("[TypeJam][play] triggerAttackRelease", { dur, time, vel });
+      voice.sampler.triggerAttackRelease(voice.nn, dur, time, vel);
+    },
+    // Held note: start on keydown, stays on until release() is called
+    attack: (note, time, vel = 0.9, row = "mid", i = 0, len = 1) => {
+      const voice = prepareVoice(note, row, i, len, vel);
+      if (!voice) return;
+      console.log("[TypeJam][play] triggerAttack", { time, vel });
+      voice.sampler.triggerAttack(voice.nn, time, vel);
+      const key = `${row}:${note}`;
+      const entry = held.get(key) ?? { voices: [], count: 0 };
+      entry.voices.push(voice);
+      entry.count++;
+      held.set(key, entry);
+    },
+    // Release a note previously started with attack() on the same row
+    release: (note, time, row = "mid") => {
+      const key = `${row}:${note}`;
+      const entry = held.get(key);
+      if (!entry || --entry.count > 0) return;
+      held.delete(key);
+      // Round-robin can have put the repeats on different samplers
+      for (const voice of entry.voices) {
+        voice.sampler.triggerRelease(voice.nn, time);
+      }
     },
     dispose: () => {
-      [top, mid, bot].forEach((s) => s.dispose());
+      disposed = true;
+      [...top, ...mid, ...bot].forEach((s) => s.dispose());
       [topVol, midVol, botVol].forEach((v) => v.dispose());
       [...topFX, ...midFX, ...botFX].forEach((f) => f.dispose());
       [topComp, midComp, botComp].forEach((c) => c.dispose());
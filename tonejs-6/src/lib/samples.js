@@ -1,22 +1,26 @@
 // Minimal mapping of note-name -> filename per instrument.
-// The app combines these with a baseUrl (CDN) to build full URLs for Tone.Sampler.
-// Keep names consistent across your CDN repo.
+// The app combines these with a baseUrl to build full URLs for Tone.Sampler.
+// Keep names consistent across your CDN repo and any mirror of it.
 
-// Point to your CDN repo on jsDelivr. Use @main or a tag like @v1
-const CDN_BASE =
-  "https://cdn.jsdelivr.net/gh/madesh02104/typejam-audio-files@main";
+import { SAMPLE_BASE_URL } from "./config.js";
+
+// URL of an instrument's sample folder (InstrumentDefinition.samples.folder):
+// the CDN by default, or the mirror SAMPLE_BASE_URL points at
+export function sampleBaseUrl(folder) {
+  return `${SAMPLE_BASE_URL}/${folder}/`;
+}
 
 export const BASES = {
-  piano: `${CDN_BASE}/audio/piano/`,
-  guitar: `${CDN_BASE}/audio/guitar/`,
-  bass: `${CDN_BASE}/audio/bass/`,
-  violin: `${CDN_BASE}/audio/violin/`,
-  drums: `${CDN_BASE}/audio/drums/`,
+  piano: sampleBaseUrl("piano"),
+  guitar: sampleBaseUrl("guitar"),
+  bass: sampleBaseUrl("bass"),
+  violin: sampleBaseUrl("violin"),
+  drums: sampleBaseUrl("drums"),
 };
 
 // Debug: show where samples are loaded from
-console.groupCollapsed("[TypeJam][samples] CDN and base URLs");
-console.log({ CDN_BASE, BASES });
+console.groupCollapsed("[TypeJam][samples] base URLs");
+console.log({ SAMPLE_BASE_URL, BASES });
 console.groupEnd();
 
 // Minimal multi-sample sets (C / F / A# across 3 octaves)
@@ -0,0 +1,114 @@
+// ============================================================================
+// SCALES - Which notes the letter rows play
+// ============================================================================
+
+// Pure JavaScript (no Tone.js / browser APIs).
+//
+// Each letter row starts on its own octave (Z–M from 3, A–L from 4, Q–P
+// from 5). With the chromatic mapping every key is one semitone up from the
+// last, as TypeJam always played. With a scale the row starts on the root
+// and every key steps to the next scale degree, so every key is in key:
+//
+//   C major, A–L:  C4 D4 E4 F4 G4 A4 B4 C5 D5
+//   A minor pent.: A4 C5 D5 E5 G5 A5 C6 D6 E6
+//
+// The mapping in use is stored on each recording (Recording.keyMapping).
+
+import { midiToNoteName } from "./notes.js";
+
+export const ROOTS = [
+  "C",
+  "C#",
+  "D",
+  "D#",
+  "E",
+  "F",
+  "F#",
+  "G",
+  "G#",
+  "A",
+  "A#",
+  "B",
+];
+
+// Semitones above the root, one octave
+export const SCALES = {
+  chromatic: {
+    label: "Chromatic",
+    intervals: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+  },
+  major: { label: "Major", intervals: [0, 2, 4, 5, 7, 9, 11] },
+  minor: { label: "Minor", intervals: [0, 2, 3, 5, 7, 8, 10] },
+  harmonicMinor: { label: "Harmonic minor", intervals: [0, 2, 3, 5, 7, 8, 11] },
+  majorPentatonic: { label: "Major pentatonic", intervals: [0, 2, 4, 7, 9] },
+  minorPentatonic: { label: "Minor pentatonic", intervals: [0, 3, 5, 7, 10] },
+  blues: { label: "Blues", intervals: [0, 3, 5, 6, 7, 10] },
+  dorian: { label: "Dorian", intervals: [0, 2, 3, 5, 7, 9, 10] },
+  phrygian: { label: "Phrygian", intervals: [0, 1, 3, 5, 7, 8, 10] },
+  lydian: { label: "Lydian", intervals: [0, 2, 4, 6, 7, 9, 11] },
+  mixolydian: { label: "Mixolydian", intervals: [0, 2, 4, 5, 7, 9, 10] },
+  locrian: { label: "Locrian", intervals: [0, 1, 3, 5, 6, 8, 10] },
+};
+
+/**
+ * @typedef {Object} KeyMapping
+ * @property {string} root - One of ROOTS
+ * @property {string} scale - A SCALES key, or "custom"
+ * @property {number[]} [intervals] - Custom scale: semitones above the root (0-11)
+ */
+
+/** @type {KeyMapping} */
+export const DEFAULT_KEY_MAPPING = { root: "C", scale: "chromatic" };
+
+/**
+ * Parse custom intervals typed as "0 2 3 5 7 8 10" (commas work too)
+ * The root (0) is always included; values outside 0-11 are dropped.
+ * @param {string} text
+ * @returns {number[]}
+ */
+export function parseIntervals(text) {
+  const values = String(text)
+    .split(/[\s,]+/)
+    .map((v) => parseInt(v, 10))
+    .filter((v) => Number.isInteger(v) && v >= 0 && v <= 11);
+  return [...new Set([0, ...values])].sort((a, b) => a - b);
+}
+
+// Intervals a mapping plays (unknown scales fall back to chromatic)
+export function scaleIntervals(mapping = DEFAULT_KEY_MAPPING) {
+  if (mapping.scale === "custom" && mapping.intervals?.length) {
+    return parseIntervals(mapping.intervals.join(" "));
+  }
+  return (SCALES[mapping.scale] ?? SCALES.chromatic).intervals;
+}
+
+/**
+ * Notes of one keyboard row under a mapping
+ * @param {KeyMapping} mapping
+ * @param {number} octave - Octave the row starts in (3, 4 or 5)
+ * @param {number} count - Keys in the row
+ * @returns {string[]} Note names, left to right ("C4", "D4", ...)
+ */
+export function rowNotesForMapping(mapping, octave, count) {
+  const intervals = scaleIntervals(mapping);
+  const rootPc = Math.max(0, ROOTS.indexOf(mapping?.root ?? "C"));
+  // Chromatic rows keep starting on C, like the original layout
+  const start =
+    (octave + 1) * 12 + (mapping?.scale === "chromatic" ? 0 : rootPc);
+  return Array.from({ length: count }, (_, i) => {
+    const midi =
+      start +
+      12 * Math.floor(i / intervals.length) +
+      intervals[i % intervals.length];
+    return midiToNoteName(Math.min(127, midi));
+  });
+}
+
+// Short description for the UI and recording list ("A minor pentatonic")
+export function describeKeyMapping(mapping = DEFAULT_KEY_MAPPING) {
+  if (mapping.scale === "chromatic") return "Chromatic";
+  if (mapping.scale === "custom") {
+    return `${mapping.root} custom (${scaleIntervals(mapping).join(" ")})`;
+  }
+  return `${mapping.root} ${SCALES[mapping.scale]?.label.toLowerCase() ?? mapping.scale}`;
+}
@@ -0,0 +1,135 @@
+import * as Tone from "tone";
+import Soundfont from "soundfont-player";
+import { SOUNDFONT_URL, SOUNDFONT_FORMAT } from "./config";
+import { GM_PROGRAM_NAMES } from "./gm";
+
+// Soundfont-backed engine for the General MIDI programs (see gm.js).
+// Same interface as makeSampledInstrument (ensureReady / play / attack /
+// release / dispose), so recording, playback and the jam session treat both
+// alike.
+// - soundfont-player loads one MIDI.js soundfont file from SOUNDFONT_URL
+//   and plays its samples on Tone's audio context
+// - The samples feed one Tone chain (Filter -> Reverb -> Comp -> Limiter);
+//   row and left→right position set brightness and space per note, like the
+//   sampled instruments' per-row chains
+
+// Brightness (filter cutoff, Hz) and reverb wet per row, left -> right
+const ROW_TONE = {
+  num: { cutoff: [3500, 9000], wet: [0.06, 0.14] },
+  top: { cutoff: [3000, 8000], wet: [0.06, 0.14] },
+  mid: { cutoff: [2000, 6000], wet: [0.08, 0.16] },
+  bot: { cutoff: [1200, 3500], wet: [0.1, 0.2] },
+};
+
+/**
+ * @param {number} program - GM program, 0-127
+ * @param {{transpose?:number, output?:Tone.ToneAudioNode, onProgress?:Function}} [options]
+ *   transpose: semitones; output: where the chain ends (default destination);
+ *   onProgress: called with { loaded, total } (one file) like sampleCache.js
+ */
+export function makeSoundfontInstrument(program, options = {}) {
+  const transpose = options.transpose ?? 0;
+  const output = options.output ?? Tone.getDestination();
+  const name = GM_PROGRAM_NAMES[program];
+  const url = `${SOUNDFONT_URL}${name}-${SOUNDFONT_FORMAT}.js`;
+  // The context current at creation: an offline render's, when rendering
+  const context = Tone.getContext();
+
+  const input = new Tone.Gain(1);
+  const filter = new Tone.Filter(4000, "lowpass");
+  const reverb = new Tone.Reverb({ decay: 1.2, wet: 0.1 });
+  const comp = new Tone.Compressor({
+    threshold: -20,
+    ratio: 2.5,
+    attack: 0.003,
+    release: 0.1,
+  });
+  const lim = new Tone.Limiter(-0.1);
+  input.chain(filter, reverb, comp, lim, output);
+
+  /** Soundfont player, once loaded */
+  let player = null;
+  options.onProgress?.({ loaded: 0, total: 1 });
+  const loaded = Soundfont.instrument(context.rawContext, name, {
+    format: SOUNDFONT_FORMAT,
+    nameToUrl: () => url,
+    destination: input.input,
+  }).then(
+    (p) => {
+      player = p;
+      options.onProgress?.({ loaded: 1, total: 1 });
+      console.log(`[TypeJam][soundfont] loaded ${name} from ${url}`);
+    },
+    (error) => {
+      console.error(`[TypeJam][soundfont] failed to load ${url}`, error);
+      const message = `Could not load the "${name}" soundfont from ${url}`;
+      options.onProgress?.({ loaded: 0, total: 1, error: message });
+      throw new Error(message);
+    }
+  );
+  // Reported to whoever awaits ensureReady()
+  loaded.catch(() => {});
+
+  // Notes started with attack() and not yet released, keyed by `${row}:${note}`:
+  // one player node per attack, so held chords sharing a note each stop
+  // their own
+  const held = new Map();
+
+  // Shape the chain for the key and return the MIDI note to play (null when
+  // the soundfont isn't loaded)
+  const prepareVoice = (note, row, i, len) => {
+    if (!player) {
+      console.warn("[TypeJam][soundfont] not ready yet");
+      return null;
+    }
+    const p = len > 1 ? i / (len - 1) : 0; // 0 left → 1 right
+    const tone = ROW_TONE[row] ?? ROW_TONE.mid;
+    filter.frequency.value = lerp(tone.cutoff[0], tone.cutoff[1], p);
+    reverb.wet.value = lerp(tone.wet[0], tone.wet[1], p);
+    return Tone.Frequency(note).toMidi() + transpose;
+  };
+
+  return {
+    ensureReady: async () => {
+      await loaded;
+      await reverb.ready;
+    },
+    // row: 'num'|'top'|'mid'|'bot' ; i,len for gradient (0..len-1)
+    // One-shot: the soundfont player stops the note after dur
+    play: (note, dur = "8n", time, vel = 0.9, row = "mid", i = 0, len = 1) => {
+      const midi = prepareVoice(note, row, i, len);
+      if (midi == null) return;
+      player.start(midi, time, {
+        gain: vel,
+        duration: Tone.Time(dur).toSeconds(),
+      });
+    },
+    // Held note: start on keydown, stays on until release() is called
+    attack: (note, time, vel = 0.9, row = "mid", i = 0, len = 1) => {
+      const midi = prepareVoice(note, row, i, len);
+      if (midi == null) return;
+      const key = `${row}:${note}`;
+      const voices = held.get(key) ?? [];
+      voices.push(player.start(midi, time, { gain: vel }));
+      held.set(key, voices);
+    },
+    // Release a note previously started with attack() on the same row
+    release: (note, time, row = "mid") => {
+      const key = `${row}:${note}`;
+      const voices = held.get(key);
+      if (!voices) return;
+      voices.pop().stop(time);
+      if (!voices.length) held.delete(key);
+    },
+    dispose: () => {
+      player?.stop();
+      held.clear();
+      [input, filter, reverb, comp, lim].forEach((n) => n.dispose());
+    },
+  };
+}
+
+// Utility: linear interpolation
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
@@ -1,147 +1,529 @@
 // ============================================================================
-// PERSISTENT STORAGE - Save recordings to localStorage
+// PERSISTENT STORAGE - Save recordings and projects to IndexedDB
 // ============================================================================
 
 /**
  * Storage utilities for persisting recordings across browser sessions
  *
- * HOW LOCALSTORAGE WORKS:
- * - Browser gives each website ~5-10MB of storage space
- * - Data persists until user clears browser data
- * - Only stores strings, so we convert objects to JSON
- * - Synchronous API (no async/await needed)
+ * WHERE THINGS LIVE:
+ * - Recordings and projects: IndexedDB (see db.js), one record per item, so
+ *   saving a take writes that take only and storage isn't capped at ~5MB
+ * - Sample packs (custom instruments): IndexedDB too, decoded audio included
+ * - Settings and the active project id: localStorage (tiny, read on load)
+ *
+ * IndexedDB is asynchronous, so every recording/project function returns a
+ * Promise. Failed writes are logged and reported to onStorageProblem()
+ * listeners so the page can show a warning instead of silently losing data.
+ *
+ * OLDER VERSIONS stored everything in localStorage; that data is imported
+ * into IndexedDB the first time the database is opened (importLegacyData).
  */
 
-const STORAGE_KEY = "typejam-recordings";
+import { RECORDING_VERSION } from "./recording";
+import { normalizeProject } from "./projects";
+import { openDatabase, runTransaction } from "./db";
+
+const SETTINGS_KEY = "typejam-settings";
+const ACTIVE_PROJECT_KEY = "typejam-active-project";
+// localStorage keys used before the move to IndexedDB (import only)
+const LEGACY_RECORDINGS_KEY = "typejam-recordings";
+const LEGACY_PROJECTS_KEY = "typejam-projects";
 
+// Warn once usage passes this share of the browser's quota
+const QUOTA_WARNING_RATIO = 0.9;
 // ============================================================================
-// SAVE RECORDINGS
+// MIGRATIONS
 // ============================================================================
 
 /**
- * Save recordings array to localStorage
+ * Upgrade a stored recording to the current schema version
  *
- * WHAT HAPPENS:
- * 1. Convert recordings array to JSON string
- * 2. Store in localStorage with our key
- * 3. Handle any errors (storage full, etc.)
+ * VERSION HISTORY:
+ * - v1 (no version field): timestamps from Date.now(), every duration "8n"
+ * - v2: timestamps from the audio context clock, held durations in seconds,
+ *       plus version/clock/latencyMs fields
+ *
+ * v1 takes keep their timing (we can't recover the jitter), they are only
+ * labelled as wall-clock takes and normalised so playback can trust them.
  *
- * @param {import('./recording').Recording[]} recordings - Array of recordings to save
+ * @param {Object} recording - Recording as it was found in storage
+ * @returns {import('./recording').Recording} Recording in the current shape
  */
-export function saveRecordings(recordings) {
-  try {
-    // Convert JavaScript objects to JSON string
-    const jsonString = JSON.stringify(recordings);
+export function migrateRecording(recording) {
+  let rec = recording;
+  const from = rec.version ?? 1;
 
-    // Save to localStorage
-    localStorage.setItem(STORAGE_KEY, jsonString);
+  if (from < 2) {
+    const notes = (rec.notes || [])
+      .map((n) => ({
+        ...n,
+        timestamp: Math.max(0, Number(n.timestamp) || 0),
+        duration: n.duration ?? "8n",
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+    const lastNoteMs = notes.length ? notes[notes.length - 1].timestamp : 0;
+    rec = {
+      ...rec,
+      notes,
+      duration: Math.max(Number(rec.duration) || 0, lastNoteMs),
+      clock: "wall",
+      latencyMs: 0,
+    };
+  }
 
+  if (from !== RECORDING_VERSION) {
     console.log(
-      `[TypeJam][storage] Saved ${recordings.length} recordings to localStorage`
-    );
-    console.log(
-      `[TypeJam][storage] Storage size: ${jsonString.length} characters`
+      `[TypeJam][storage] Migrated recording ${rec.id} from v${from} to v${RECORDING_VERSION}`
     );
-  } catch (error) {
-    // Handle errors (storage full, private browsing mode, etc.)
-    console.error("[TypeJam][storage] Failed to save recordings:", error);
+  }
+  return { ...rec, version: RECORDING_VERSION };
+}
 
-    // Could show user notification here
-    if (error.name === "QuotaExceededError") {
-      console.warn(
-        "[TypeJam][storage] Storage quota exceeded - too many recordings!"
-      );
-    }
+// ============================================================================
+// PROBLEM REPORTING (the page shows these as a warning banner)
+// ============================================================================
+
+/**
+ * @typedef {Object} StorageProblem
+ * @property {"quota"|"nearly-full"|"error"} kind - What went wrong
+ * @property {string} message - Text meant for the user
+ */
+
+const problemListeners = new Set();
+
+/**
+ * Subscribe to storage problems (quota exceeded, failed writes, ...)
+ * @param {(problem: StorageProblem) => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export function onStorageProblem(listener) {
+  problemListeners.add(listener);
+  return () => problemListeners.delete(listener);
+}
+
+function notifyProblem(problem) {
+  problemListeners.forEach((listener) => listener(problem));
+}
+
+// Log a failed operation and tell the UI about it
+function reportFailure(action, error) {
+  console.error(`[TypeJam][storage] Failed to ${action}:`, error);
+  if (error?.name === "QuotaExceededError") {
+    notifyProblem({
+      kind: "quota",
+      message: `Browser storage is full, so TypeJam could not ${action}. Delete recordings or projects you no longer need to free up space.`,
+    });
+  } else {
+    notifyProblem({
+      kind: "error",
+      message: `Could not ${action}: ${error?.message || error}`,
+    });
   }
 }
 
+// Warn before writes start failing. The estimate covers the whole origin.
+async function checkQuota() {
+  const { usageBytes, quotaBytes } = await getStorageInfo();
+  if (!quotaBytes || usageBytes / quotaBytes < QUOTA_WARNING_RATIO) return;
+  const percent = Math.round((usageBytes / quotaBytes) * 100);
+  notifyProblem({
+    kind: "nearly-full",
+    message: `Browser storage is ${percent}% full. Delete recordings you no longer need before new takes stop saving.`,
+  });
+}
+
 // ============================================================================
-// LOAD RECORDINGS
+// OPENING THE DATABASE + IMPORTING LOCALSTORAGE DATA
 // ============================================================================
 
+let readyPromise = null;
+
+// Open the database, importing data left by the localStorage version first
+function ready() {
+  if (!readyPromise) {
+    readyPromise = openDatabase().then(importLegacyData);
+    // Allow a retry on the next call if opening/importing failed
+    readyPromise.catch(() => {
+      readyPromise = null;
+    });
+  }
+  return readyPromise;
+}
+
+// Read one of the old localStorage arrays (empty if missing or corrupt)
+function readLegacyArray(key) {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(key) || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.warn(`[TypeJam][storage] Ignoring unreadable ${key}:`, error);
+    return [];
+  }
+}
+
 /**
- * Load recordings array from localStorage
+ * Move recordings and projects saved by older versions into IndexedDB
  *
  * WHAT HAPPENS:
- * 1. Get JSON string from localStorage
- * 2. Parse back to JavaScript objects
- * 3. Validate the data structure
- * 4. Return empty array if anything goes wrong
+ * 1. Read the old JSON arrays from localStorage (nothing to do if absent)
+ * 2. Write every item in ONE transaction, migrating recordings on the way;
+ *    an item already in IndexedDB (same id) keeps the IndexedDB copy
+ * 3. Only once that transaction has committed, remove the old keys
  *
- * @returns {import('./recording').Recording[]} Array of saved recordings (or empty array)
+ * If the import fails (e.g. quota), the old keys are left alone and the
+ * import is retried on the next load, so nothing is lost.
  */
-export function loadRecordings() {
+async function importLegacyData() {
+  let hasLegacy = false;
   try {
-    // Get the JSON string from localStorage
-    const jsonString = localStorage.getItem(STORAGE_KEY);
+    hasLegacy =
+      localStorage.getItem(LEGACY_RECORDINGS_KEY) !== null ||
+      localStorage.getItem(LEGACY_PROJECTS_KEY) !== null;
+  } catch {
+    return; // localStorage blocked: nothing we could import anyway
+  }
+  if (!hasLegacy) return;
 
-    // If no data saved yet, return empty array
-    if (!jsonString) {
-      console.log("[TypeJam][storage] No saved recordings found");
-      return [];
-    }
+  const recordings = readLegacyArray(LEGACY_RECORDINGS_KEY);
+  const projects = readLegacyArray(LEGACY_PROJECTS_KEY);
+  // The old array order was the list order; keep it via createdAt
+  const importedAt = Date.now() - recordings.length;
 
-    // Parse JSON string back to JavaScript objects
-    const recordings = JSON.parse(jsonString);
+  // add() fails with ConstraintError for ids that already exist; swallow
+  // that so the transaction carries on with the rest
+  const keepExisting = (request) => {
+    request.onerror = (event) => {
+      if (request.error?.name !== "ConstraintError") return;
+      event.preventDefault();
+      event.stopPropagation();
+    };
+  };
 
-    // Validate that it's actually an array
-    if (!Array.isArray(recordings)) {
-      console.warn(
-        "[TypeJam][storage] Invalid recordings data, returning empty array"
+  await runTransaction(["recordings", "projects"], "readwrite", (tx) => {
+    const recordingStore = tx.objectStore("recordings");
+    recordings.forEach((rec, i) => {
+      if (!rec?.id) return;
+      keepExisting(
+        recordingStore.add({
+          ...migrateRecording(rec),
+          createdAt: rec.createdAt ?? importedAt + i,
+        })
       );
-      return [];
+    });
+    const projectStore = tx.objectStore("projects");
+    for (const project of projects) {
+      if (project?.id)
+        keepExisting(projectStore.add(normalizeProject(project)));
     }
+  });
+
+  localStorage.removeItem(LEGACY_RECORDINGS_KEY);
+  localStorage.removeItem(LEGACY_PROJECTS_KEY);
+  console.log(
+    `[TypeJam][storage] Imported ${recordings.length} recordings and ${projects.length} projects from localStorage`
+  );
+}
+
+// ============================================================================
+// RECORDINGS
+// ============================================================================
 
+/**
+ * Load every saved recording
+ *
+ * WHAT HAPPENS:
+ * 1. Open the database (importing old localStorage data the first time)
+ * 2. Read all records from the "recordings" store
+ * 3. Migrate older recordings to the current schema version
+ * 4. Sort oldest first, the order the list shows them in
+ * 5. Return an empty array (and report the problem) if anything goes wrong
+ *
+ * @returns {Promise<import('./recording').Recording[]>} Saved recordings (or empty array)
+ */
+export async function loadRecordings() {
+  try {
+    await ready();
+    const recordings = await runTransaction("recordings", "readonly", (tx) =>
+      tx.objectStore("recordings").getAll()
+    );
     console.log(
-      `[TypeJam][storage] Loaded ${recordings.length} recordings from localStorage`
+      `[TypeJam][storage] Loaded ${recordings.length} recordings from IndexedDB`
     );
-    return recordings;
+    return recordings
+      .map(migrateRecording)
+      .sort((a, b) => (a.createdAt ?? 0) - (b.createdAt ?? 0));
   } catch (error) {
-    // Handle JSON parsing errors, localStorage errors, etc.
-    console.error("[TypeJam][storage] Failed to load recordings:", error);
-    return []; // Return empty array as fallback
+    reportFailure("load recordings", error);
+    return [];
   }
 }
 
-// ============================================================================
-// CLEAR STORAGE (for debugging/user control)
-// ============================================================================
+/**
+ * Insert or replace recordings (matched by id), in a single transaction
+ *
+ * Only the given recordings are written, never the whole collection.
+ *
+ * @param {import('./recording').Recording[]} recordings - Recordings to write
+ * @returns {Promise<boolean>} True once the write has committed
+ */
+export async function saveRecordings(recordings) {
+  try {
+    await ready();
+    await runTransaction("recordings", "readwrite", (tx) => {
+      const store = tx.objectStore("recordings");
+      for (const rec of recordings) store.put(rec);
+    });
+    console.log(`[TypeJam][storage] Saved ${recordings.length} recordings`);
+    checkQuota();
+    return true;
+  } catch (error) {
+    reportFailure(
+      recordings.length === 1 ? "save the recording" : "save recordings",
+      error
+    );
+    return false;
+  }
+}
 
 /**
- * Clear all saved recordings from localStorage
+ * Insert or replace one recording
+ * @param {import('./recording').Recording} recording
+ * @returns {Promise<boolean>} True once the write has committed
+ */
+export function saveRecording(recording) {
+  return saveRecordings([recording]);
+}
+
+/**
+ * Delete one recording
+ * @param {string} recordingId
+ */
+export async function deleteRecording(recordingId) {
+  try {
+    await ready();
+    await runTransaction("recordings", "readwrite", (tx) => {
+      tx.objectStore("recordings").delete(recordingId);
+    });
+  } catch (error) {
+    reportFailure("delete the recording", error);
+  }
+}
+
+/**
+ * Delete every saved recording
  * Useful for debugging or if user wants to start fresh
  */
-export function clearRecordings() {
+export async function clearRecordings() {
   try {
-    localStorage.removeItem(STORAGE_KEY);
-    console.log("[TypeJam][storage] Cleared all recordings from localStorage");
+    await ready();
+    await runTransaction("recordings", "readwrite", (tx) => {
+      tx.objectStore("recordings").clear();
+    });
+    console.log("[TypeJam][storage] Cleared all recordings");
   } catch (error) {
-    console.error("[TypeJam][storage] Failed to clear recordings:", error);
+    reportFailure("clear recordings", error);
   }
 }
 
 // ============================================================================
-// STORAGE INFO (for debugging)
+// STORAGE INFO (usage against the browser quota)
 // ============================================================================
 
 /**
  * Get information about current storage usage
- * @returns {Object} Storage statistics
+ *
+ * usageBytes/quotaBytes come from navigator.storage.estimate() and cover the
+ * whole site (0 when the browser doesn't support it).
+ *
+ * @returns {Promise<{recordingsCount:number, projectsCount:number, usageBytes:number, quotaBytes:number, usageMB:number}>}
  */
-export function getStorageInfo() {
+export async function getStorageInfo() {
+  const info = {
+    recordingsCount: 0,
+    projectsCount: 0,
+    usageBytes: 0,
+    quotaBytes: 0,
+    usageMB: 0,
+  };
   try {
-    const jsonString = localStorage.getItem(STORAGE_KEY);
-    const sizeInBytes = jsonString ? new Blob([jsonString]).size : 0;
-    const sizeInKB = Math.round((sizeInBytes / 1024) * 100) / 100;
-
-    return {
-      recordingsCount: jsonString ? JSON.parse(jsonString).length : 0,
-      sizeInBytes,
-      sizeInKB,
-      sizeInMB: Math.round((sizeInKB / 1024) * 100) / 100,
-    };
+    await ready();
+    info.recordingsCount = await runTransaction(
+      "recordings",
+      "readonly",
+      (tx) => tx.objectStore("recordings").count()
+    );
+    info.projectsCount = await runTransaction("projects", "readonly", (tx) =>
+      tx.objectStore("projects").count()
+    );
+    const estimate = await navigator.storage?.estimate?.();
+    info.usageBytes = estimate?.usage ?? 0;
+    info.quotaBytes = estimate?.quota ?? 0;
+    info.usageMB = Math.round((info.usageBytes / 1024 / 1024) * 100) / 100;
   } catch (error) {
     console.error("[TypeJam][storage] Failed to get storage info:", error);
-    return { recordingsCount: 0, sizeInBytes: 0, sizeInKB: 0, sizeInMB: 0 };
+  }
+  return info;
+}
+
+// ============================================================================
+// PROJECTS (jam board arrangements)
+// ============================================================================
+
+/**
+ * Load every saved project
+ * @returns {Promise<import('./projects').Project[]>} Projects, most recently saved first
+ */
+export async function loadProjects() {
+  try {
+    await ready();
+    const projects = await runTransaction("projects", "readonly", (tx) =>
+      tx.objectStore("projects").getAll()
+    );
+    return projects
+      .map(normalizeProject)
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  } catch (error) {
+    reportFailure("load projects", error);
+    return [];
+  }
+}
+
+/**
+ * Insert or replace a project (matched by id)
+ * @param {import('./projects').Project} project
+ * @returns {Promise<boolean>} True once the write has committed
+ */
+export async function saveProject(project) {
+  try {
+    await ready();
+    await runTransaction("projects", "readwrite", (tx) => {
+      tx.objectStore("projects").put(project);
+    });
+    console.log(`[TypeJam][storage] Saved project "${project.name}"`);
+    return true;
+  } catch (error) {
+    reportFailure(`save project "${project.name}"`, error);
+    return false;
+  }
+}
+
+/**
+ * Remove a project
+ * @param {string} projectId
+ */
+export async function deleteProject(projectId) {
+  try {
+    await ready();
+    await runTransaction("projects", "readwrite", (tx) => {
+      tx.objectStore("projects").delete(projectId);
+    });
+  } catch (error) {
+    reportFailure("delete the project", error);
+  }
+}
+
+/** @returns {string|null} Id of the project that was open last */
+export function loadActiveProjectId() {
+  try {
+    return localStorage.getItem(ACTIVE_PROJECT_KEY);
+  } catch {
+    return null;
+  }
+}
+
+/** @param {string} projectId - Project to reopen on the next visit */
+export function saveActiveProjectId(projectId) {
+  try {
+    localStorage.setItem(ACTIVE_PROJECT_KEY, projectId);
+  } catch (error) {
+    console.error("[TypeJam][storage] Failed to save active project:", error);
+  }
+}
+
+// ============================================================================
+// SAMPLE PACKS (custom instruments, see samplePacks.js)
+// ============================================================================
+
+/**
+ * Load every saved sample pack, oldest first (the picker order)
+ * @returns {Promise<import('./samplePacks').SamplePack[]>}
+ */
+export async function loadSamplePacks() {
+  try {
+    await ready();
+    const packs = await runTransaction("samplePacks", "readonly", (tx) =>
+      tx.objectStore("samplePacks").getAll()
+    );
+    console.log(`[TypeJam][storage] Loaded ${packs.length} sample packs`);
+    return packs.sort((a, b) => a.createdAt - b.createdAt);
+  } catch (error) {
+    reportFailure("load sample packs", error);
+    return [];
+  }
+}
+
+/**
+ * Insert or replace a sample pack (matched by id)
+ * @param {import('./samplePacks').SamplePack} pack
+ * @returns {Promise<boolean>} True once the write has committed
+ */
+export async function saveSamplePack(pack) {
+  try {
+    await ready();
+    await runTransaction("samplePacks", "readwrite", (tx) => {
+      tx.objectStore("samplePacks").put(pack);
+    });
+    console.log(`[TypeJam][storage] Saved sample pack "${pack.name}"`);
+    checkQuota();
+    return true;
+  } catch (error) {
+    reportFailure(`save sample pack "${pack.name}"`, error);
+    return false;
+  }
+}
+
+/**
+ * Delete a sample pack
+ * @param {string} packId
+ */
+export async function deleteSamplePack(packId) {
+  try {
+    await ready();
+    await runTransaction("samplePacks", "readwrite", (tx) => {
+      tx.objectStore("samplePacks").delete(packId);
+    });
+  } catch (error) {
+    reportFailure("delete the sample pack", error);
+  }
+}
+
+// ============================================================================
+// SETTINGS (small per-browser preferences)
+// ============================================================================
+
+/**
+ * Load user settings (latency offset, etc.)
+ * @param {Object} defaults - Values to use for anything not saved yet
+ * @returns {Object} Saved settings merged over the defaults
+ */
+export function loadSettings(defaults = {}) {
+  try {
+    const jsonString = localStorage.getItem(SETTINGS_KEY);
+    return { ...defaults, ...(jsonString ? JSON.parse(jsonString) : {}) };
+  } catch (error) {
+    console.error("[TypeJam][storage] Failed to load settings:", error);
+    return { ...defaults };
+  }
+}
+
+/**
+ * Save user settings
+ * @param {Object} settings - Settings object to persist
+ */
+export function saveSettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error("[TypeJam][storage] Failed to save settings:", error);
   }
 }
@@ -0,0 +1,111 @@
+// ============================================================================
+// MUSICAL TIMING - Tempo, time signature, bars/beats and snap values
+// ============================================================================
+
+// Pure JavaScript (no Tone.js / browser APIs). The jam board still stores
+// every position in seconds; this module converts between seconds and the
+// musical grid of a project.
+//
+// Conventions match Tone.Transport: bpm counts quarter notes per minute and a
+// time signature [numerator, denominator] gives the bar length, so 6/8 at
+// 120 bpm is three quarter notes (1.5s) long.
+
+export const DEFAULT_BPM = 120;
+export const DEFAULT_TIME_SIGNATURE = [4, 4];
+export const BPM_RANGE = { min: 20, max: 400 };
+export const TIME_SIGNATURES = [
+  [2, 4],
+  [3, 4],
+  [4, 4],
+  [5, 4],
+  [6, 8],
+  [7, 8],
+  [12, 8],
+];
+
+/**
+ * Snap values the board offers: musical units follow the tempo, numbers are
+ * plain seconds
+ * @typedef {"off"|"bar"|"1/4"|"1/8"|"1/16"|number} SnapValue
+ */
+export const MUSICAL_SNAPS = ["bar", "1/4", "1/8", "1/16"];
+export const SECOND_SNAPS = [0.25, 0.5, 1, 2];
+
+/**
+ * @typedef {Object} Timing
+ * @property {number} bpm - Quarter notes per minute
+ * @property {[number, number]} timeSignature - [beats per bar, beat unit]
+ */
+
+// Seconds per quarter note
+export function quarterSec({ bpm }) {
+  return 60 / bpm;
+}
+
+// Seconds per beat (the time signature's unit: a quarter in 4/4, an eighth in 6/8)
+export function beatSec(timing) {
+  const [, unit] = timing.timeSignature;
+  return quarterSec(timing) * (4 / unit);
+}
+
+// Seconds per bar
+export function barSec(timing) {
+  const [beats] = timing.timeSignature;
+  return beatSec(timing) * beats;
+}
+
+/**
+ * Length of one snap step in seconds (null when snapping is off)
+ * @param {SnapValue} snap
+ * @param {Timing} timing
+ * @returns {number|null}
+ */
+export function snapToSec(snap, timing) {
+  if (typeof snap === "number") return snap > 0 ? snap : null;
+  if (snap === "bar") return barSec(timing);
+  const m = /^1\/(\d+)$/.exec(String(snap));
+  if (m) return quarterSec(timing) * (4 / parseInt(m[1], 10));
+  return null;
+}
+
+// Label for a snap value in the UI ("1/8", "Bar", "0.5s")
+export function snapLabel(snap) {
+  if (typeof snap === "number") return `${snap}s`;
+  if (snap === "bar") return "Bar";
+  if (snap === "off") return "Off";
+  return snap;
+}
+
+/**
+ * Position in bars and beats (1-based, like a DAW counter)
+ * @param {number} sec
+ * @param {Timing} timing
+ * @returns {{bar:number, beat:number, fraction:number}} fraction = 0..1 through the beat
+ */
+export function secondsToBarsBeats(sec, timing) {
+  const beats = Math.max(0, sec) / beatSec(timing);
+  const [perBar] = timing.timeSignature;
+  const whole = Math.floor(beats + 1e-9);
+  return {
+    bar: Math.floor(whole / perBar) + 1,
+    beat: (whole % perBar) + 1,
+    fraction: beats - whole,
+  };
+}
+
+// "3.2" = bar 3, beat 2
+export function formatBarsBeats(sec, timing) {
+  const { bar, beat } = secondsToBarsBeats(sec, timing);
+  return `${bar}.${beat}`;
+}
+
+/**
+ * Move a position to the same place in the bar grid under a new timing
+ * (a clip on bar 5 stays on bar 5 when the tempo or signature changes)
+ * @param {number} sec
+ * @param {Timing} from
+ * @param {Timing} to
+ */
+export function retimeSeconds(sec, from, to) {
+  return (sec / barSec(from)) * barSec(to);
+}
@@ -0,0 +1,100 @@
+// ============================================================================
+// TRANSFORMS - Quantize, swing and humanize the notes of a recording
+// ============================================================================
+
+// Pure JavaScript (no Tone.js / browser APIs). Every transform takes a note
+// list and returns a new one; the caller stores the result as a new version
+// of the recording (see createRecordingVersion in recording.js), so the
+// original take is never overwritten.
+//
+// Timestamps are milliseconds from the recording's zero. With a count-in
+// that zero is a downbeat, so the grid lines up with the project's bars.
+
+// Grid values offered for quantizing (quarter-note fractions, see timing.js)
+export const QUANTIZE_GRIDS = ["1/4", "1/8", "1/16", "1/32"];
+
+export const DEFAULT_QUANTIZE = { grid: "1/16", strength: 1, swing: 0 };
+export const DEFAULT_HUMANIZE = { timingMs: 10, velocity: 0.1 };
+
+const MIN_VELOCITY = 0.05;
+
+/**
+ * Pull note starts toward a grid
+ *
+ * HOW IT WORKS:
+ * - Each note snaps to its nearest grid line, moved `strength` of the way
+ *   there (1 = fully on the grid, 0.5 = halfway, 0 = untouched)
+ * - Swing delays every second grid line (the off-beats) by up to a third of
+ *   a grid step: swing 1 turns straight eighths into a triplet shuffle
+ * - Held durations are kept, so notes keep their length
+ *
+ * @param {import('./recording').RecordedNote[]} notes
+ * @param {{gridSec:number, strength?:number, swing?:number}} options
+ *   strength and swing are 0..1
+ * @returns {import('./recording').RecordedNote[]}
+ */
+export function quantizeNotes(notes, { gridSec, strength = 1, swing = 0 }) {
+  if (!(gridSec > 0)) throw new Error("Quantize needs a grid longer than 0");
+  const gridMs = gridSec * 1000;
+  const swingMs = (clamp(swing, 0, 1) * gridMs) / 3;
+  const amount = clamp(strength, 0, 1);
+
+  return sortByTime(
+    notes.map((n) => {
+      const step = Math.round(n.timestamp / gridMs);
+      const target = step * gridMs + (step % 2 === 1 ? swingMs : 0);
+      return {
+        ...n,
+        timestamp: Math.max(0, n.timestamp + (target - n.timestamp) * amount),
+      };
+    })
+  );
+}
+
+/**
+ * Add small random timing and velocity changes so a take sounds less
+ * mechanical (useful after a hard quantize)
+ *
+ * @param {import('./recording').RecordedNote[]} notes
+ * @param {{timingMs?:number, velocity?:number, random?:() => number}} options
+ *   timingMs: maximum shift either way; velocity: maximum change either way
+ *   (0..1); random: source of randomness in [0, 1) (Math.random by default)
+ * @returns {import('./recording').RecordedNote[]}
+ */
+export function humanizeNotes(
+  notes,
+  { timingMs = 0, velocity = 0, random = Math.random }
+) {
+  const spread = () => random() * 2 - 1; // -1..1
+  return sortByTime(
+    notes.map((n) => ({
+      ...n,
+      timestamp: Math.max(0, n.timestamp + spread() * timingMs),
+      velocity: clamp(
+        (n.velocity ?? 0.9) + spread() * velocity,
+        MIN_VELOCITY,
+        1
+      ),
+    }))
+  );
+}
+
+// Short description for the new version's name ("quantized 1/16 80%")
+export function describeQuantize({ grid, strength = 1, swing = 0 }) {
+  let text = `quantized ${grid}`;
+  if (strength < 1) text += ` ${Math.round(strength * 100)}%`;
+  if (swing > 0) text += ` swing ${Math.round(swing * 100)}%`;
+  return text;
+}
+
+export function describeHumanize({ timingMs = 0, velocity = 0 }) {
+  return `humanized ±${timingMs}ms ±${Math.round(velocity * 100)}% vel`;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function sortByTime(notes) {
+  return notes.sort((a, b) => a.timestamp - b.timestamp);
+}
@@ -0,0 +1,170 @@
+// ============================================================================
+// WAV FILES - Encode rendered audio to .wav (and decode .wav samples)
+// ============================================================================
+
+// No Tone.js / browser imports here on purpose: this only deals with plain
+// Float32Array channel data, so it also runs in the render server.
+
+export const WAV_BIT_DEPTHS = [16, 24];
+
+/**
+ * Encode PCM channel data as a RIFF/WAVE file
+ *
+ * FILE LAYOUT:
+ * - 12 byte RIFF header ("RIFF", size, "WAVE")
+ * - 24 byte "fmt " chunk (PCM, channels, sample rate, bit depth)
+ * - "data" chunk with interleaved little-endian integer samples
+ *
+ * @param {Float32Array[]} channels - One array per channel, samples in -1..1
+ * @param {number} sampleRate - Samples per second (e.g. 44100)
+ * @param {16|24} [bitDepth=16] - Integer sample size
+ * @returns {ArrayBuffer} The complete .wav file
+ */
+export function encodeWav(channels, sampleRate, bitDepth = 16) {
+  if (!WAV_BIT_DEPTHS.includes(bitDepth)) {
+    throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+  }
+  const numChannels = channels.length;
+  const numFrames = numChannels ? channels[0].length : 0;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = numChannels * bytesPerSample;
+  const dataSize = numFrames * blockAlign;
+
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+
+  // RIFF header
+  writeAscii(view, 0, "RIFF");
+  view.setUint32(4, 36 + dataSize, true);
+  writeAscii(view, 8, "WAVE");
+
+  // fmt chunk
+  writeAscii(view, 12, "fmt ");
+  view.setUint32(16, 16, true); // chunk size
+  view.setUint16(20, 1, true); // format = integer PCM
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true); // byte rate
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+
+  // data chunk
+  writeAscii(view, 36, "data");
+  view.setUint32(40, dataSize, true);
+
+  let offset = 44;
+  for (let frame = 0; frame < numFrames; frame++) {
+    for (let ch = 0; ch < numChannels; ch++) {
+      const s = Math.max(-1, Math.min(1, channels[ch][frame]));
+      if (bitDepth === 16) {
+        view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+      } else {
+        // 24-bit: write the three low bytes of the scaled integer
+        const v = Math.round(s < 0 ? s * 0x800000 : s * 0x7fffff);
+        view.setUint8(offset, v & 0xff);
+        view.setUint8(offset + 1, (v >> 8) & 0xff);
+        view.setUint8(offset + 2, (v >> 16) & 0xff);
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return buffer;
+}
+
+function writeAscii(view, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
+
+/**
+ * Decode a PCM (8/16/24/32-bit integer) or 32-bit float WAV file
+ *
+ * @param {ArrayBuffer|Uint8Array} input - File contents
+ * @returns {{sampleRate:number, channels:Float32Array[]}} Samples in -1..1
+ */
+export function decodeWav(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const ascii = (offset) =>
+    String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+  if (ascii(0) !== "RIFF" || ascii(8) !== "WAVE") {
+    throw new Error("Not a WAV file");
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const id = ascii(offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (id === "fmt ") {
+      format = {
+        audioFormat: view.getUint16(body, true),
+        numChannels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bitDepth: view.getUint16(body + 14, true),
+      };
+      // WAVE_FORMAT_EXTENSIBLE: the real format is the start of the sub-format GUID
+      if (format.audioFormat === 0xfffe) {
+        format.audioFormat = view.getUint16(body + 24, true);
+      }
+    } else if (id === "data") {
+      if (!format) throw new Error("WAV data chunk before fmt chunk");
+      return {
+        sampleRate: format.sampleRate,
+        channels: readSamples(
+          view,
+          body,
+          Math.min(size, bytes.length - body),
+          format
+        ),
+      };
+    }
+    offset = body + size + (size % 2); // chunks are word-aligned
+  }
+  throw new Error("WAV file has no data chunk");
+}
+
+function readSamples(
+  view,
+  start,
+  size,
+  { audioFormat, numChannels, bitDepth }
+) {
+  const isFloat = audioFormat === 3;
+  if (!(audioFormat === 1 || (isFloat && bitDepth === 32))) {
+    throw new Error(
+      `Unsupported WAV encoding (format ${audioFormat}, ${bitDepth}-bit)`
+    );
+  }
+  const bytesPerSample = bitDepth / 8;
+  const numFrames = Math.floor(size / (bytesPerSample * numChannels));
+  const channels = Array.from(
+    { length: numChannels },
+    () => new Float32Array(numFrames)
+  );
+
+  let offset = start;
+  for (let frame = 0; frame < numFrames; frame++) {
+    for (let ch = 0; ch < numChannels; ch++) {
+      let s;
+      if (isFloat) s = view.getFloat32(offset, true);
+      else if (bitDepth === 8) s = (view.getUint8(offset) - 128) / 128;
+      else if (bitDepth === 16) s = view.getInt16(offset, true) / 0x8000;
+      else if (bitDepth === 24) {
+        const v =
+          view.getUint8(offset) |
+          (view.getUint8(offset + 1) << 8) |
+          (view.getInt8(offset + 2) << 16);
+        s = v / 0x800000;
+      } else s = view.getInt32(offset, true) / 0x80000000;
+      channels[ch][frame] = s;
+      offset += bytesPerSample;
+    }
+  }
+  return channels;
+}
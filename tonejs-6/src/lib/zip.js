@@ -0,0 +1,115 @@
+// ============================================================================
+// ZIP ARCHIVES - Read the files inside a .zip (sample pack imports)
+// ============================================================================
+
+// No Tone.js imports: this only walks the archive's bytes. Deflated entries
+// are inflated with DecompressionStream("deflate-raw"), built into browsers
+// and Node 18+, so no zip library is needed.
+
+const EOCD_SIGNATURE = 0x06054b50; // end of central directory
+const CENTRAL_SIGNATURE = 0x02014b50; // central directory file header
+const LOCAL_SIGNATURE = 0x04034b50; // local file header
+const EOCD_SIZE = 22;
+const MAX_COMMENT = 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name - Path inside the archive ("drums/kick.wav")
+ * @property {number} size - Uncompressed size in bytes
+ * @property {() => Promise<Uint8Array>} read - Extract the file's bytes
+ */
+
+/**
+ * List the files in a zip archive
+ *
+ * HOW:
+ * 1. Find the end-of-central-directory record (the last 22+ bytes; a
+ *    comment of up to 64KB may follow it)
+ * 2. Walk the central directory: one header per entry, with the sizes and
+ *    where the entry's local header starts
+ * 3. Directories are skipped; files are extracted only when read() is
+ *    called, so callers can ignore entries they don't want without
+ *    inflating them
+ *
+ * Throws for encrypted entries and ZIP64 archives (over 4GB / 65535 files).
+ *
+ * @param {ArrayBuffer|Uint8Array} data - The whole .zip file
+ * @returns {ZipEntry[]}
+ */
+export function readZipEntries(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const eocd = findEndOfCentralDirectory(view);
+  if (eocd < 0) throw new Error("Not a zip file");
+
+  const count = view.getUint16(eocd + 10, true);
+  const directoryOffset = view.getUint32(eocd + 16, true);
+  if (count === 0xffff || directoryOffset === 0xffffffff) {
+    throw new Error("ZIP64 archives aren't supported");
+  }
+
+  const decoder = new TextDecoder();
+  const entries = [];
+  let offset = directoryOffset;
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) {
+      throw new Error("Corrupt zip file (bad central directory)");
+    }
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(
+      bytes.subarray(offset + 46, offset + 46 + nameLength)
+    );
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) continue; // directory
+    entries.push({
+      name,
+      size,
+      read: async () => {
+        if (flags & 1) throw new Error(`${name} is encrypted`);
+        if (view.getUint32(localOffset, true) !== LOCAL_SIGNATURE) {
+          throw new Error(`Corrupt zip file (bad header for ${name})`);
+        }
+        // The local header repeats the name and may carry a different extra
+        // field, so the data starts after its own lengths
+        const start =
+          localOffset +
+          30 +
+          view.getUint16(localOffset + 26, true) +
+          view.getUint16(localOffset + 28, true);
+        const stored = bytes.subarray(start, start + compressedSize);
+        if (method === METHOD_STORED) return stored.slice();
+        if (method === METHOD_DEFLATE) return inflateRaw(stored);
+        throw new Error(`${name} uses an unsupported compression method`);
+      },
+    });
+  }
+  return entries;
+}
+
+// Offset of the end-of-central-directory record, or -1
+function findEndOfCentralDirectory(view) {
+  const last = view.byteLength - EOCD_SIZE;
+  const first = Math.max(0, last - MAX_COMMENT);
+  for (let offset = last; offset >= first; offset--) {
+    if (view.getUint32(offset, true) === EOCD_SIGNATURE) return offset;
+  }
+  return -1;
+}
+
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}